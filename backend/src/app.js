@@ -11,7 +11,16 @@ import ErrorMiddleware from './middleware/error.js';
 import createHealthRoutes from './routes/health.js';
 import createRootRoutes from './routes/root.js';
 import createApiRoutes from './routes/api.js';
+import createWebhookRoutes from './routes/webhooks.js';
 import setupBackgroundSync from './services/scheduler.js';
+import BackfillService from './services/backfill-service.js';
+import SubscriptionService from './services/subscription-service.js';
+import RetentionService from './services/retention-service.js';
+import SyncCursorService from './services/sync-cursor-service.js';
+import HealthKitExportService from './services/healthkit-export-service.js';
+import SampleExportService from './services/sample-export-service.js';
+import TakeoutImportService from './services/takeout-import-service.js';
+import AggregateService from './services/aggregate-service.js';
 import https from 'https';
 import fs from 'fs';
 import { DataService } from './data/index.js';
@@ -36,6 +45,11 @@ if (!process.env.JWT_SECRET) {
   process.exit(1);
 }
 
+if (!process.env.TOKEN_ENCRYPTION_KEY) {
+  console.error('ERROR: TOKEN_ENCRYPTION_KEY environment variable is required');
+  process.exit(1);
+}
+
 // Security headers for all responses
 app.use((req, res, next) => {
   const scriptSrc = process.env.CSP_SCRIPT_SRC || "'self' 'unsafe-inline'";
@@ -81,7 +95,7 @@ if (isDevelopment) {
   }
 }
 
-let dataService, fitbitService, authOrchestrator, securityMiddleware, validationMiddleware, errorMiddleware;
+let dataService, fitbitService, backfillService, subscriptionService, retentionService, syncCursorService, healthKitExportService, sampleExportService, takeoutImportService, aggregateService, authOrchestrator, securityMiddleware, validationMiddleware, errorMiddleware;
 
 // Initialize database and services
 async function initializeServices() {
@@ -90,7 +104,16 @@ async function initializeServices() {
   dataService = new DataService();
   await dataService.initialize();
   fitbitService = new FitbitService(dataService); // pass dataService instead of db
-  authOrchestrator = new AuthOrchestrator();
+  await loadProviderModules();
+  backfillService = new BackfillService(dataService, fitbitService);
+  subscriptionService = new SubscriptionService(fitbitService);
+  retentionService = new RetentionService(dataService);
+  syncCursorService = new SyncCursorService(dataService);
+  healthKitExportService = new HealthKitExportService(dataService);
+  sampleExportService = new SampleExportService(dataService);
+  takeoutImportService = new TakeoutImportService(dataService);
+  aggregateService = new AggregateService(dataService);
+  authOrchestrator = new AuthOrchestrator(dataService);
   securityMiddleware = new SecurityMiddleware();
   validationMiddleware = new ValidationMiddleware();
   errorMiddleware = new ErrorMiddleware();
@@ -100,7 +123,25 @@ async function initializeServices() {
   app.use(securityMiddleware.createRateLimiter());
 }
 
-app.use(json());
+// Register third-party sample providers listed in FITBIT_PROVIDER_MODULES (comma-separated)
+async function loadProviderModules() {
+  const specifiers = (process.env.FITBIT_PROVIDER_MODULES || '')
+    .split(',')
+    .map(specifier => specifier.trim())
+    .filter(Boolean);
+  if (specifiers.length === 0) {
+    return;
+  }
+  const registered = await fitbitService.providers.loadModules(specifiers, backendDir);
+  console.log(`Registered sample providers: ${registered.join(', ')}`);
+}
+
+// Keep the raw body so webhook signatures can be verified
+app.use(json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(urlencoded({ extended: true }));
 app.set('trust proxy', 1);
 
@@ -135,10 +176,19 @@ app.use('/src', express.static(path.join(__dirname, '../../frontend/src')));
 function setupRoutes() {
   app.use('/', createRootRoutes());
   app.use('/health', createHealthRoutes());
+  app.use('/webhooks', createWebhookRoutes({ subscriptionService, securityMiddleware }));
   app.use('/auth', authOrchestrator.createRoutes({ fitbitService, dataService })); // pass dataService instead of db
   app.use('/api', createApiRoutes({ 
     dataService, 
     fitbitService, 
+    backfillService,
+    subscriptionService,
+    retentionService,
+    syncCursorService,
+    healthKitExportService,
+    sampleExportService,
+    takeoutImportService,
+    aggregateService,
     authFrontendService: authOrchestrator.getFrontendService(),
     validationMiddleware,
     errorMiddleware
@@ -148,10 +198,12 @@ function setupRoutes() {
 // Handle graceful shutdown
 function setupGracefulShutdown() {
   process.on('SIGINT', () => {
+    if (backfillService) backfillService.stop();
     if (dataService) dataService.close();
     process.exit(0);
   });
   process.on('SIGTERM', () => {
+    if (backfillService) backfillService.stop();
     if (dataService) dataService.close();
     process.exit(0);
   });
@@ -162,7 +214,9 @@ async function startServer() {
   try {
     await initializeServices();
     setupRoutes();
-    setupBackgroundSync({ fitbitService, dataService }); // pass dataService instead of db
+    setupBackgroundSync({ dataService, fitbitService, retentionService, subscriptionService });
+    backfillService.start();
+    subscriptionService.start();
     setupGracefulShutdown();
     if (isDevelopment) {
       if (httpsOptions) {
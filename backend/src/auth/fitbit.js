@@ -237,16 +237,21 @@ class AuthFitbit {
    * Create Fitbit authentication routes.
    * @param {object} params - Dependencies
    * @param {object} params.fitbitService - Fitbit API service
-   * @param {object} params.db - Database service
+   * @param {object} params.dataService - DataService instance for token storage
    * @returns {express.Router}
    */
-  createRoutes({ fitbitService, db }) {
+  createRoutes({ fitbitService, dataService }) {
     const router = express.Router();
 
     /**
      * Initiate Fitbit OAuth flow to refresh tokens.
+     * Fitbit tokens belong to the signed-in user, so a Microsoft login is required first.
      */
     router.get('/refreshtokens', (req, res) => {
+      if (!req.session?.user?.userId) {
+        return res.redirect('/callback.html?error=' + encodeURIComponent('Sign in with Microsoft before connecting Fitbit.'));
+      }
+
       try {
         const scopes = fitbitService.scopes;
         const authData = this.buildAuthorizationURL(scopes, req);
@@ -267,6 +272,11 @@ class AuthFitbit {
           return res.redirect('/callback.html?error=' + encodeURIComponent('Missing code or state in query parameters.'));
         }
 
+        const userId = req.session?.user?.userId;
+        if (!userId) {
+          return res.redirect('/callback.html?error=' + encodeURIComponent('Sign in with Microsoft before connecting Fitbit.'));
+        }
+
         // Get codeVerifier from session or temp storage
         let codeVerifier = null;
         if (req.session?.oauthState) {
@@ -280,7 +290,9 @@ class AuthFitbit {
         }
 
         const tokens = await this.exchangeCodeForTokens(code, codeVerifier, state, req);
-        await db.storeTokens(tokens.access_token, tokens.refresh_token, tokens.expires_in);
+        await dataService.token_repository.store_tokens(
+          userId, tokens.access_token, tokens.refresh_token, tokens.expires_in, tokens.user_id
+        );
 
         // Redirect to callback page with success parameters
         const params = new URLSearchParams({
@@ -290,7 +302,7 @@ class AuthFitbit {
         });
         res.redirect('/callback.html?' + params.toString());
 
-        console.log(`Fitbit OAuth completed for user: ${tokens.user_id}`);
+        console.log(`Fitbit OAuth completed for Fitbit user ${tokens.user_id} (user ${userId})`);
       } catch (error) {
         if (error.response) {
           console.error('Fitbit error response:', error.response.data);
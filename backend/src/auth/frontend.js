@@ -5,6 +5,40 @@
 import express from 'express';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
+import { LEGACY_USER_ID } from '../data/user-repository.js';
+
+/** Longest name accepted for a personal token. */
+const MAX_TOKEN_LABEL_LENGTH = 100;
+
+/**
+ * Scopes a personal token can be granted, each allowing a group of `/api` routes.
+ */
+export const TOKEN_SCOPES = ['samples:read', 'sync:read', 'sync:trigger', 'samples:write', 'samples:delete'];
+
+/**
+ * Scopes of tokens issued before scopes existed, which carry none: reading and syncing only.
+ * Such a token keeps them when refreshed; generate a new token for more.
+ */
+export const LEGACY_TOKEN_SCOPES = ['samples:read', 'sync:read'];
+
+/**
+ * Convert a personal token to the API response format (camelCase).
+ * @param {object} token - Token from the personal token repository.
+ * @returns {object} Token for API responses.
+ */
+function formatPersonalToken(token) {
+  return {
+    id: token.token_id,
+    label: token.label,
+    scopes: token.scopes || LEGACY_TOKEN_SCOPES,
+    createdAt: token.created_at,
+    expiresAt: token.expires_at,
+    lastUsedAt: token.last_used_at,
+    lastUsedIp: token.last_used_ip,
+    revokedAt: token.revoked_at,
+    revokeReason: token.revoke_reason
+  };
+}
 
 /**
  * Frontend authentication service for JWT tokens and session management.
@@ -12,9 +46,11 @@ import crypto from 'crypto';
 class AuthFrontend {
   /**
    * Create an AuthFrontend instance.
+   * @param {object} dataService - DataService instance for recording issued tokens.
    * @throws {Error} If JWT_SECRET is not set.
    */
-  constructor() {
+  constructor(dataService) {
+    this.dataService = dataService;
     this.jwtSecret = process.env.JWT_SECRET;
     if (!this.jwtSecret) {
       throw new Error('JWT_SECRET environment variable is required');
@@ -25,26 +61,31 @@ class AuthFrontend {
   }
 
   /**
-   * Generate personal JWT tokens for iOS shortcuts access.
-   * @returns {object} Access token, refresh token, and expiration.
+   * Generate personal JWT tokens for iOS shortcuts access, recording them so they can be revoked.
+   * @param {number} userId - User the tokens act as.
+   * @param {string|null} [label=null] - Name for the tokens, e.g. the Shortcut using them.
+   * @param {string[]} [scopes=TOKEN_SCOPES] - Scopes granted to the tokens.
+   * @returns {Promise<object>} Token id, access token, refresh token, and expiration.
    */
-  generatePersonalJWT() {
+  async generatePersonalJWT(userId, label = null, scopes = TOKEN_SCOPES) {
     const tokenId = crypto.randomBytes(16).toString('hex');
     const payload = {
-      userId: 'personal-fitbit-sync',
+      userId,
+      scopes,
       purpose: 'ios-shortcuts-access',
       iat: Math.floor(Date.now() / 1000),
-      jti: tokenId // JWT ID for potential revocation
+      jti: tokenId // Token id for revocation
     };
     
     // Generate a refresh token as well
     const refreshTokenId = crypto.randomBytes(16).toString('hex');
     const refreshPayload = {
-      userId: 'personal-fitbit-sync',
+      userId,
+      scopes,
       purpose: 'refresh',
       iat: Math.floor(Date.now() / 1000),
       jti: refreshTokenId,
-      tokenId: tokenId // Link to the access token
+      tokenId: tokenId // Token family, shared by every token refreshed from this one
     };
     
     const accessToken = jwt.sign(payload, this.jwtSecret, { 
@@ -56,8 +97,13 @@ class AuthFrontend {
       expiresIn: this.refreshTokenExpiration,
       issuer: 'fitbit-sync-personal'
     });
+
+    await this.dataService.personal_token_repository.create_token(
+      userId, tokenId, label, scopes, refreshTokenId, jwt.decode(refreshToken).exp
+    );
     
     return {
+      tokenId,
       accessToken,
       refreshToken,
       expiresIn: this.getExpirationSeconds(this.tokenExpiration)
@@ -83,40 +129,79 @@ class AuthFrontend {
   }
   
   /**
-   * Generate a new access token from a refresh token.
+   * Generate a new access token and refresh token from a refresh token.
+   * Refresh tokens are single-use: each refresh replaces the family's refresh token, and presenting
+   * one that was already used revokes the whole family, since either it or its replacement leaked.
+   * New tokens keep the refresh token's token id and scopes, so revoking the family revokes them too.
    * @param {string} refreshToken - The refresh token
-   * @returns {object} New access token and expiration
+   * @returns {Promise<object>} New access token, new refresh token and expiration
+   * @throws {Error} If the refresh token is invalid, expired, revoked or already used
    */
-  refreshJWT(refreshToken) {
+  async refreshJWT(refreshToken) {
+    let decoded;
     try {
-      const decoded = this.verifyJWT(refreshToken);
-      
-      // Verify this is actually a refresh token
-      if (decoded.purpose !== 'refresh') {
-        throw new Error('Invalid token type');
-      }
-      
-      // Generate a new access token
-      const tokenId = crypto.randomBytes(16).toString('hex');
-      const payload = {
-        userId: decoded.userId,
-        purpose: 'ios-shortcuts-access',
-        iat: Math.floor(Date.now() / 1000),
-        jti: tokenId
-      };
-      
-      const accessToken = jwt.sign(payload, this.jwtSecret, { 
-        expiresIn: this.tokenExpiration,
-        issuer: 'fitbit-sync-personal'
-      });
-      
-      return {
-        accessToken,
-        expiresIn: this.getExpirationSeconds(this.tokenExpiration)
-      };
+      decoded = this.verifyJWT(refreshToken);
     } catch (error) {
       throw new Error('Invalid or expired refresh token');
     }
+
+    // Verify this is actually a refresh token
+    if (decoded.purpose !== 'refresh' || !decoded.tokenId) {
+      throw new Error('Invalid or expired refresh token');
+    }
+
+    const repository = this.dataService.personal_token_repository;
+    const userId = this.getTokenUserId(decoded);
+    const scopes = this.getTokenScopes(decoded);
+    let family = await repository.get_token(decoded.tokenId);
+    if (!family) {
+      // Issued before tokens were recorded; this refresh token becomes the family's current one
+      family = await repository.create_token(userId, decoded.tokenId, null, scopes, decoded.jti, decoded.exp);
+    }
+
+    if (family.revoked_at) {
+      throw new Error('Refresh token has been revoked');
+    }
+
+    const newRefreshToken = jwt.sign({
+      userId: decoded.userId,
+      scopes,
+      purpose: 'refresh',
+      iat: Math.floor(Date.now() / 1000),
+      jti: crypto.randomBytes(16).toString('hex'),
+      tokenId: decoded.tokenId
+    }, this.jwtSecret, {
+      expiresIn: this.refreshTokenExpiration,
+      issuer: 'fitbit-sync-personal'
+    });
+    const refreshed = jwt.decode(newRefreshToken);
+
+    if (!await repository.rotate_refresh_token(decoded.tokenId, decoded.jti, refreshed.jti, refreshed.exp)) {
+      await repository.revoke_token(family.user_id, decoded.tokenId, 'refresh_reused');
+      console.warn(`Refresh token reused for personal token ${decoded.tokenId}; revoked its tokens`);
+      throw new Error('Refresh token has already been used; its tokens have been revoked');
+    }
+
+    // Generate a new access token
+    const payload = {
+      userId: decoded.userId,
+      scopes,
+      purpose: 'ios-shortcuts-access',
+      iat: Math.floor(Date.now() / 1000),
+      jti: crypto.randomBytes(16).toString('hex'),
+      tokenId: decoded.tokenId
+    };
+
+    const accessToken = jwt.sign(payload, this.jwtSecret, { 
+      expiresIn: this.tokenExpiration,
+      issuer: 'fitbit-sync-personal'
+    });
+
+    return {
+      accessToken,
+      refreshToken: newRefreshToken,
+      expiresIn: this.getExpirationSeconds(this.tokenExpiration)
+    };
   }
 
   /**
@@ -133,11 +218,56 @@ class AuthFrontend {
   }
 
   /**
-   * Middleware to verify JWT tokens.
+   * Resolve the user a JWT acts as.
+   * Tokens issued before user accounts existed carry a fixed placeholder instead of a user id.
+   * @param {object} decoded - Decoded token payload
+   * @returns {number} User id
+   */
+  getTokenUserId(decoded) {
+    return Number.isInteger(decoded.userId) ? decoded.userId : LEGACY_USER_ID;
+  }
+
+  /**
+   * Get the scopes a JWT is granted. Tokens issued before scopes existed get `LEGACY_TOKEN_SCOPES`.
+   * @param {object} decoded - Decoded token payload
+   * @returns {string[]} Scopes
+   */
+  getTokenScopes(decoded) {
+    return Array.isArray(decoded.scopes) ? decoded.scopes : LEGACY_TOKEN_SCOPES;
+  }
+
+  /**
+   * Get the id of the token pair a JWT belongs to.
+   * Refresh tokens and refreshed access tokens carry it as `tokenId`; the first access token is its `jti`.
+   * @param {object} decoded - Decoded token payload
+   * @returns {string|null} Token id
+   */
+  getTokenId(decoded) {
+    return decoded.tokenId || decoded.jti || null;
+  }
+
+  /**
+   * Check whether a JWT's token pair has been revoked.
+   * @param {object} decoded - Decoded token payload
+   * @returns {Promise<boolean>} Whether the token is revoked
+   */
+  async isRevoked(decoded) {
+    const tokenId = this.getTokenId(decoded);
+    if (!tokenId) {
+      return false;
+    }
+    const token = await this.dataService.personal_token_repository.get_token(tokenId);
+    return Boolean(token?.revoked_at);
+  }
+
+  /**
+   * Middleware to verify JWT tokens, rejecting revoked ones and recording when each was last used.
+   * Only access tokens are accepted; refresh tokens are only good for `/auth/refresh-token`.
+   * Sets `req.user` to the token payload and `req.userId` to the user it acts as.
    * @returns {function} Express middleware function
    */
   verifyJWTMiddleware() {
-    return (req, res, next) => {
+    return async (req, res, next) => {
       const authHeader = req.headers.authorization;
       
       if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -146,23 +276,80 @@ class AuthFrontend {
       
       const token = authHeader.replace('Bearer ', '');
       
+      let decoded;
       try {
-        const decoded = this.verifyJWT(token);
-        req.user = decoded;
-        next();
+        decoded = this.verifyJWT(token);
       } catch (error) {
         return res.status(401).json({ error: 'Invalid token' });
       }
+
+      if (decoded.purpose !== 'ios-shortcuts-access') {
+        return res.status(401).json({ error: 'Invalid token' });
+      }
+
+      const userId = this.getTokenUserId(decoded);
+      const tokenId = this.getTokenId(decoded);
+      try {
+        if (await this.isRevoked(decoded)) {
+          return res.status(401).json({ error: 'Token has been revoked' });
+        }
+        if (tokenId) {
+          await this.dataService.personal_token_repository.record_use(userId, tokenId, req.ip, decoded.exp);
+        }
+      } catch (error) {
+        return next(error);
+      }
+
+      req.user = decoded;
+      req.userId = userId;
+      next();
+    };
+  }
+
+  /**
+   * Parse the scopes requested for a new token.
+   * @param {string|undefined} value - Comma-separated scopes, or undefined for all of them.
+   * @returns {string[]} Scopes, in `TOKEN_SCOPES` order.
+   * @throws {Error} If a scope is unknown or none is given.
+   */
+  parseScopes(value) {
+    if (value === undefined) {
+      return TOKEN_SCOPES;
+    }
+    const requested = String(value).split(',').map(scope => scope.trim()).filter(Boolean);
+    const unknown = requested.filter(scope => !TOKEN_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown scopes: ${unknown.join(', ')}. Valid scopes are ${TOKEN_SCOPES.join(', ')}`);
+    }
+    if (requested.length === 0) {
+      throw new Error('Select at least one scope');
+    }
+    return TOKEN_SCOPES.filter(scope => requested.includes(scope));
+  }
+
+  /**
+   * Middleware allowing a route only to sessions and to JWTs granted a scope.
+   * Must run after `verifyJWTMiddleware` for token requests.
+   * @param {string} scope - Required scope, one of `TOKEN_SCOPES`.
+   * @returns {function} Express middleware function
+   */
+  requireScope(scope) {
+    return (req, res, next) => {
+      if (!req.user || this.getTokenScopes(req.user).includes(scope)) {
+        return next();
+      }
+      return res.status(403).json({ error: `Token is missing the ${scope} scope`, requiredScope: scope });
     };
   }
 
   /**
    * Check if user is authenticated via session.
+   * Sessions from before user accounts existed have no user id and must log in again.
    * @param {object} req - Express request object
    * @returns {boolean} Whether user is authenticated
    */
   isAuthenticated(req) {
-    return req.session?.user?.authenticated === true;
+    return req.session?.user?.authenticated === true && Number.isInteger(req.session.user.userId);
   }
 
   /**
@@ -191,17 +378,38 @@ class AuthFrontend {
     const router = express.Router();
 
     /**
-     * Generate new JWT tokens for iOS shortcuts access.
+     * Generate new JWT tokens for iOS shortcuts access, optionally named with `?label=` and limited
+     * with `?scopes=` (comma-separated; all scopes by default).
      * Requires user to be authenticated via session.
      */
-    router.get('/newtoken', (req, res) => {
+    router.get('/newtoken', async (req, res) => {
       // Check for authentication before generating tokens
       if (!this.isAuthenticated(req)) {
         return res.status(401).json({ error: 'Authentication required to generate tokens' });
       }
+
+      const label = typeof req.query.label === 'string' ? req.query.label.trim() : '';
+      if (label.length > MAX_TOKEN_LABEL_LENGTH) {
+        return res.status(400).json({ error: `Token name must be at most ${MAX_TOKEN_LABEL_LENGTH} characters` });
+      }
+
+      let scopes;
+      try {
+        scopes = this.parseScopes(req.query.scopes);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
       
-      const tokens = this.generatePersonalJWT();
+      let tokens;
+      try {
+        tokens = await this.generatePersonalJWT(req.session.user.userId, label || null, scopes);
+      } catch (error) {
+        console.error('Token generation error:', error);
+        return res.status(500).json({ error: 'Failed to generate tokens' });
+      }
       res.json({
+        tokenId: tokens.tokenId,
+        scopes,
         accessToken: tokens.accessToken,
         refreshToken: tokens.refreshToken,
         expiresIn: tokens.expiresIn,
@@ -210,10 +418,53 @@ class AuthFrontend {
       });
     });
     
+    /**
+     * List the signed-in user's personal tokens, including revoked and expired ones.
+     */
+    router.get('/tokens', async (req, res) => {
+      if (!this.isAuthenticated(req)) {
+        return res.status(401).json({ error: 'Authentication required to manage tokens' });
+      }
+
+      try {
+        const tokens = await this.dataService.personal_token_repository.get_tokens(req.session.user.userId);
+        res.json({ tokens: tokens.map(formatPersonalToken) });
+      } catch (error) {
+        console.error('Token list error:', error);
+        res.status(500).json({ error: 'Failed to list tokens' });
+      }
+    });
+
+    /**
+     * Revoke one of the signed-in user's personal tokens, with every access token refreshed from it.
+     */
+    router.delete('/tokens/:tokenId', async (req, res) => {
+      if (!this.isAuthenticated(req)) {
+        return res.status(401).json({ error: 'Authentication required to manage tokens' });
+      }
+
+      try {
+        const userId = req.session.user.userId;
+        const token = await this.dataService.personal_token_repository.get_token(req.params.tokenId);
+        if (!token || token.user_id !== userId) {
+          return res.status(404).json({ error: `Token ${req.params.tokenId} not found` });
+        }
+
+        await this.dataService.personal_token_repository.revoke_token(userId, token.token_id);
+        res.json({
+          message: `Token ${token.label || token.token_id} revoked`,
+          token: formatPersonalToken(await this.dataService.personal_token_repository.get_token(token.token_id))
+        });
+      } catch (error) {
+        console.error('Token revoke error:', error);
+        res.status(500).json({ error: 'Failed to revoke token' });
+      }
+    });
+    
     /**
      * Refresh JWT access token using refresh token.
      */
-    router.post('/refresh-token', (req, res) => {
+    router.post('/refresh-token', async (req, res) => {
       try {
         const { refreshToken } = req.body;
         
@@ -221,12 +472,13 @@ class AuthFrontend {
           return res.status(400).json({ error: 'Refresh token is required' });
         }
         
-        const newTokens = this.refreshJWT(refreshToken);
+        const newTokens = await this.refreshJWT(refreshToken);
         res.json({
           accessToken: newTokens.accessToken,
+          refreshToken: newTokens.refreshToken,
           expiresIn: newTokens.expiresIn,
           expiresInSeconds: newTokens.expiresIn,
-          message: 'Access token refreshed successfully',
+          message: 'Tokens refreshed successfully; use the new refresh token next time',
         });
       } catch (error) {
         console.error('Token refresh error:', error);
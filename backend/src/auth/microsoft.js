@@ -15,6 +15,7 @@ class AuthMicrosoft {
     this.clientSecret = process.env.ENTRA_CLIENT_SECRET;
     this.tenantId = process.env.ENTRA_TENANT_ID;
     this.redirectUri = process.env.ENTRA_REDIRECT_URI;
+    this.ownerOid = process.env.OWNER_ENTRA_OID || null;
     this.scope = 'openid profile email';
     
     if (!this.clientId || !this.clientSecret || !this.tenantId || !this.redirectUri) {
@@ -107,9 +108,11 @@ class AuthMicrosoft {
 
   /**
    * Create Microsoft authentication routes.
+   * @param {object} params - Route dependencies.
+   * @param {object} params.dataService - DataService instance for user accounts.
    * @returns {express.Router}
    */
-  createRoutes() {
+  createRoutes({ dataService }) {
     const router = express.Router();
 
     /**
@@ -141,9 +144,15 @@ class AuthMicrosoft {
 
       try {
         const authResult = await this.exchangeCodeForTokens(code);
-        
-        // Set user session
-        this.setUserSession(req, authResult.user);
+        // Only the configured owner takes over the data stored before user accounts existed
+        const user = await dataService.user_repository.find_or_create_user({
+          entra_oid: authResult.user.id,
+          email: authResult.user.email,
+          name: authResult.user.name
+        }, { claim_legacy: Boolean(this.ownerOid) && authResult.user.id === this.ownerOid });
+
+        // Set user session, keeping the local user id that owns this user's data
+        this.setUserSession(req, { ...authResult.user, userId: user.id });
 
         // Redirect to callback page with success parameters for Microsoft login
         const params = new URLSearchParams({
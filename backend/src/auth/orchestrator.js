@@ -13,9 +13,10 @@ import AuthFitbit from './fitbit.js';
 class AuthOrchestrator {
   /**
    * Create an AuthOrchestrator instance.
+   * @param {object} dataService - DataService instance for issued personal tokens.
    */
-  constructor() {
-    this.frontend = new AuthFrontend();
+  constructor(dataService) {
+    this.frontend = new AuthFrontend(dataService);
     this.microsoft = new AuthMicrosoft();
     this.fitbit = new AuthFitbit();
   }
@@ -24,10 +25,10 @@ class AuthOrchestrator {
    * Create combined authentication routes for all providers.
    * @param {object} params - Dependencies for specific auth providers.
    * @param {object} params.fitbitService - Fitbit API service.
-   * @param {object} params.db - Database service (legacy, may be unused).
+   * @param {object} params.dataService - DataService instance for users and Fitbit tokens.
    * @returns {express.Router} Combined authentication router.
    */
-  createRoutes({ fitbitService, db }) {
+  createRoutes({ fitbitService, dataService }) {
     const router = express.Router();
 
     // Mount frontend authentication routes
@@ -35,11 +36,11 @@ class AuthOrchestrator {
     router.use('/', frontendRoutes);
 
     // Mount Microsoft authentication routes
-    const microsoftRoutes = this.microsoft.createRoutes();
+    const microsoftRoutes = this.microsoft.createRoutes({ dataService });
     router.use('/', microsoftRoutes);
 
     // Mount Fitbit authentication routes
-    const fitbitRoutes = this.fitbit.createRoutes({ fitbitService, db });
+    const fitbitRoutes = this.fitbit.createRoutes({ fitbitService, dataService });
     router.use('/', fitbitRoutes);
 
     return router;
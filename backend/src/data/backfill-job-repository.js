@@ -0,0 +1,157 @@
+/**
+ * Repository for managing persistent backfill jobs.
+ * @module backend/data/backfill-job-repository
+ */
+import BaseRepository from './base-repository.js';
+
+/**
+ * Repository for managing persistent backfill jobs.
+ * A job walks a date range one day at a time for its user; `cursor_date` is the next day to sync.
+ */
+class BackfillJobRepository extends BaseRepository {
+  /**
+   * Creates a new pending backfill job.
+   * @param {number} user_id - Owning user id.
+   * @param {string} start_date - First date to sync (YYYY-MM-DD).
+   * @param {string} end_date - Last date to sync (YYYY-MM-DD).
+   * @param {Array<string>|null} sample_types - Sample types to sync, or null for all.
+   * @param {number} total_days - Number of days in the range.
+   * @returns {Promise<number>} The new job ID.
+   */
+  async create_job(user_id, start_date, end_date, sample_types, total_days) {
+    const result = await this.execute_query(
+      `INSERT INTO backfill_jobs (user_id, start_date, end_date, sample_types, cursor_date, status, total_days)
+       VALUES (?, ?, ?, ?, ?, 'pending', ?)`,
+      [user_id, start_date, end_date, sample_types ? JSON.stringify(sample_types) : null, start_date, total_days]
+    );
+
+    console.log(`Created backfill job ${result.last_id} for user ${user_id}, ${start_date} to ${end_date}`);
+    return result.last_id;
+  }
+
+  /**
+   * Retrieves a single backfill job.
+   * @param {number} job_id - The job ID.
+   * @returns {Promise<Object|null>} The job or null if not found.
+   */
+  async get_job(job_id) {
+    const row = await this.fetch_one('SELECT * FROM backfill_jobs WHERE id = ?', [job_id]);
+    return row ? this._to_job(row) : null;
+  }
+
+  /**
+   * Retrieves a user's most recent backfill jobs.
+   * @param {number} user_id - Owning user id.
+   * @param {number} [limit=20] - Maximum number of jobs to return.
+   * @returns {Promise<Array<Object>>} Array of jobs, newest first.
+   */
+  async get_jobs(user_id, limit = 20) {
+    const rows = await this.fetch_all(
+      'SELECT * FROM backfill_jobs WHERE user_id = ? ORDER BY id DESC LIMIT ?',
+      [user_id, limit]
+    );
+    return rows.map(row => this._to_job(row));
+  }
+
+  /**
+   * Retrieves jobs of all users that still have work to do, oldest first.
+   * @returns {Promise<Array<Object>>} Array of pending, running and paused jobs.
+   */
+  async get_active_jobs() {
+    const rows = await this.fetch_all(
+      `SELECT * FROM backfill_jobs WHERE status IN ('pending', 'running', 'paused') ORDER BY id ASC`
+    );
+    return rows.map(row => this._to_job(row));
+  }
+
+  /**
+   * Marks a job as running and clears any pause.
+   * @param {number} job_id - The job ID.
+   * @returns {Promise<void>}
+   */
+  async mark_running(job_id) {
+    await this.execute_query(
+      `UPDATE backfill_jobs SET status = 'running', resume_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status != 'cancelled'`,
+      [job_id]
+    );
+  }
+
+  /**
+   * Records a completed day and advances the cursor.
+   * @param {number} job_id - The job ID.
+   * @param {string} next_cursor_date - The next date to sync (YYYY-MM-DD).
+   * @param {number} sample_count - Samples stored for the completed day.
+   * @returns {Promise<void>}
+   */
+  async record_day(job_id, next_cursor_date, sample_count) {
+    await this.execute_query(
+      `UPDATE backfill_jobs
+       SET cursor_date = ?, days_completed = days_completed + 1, samples_synced = samples_synced + ?,
+           attempts = 0, error_message = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [next_cursor_date, sample_count, job_id]
+    );
+  }
+
+  /**
+   * Pauses a job until the given time.
+   * @param {number} job_id - The job ID.
+   * @param {number} resume_at - Epoch milliseconds when the job may resume.
+   * @param {string|null} [reason=null] - Why the job was paused.
+   * @param {boolean} [count_attempt=false] - Whether this pause follows a failed attempt.
+   * @returns {Promise<void>}
+   */
+  async pause_job(job_id, resume_at, reason = null, count_attempt = false) {
+    await this.execute_query(
+      `UPDATE backfill_jobs
+       SET status = 'paused', resume_at = ?, error_message = ?, attempts = attempts + ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status != 'cancelled'`,
+      [resume_at, reason, count_attempt ? 1 : 0, job_id]
+    );
+  }
+
+  /**
+   * Marks a job as finished with the given terminal status.
+   * @param {number} job_id - The job ID.
+   * @param {string} status - 'completed' or 'failed'.
+   * @param {string|null} [error_message=null] - Error message for failed jobs.
+   * @returns {Promise<void>}
+   */
+  async finish_job(job_id, status, error_message = null) {
+    await this.execute_query(
+      `UPDATE backfill_jobs SET status = ?, resume_at = NULL, error_message = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status != 'cancelled'`,
+      [status, error_message, job_id]
+    );
+  }
+
+  /**
+   * Cancels a job that has not finished yet.
+   * @param {number} job_id - The job ID.
+   * @returns {Promise<number>} Number of jobs cancelled (0 or 1).
+   */
+  async cancel_job(job_id) {
+    const result = await this.execute_query(
+      `UPDATE backfill_jobs SET status = 'cancelled', resume_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status IN ('pending', 'running', 'paused')`,
+      [job_id]
+    );
+    return result.changes;
+  }
+
+  /**
+   * Converts a database row into a job object.
+   * @private
+   * @param {Object} row - Raw backfill_jobs row.
+   * @returns {Object} Job with parsed sample types.
+   */
+  _to_job(row) {
+    return {
+      ...row,
+      sample_types: row.sample_types ? JSON.parse(row.sample_types) : null
+    };
+  }
+}
+
+export default BackfillJobRepository;
@@ -3,34 +3,71 @@
  * @module backend/data/data-service
  */
 import DatabaseConnection from './database-connection.js';
+import UserRepository from './user-repository.js';
 import TokenRepository from './token-repository.js';
 import SampleRepository from './sample-repository.js';
 import SyncLogRepository from './sync-log-repository.js';
+import BackfillJobRepository from './backfill-job-repository.js';
+import SleepSessionRepository from './sleep-session-repository.js';
+import RetentionPolicyRepository from './retention-policy-repository.js';
+import SyncClientRepository from './sync-client-repository.js';
+import PersonalTokenRepository from './personal-token-repository.js';
+import TokenCipher from './token-cipher.js';
 
 /**
  * Provides a single entry point for all data repositories.
  */
 class DataService {
-  constructor() {
+  /**
+   * @param {Object} [options] - Data service options.
+   * @param {TokenCipher|null} [options.token_cipher] - Cipher for stored Fitbit tokens (default: from the environment).
+   * @throws {Error} If a configured token encryption key is malformed.
+   */
+  constructor({ token_cipher = TokenCipher.from_env() } = {}) {
     /** @type {DatabaseConnection} */
     this.database_connection = new DatabaseConnection();
+    /** @type {TokenCipher|null} */
+    this.token_cipher = token_cipher;
+    /** @type {UserRepository|null} */
+    this.user_repository = null;
     /** @type {TokenRepository|null} */
     this.token_repository = null;
     /** @type {SampleRepository|null} */
     this.sample_repository = null;
     /** @type {SyncLogRepository|null} */
     this.sync_log_repository = null;
+    /** @type {BackfillJobRepository|null} */
+    this.backfill_job_repository = null;
+    /** @type {SleepSessionRepository|null} */
+    this.sleep_session_repository = null;
+    /** @type {RetentionPolicyRepository|null} */
+    this.retention_policy_repository = null;
+    /** @type {SyncClientRepository|null} */
+    this.sync_client_repository = null;
+    /** @type {PersonalTokenRepository|null} */
+    this.personal_token_repository = null;
   }
 
   /**
-   * Initializes the database connection and all repositories.
+   * Initializes the database connection and all repositories, and re-encrypts Fitbit tokens
+   * still stored with a previous key.
    * @returns {Promise<void>}
    */
   async initialize() {
     await this.database_connection.initialize();
-    this.token_repository = new TokenRepository(this.database_connection);
+    this.user_repository = new UserRepository(this.database_connection);
+    this.token_repository = new TokenRepository(this.database_connection, this.token_cipher);
     this.sample_repository = new SampleRepository(this.database_connection);
     this.sync_log_repository = new SyncLogRepository(this.database_connection);
+    this.backfill_job_repository = new BackfillJobRepository(this.database_connection);
+    this.sleep_session_repository = new SleepSessionRepository(this.database_connection);
+    this.retention_policy_repository = new RetentionPolicyRepository(this.database_connection);
+    this.sync_client_repository = new SyncClientRepository(this.database_connection);
+    this.personal_token_repository = new PersonalTokenRepository(this.database_connection);
+
+    if (this.token_cipher) {
+      await this.token_repository.reencrypt_tokens();
+    }
   }
 
   /**
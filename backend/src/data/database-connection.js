@@ -5,6 +5,7 @@
 import sqlite3 from 'sqlite3';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import MigrationRunner from './migration-runner.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 sqlite3.verbose();
@@ -21,10 +22,23 @@ class DatabaseConnection {
   }
 
   /**
-   * Initializes the SQLite database connection and creates tables if needed.
+   * Opens the SQLite database and applies pending schema migrations.
    * @returns {Promise<void>}
+   * @throws {Error} If the database is newer than the code or a migration fails.
    */
   async initialize() {
+    await this.open();
+    const applied = await this.create_migration_runner().migrate();
+    console.log(applied.length > 0
+      ? `Database migrated to version ${applied[applied.length - 1].version}`
+      : 'Database schema is up to date');
+  }
+
+  /**
+   * Opens the SQLite database without migrating it.
+   * @returns {Promise<void>}
+   */
+  async open() {
     return new Promise((resolve, reject) => {
       this.db = new sqlite3.Database(this.db_path, (err) => {
         if (err) {
@@ -32,66 +46,18 @@ class DatabaseConnection {
           reject(err);
         } else {
           console.log('Connected to SQLite database');
-          this.create_tables().then(resolve).catch(reject);
+          resolve();
         }
       });
     });
   }
 
   /**
-   * Creates all required tables if they do not exist.
-   * @returns {Promise<void>}
+   * Creates a migration runner for this connection.
+   * @returns {MigrationRunner}
    */
-  async create_tables() {
-    const create_tables_sql = `
-      CREATE TABLE IF NOT EXISTS tokens (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        access_token TEXT NOT NULL,
-        refresh_token TEXT NOT NULL,
-        expires_at INTEGER NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      );
-
-      CREATE TABLE IF NOT EXISTS samples (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        type TEXT NOT NULL,
-        value REAL NOT NULL,
-        timestamp TEXT,
-        start_time TEXT,
-        end_time TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(type, timestamp, start_time, end_time)
-      );
-
-      CREATE TABLE IF NOT EXISTS sync_log (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        data_type TEXT NOT NULL,
-        last_sync_time TEXT NOT NULL,
-        status TEXT NOT NULL,
-        rate_limit_remaining INTEGER,
-        rate_limit_reset INTEGER,
-        error_message TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      );
-
-      CREATE INDEX IF NOT EXISTS idx_samples_timestamp ON samples(timestamp);
-      CREATE INDEX IF NOT EXISTS idx_samples_start_time ON samples(start_time);
-      CREATE INDEX IF NOT EXISTS idx_samples_type ON samples(type);
-      CREATE INDEX IF NOT EXISTS idx_sync_log_data_type ON sync_log(data_type);
-    `;
-
-    return new Promise((resolve, reject) => {
-      this.db.exec(create_tables_sql, (err) => {
-        if (err) {
-          console.error('Error creating tables:', err);
-          reject(err);
-        } else {
-          console.log('Database tables created successfully');
-          resolve();
-        }
-      });
-    });
+  create_migration_runner() {
+    return new MigrationRunner(this.db);
   }
 
   /**
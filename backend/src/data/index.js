@@ -3,8 +3,16 @@
  * @module backend/data
  */
 export { default as DatabaseConnection } from './database-connection.js';
+export { default as MigrationRunner } from './migration-runner.js';
 export { default as BaseRepository } from './base-repository.js';
+export { default as TokenCipher } from './token-cipher.js';
+export { default as UserRepository, LEGACY_USER_ID } from './user-repository.js';
 export { default as TokenRepository } from './token-repository.js';
 export { default as SampleRepository } from './sample-repository.js';
 export { default as SyncLogRepository } from './sync-log-repository.js';
+export { default as BackfillJobRepository } from './backfill-job-repository.js';
+export { default as SleepSessionRepository } from './sleep-session-repository.js';
+export { default as RetentionPolicyRepository } from './retention-policy-repository.js';
+export { default as SyncClientRepository } from './sync-client-repository.js';
+export { default as PersonalTokenRepository } from './personal-token-repository.js';
 export { default as DataService } from './data-service.js';
@@ -0,0 +1,247 @@
+/**
+ * Versioned schema migrations for the SQLite database.
+ * @module backend/data/migration-runner
+ */
+import { readdir } from 'fs/promises';
+import { join, dirname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/** Migration files are named `NNN-description.js`; the number is the schema version. */
+const MIGRATION_FILE_PATTERN = /^(\d+)-[a-z0-9-]+\.js$/;
+
+/**
+ * A numbered migration loaded from the migrations directory.
+ * @typedef {object} Migration
+ * @property {number} version - Schema version the migration brings the database to.
+ * @property {string} name - File name without extension.
+ * @property {string} description - What the migration changes.
+ * @property {function(MigrationRunner): Promise<void>} up - Applies the migration.
+ */
+
+/**
+ * Applies pending migrations in order and records them in `schema_migrations`.
+ * Each migration runs in its own transaction together with its `schema_migrations` row,
+ * so a failed migration leaves the database at the previous version.
+ */
+class MigrationRunner {
+  /**
+   * @param {import('sqlite3').Database} db - Open SQLite connection.
+   * @param {string} [migrations_dir] - Directory holding the migration files.
+   */
+  constructor(db, migrations_dir = join(__dirname, 'migrations')) {
+    /** @private */
+    this.db = db;
+    /** @private */
+    this.migrations_dir = migrations_dir;
+    /** @private */
+    this.migrations = null;
+  }
+
+  /**
+   * Loads the migration files, sorted by version.
+   * @returns {Promise<Migration[]>}
+   * @throws {Error} If two files share a version or a file has no `up` function.
+   */
+  async load_migrations() {
+    if (this.migrations) {
+      return this.migrations;
+    }
+
+    const files = (await readdir(this.migrations_dir)).filter(file => MIGRATION_FILE_PATTERN.test(file));
+    const migrations = [];
+
+    for (const file of files) {
+      const version = Number(file.match(MIGRATION_FILE_PATTERN)[1]);
+      const module = await import(pathToFileURL(join(this.migrations_dir, file)).href);
+      const migration = module.default;
+
+      if (!migration || typeof migration.up !== 'function') {
+        throw new Error(`Migration ${file} does not export an up() function`);
+      }
+      if (migrations.some(existing => existing.version === version)) {
+        throw new Error(`Migration version ${version} is used by more than one file`);
+      }
+
+      migrations.push({
+        version,
+        name: file.replace(/\.js$/, ''),
+        description: migration.description || '',
+        up: migration.up
+      });
+    }
+
+    this.migrations = migrations.sort((a, b) => a.version - b.version);
+    return this.migrations;
+  }
+
+  /**
+   * Gets the schema version the code supports.
+   * @returns {Promise<number>} Highest migration version, or 0 if there are none.
+   */
+  async get_latest_version() {
+    const migrations = await this.load_migrations();
+    return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  }
+
+  /**
+   * Gets the schema version of the database.
+   * @returns {Promise<number>} Highest applied migration version, or 0 for a new database.
+   */
+  async get_current_version() {
+    await this.ensure_migrations_table();
+    const row = await this.get('SELECT MAX(version) AS version FROM schema_migrations');
+    return row && row.version ? row.version : 0;
+  }
+
+  /**
+   * Describes the database version and the migrations still to apply.
+   * @returns {Promise<{current_version: number, latest_version: number, pending: Migration[]}>}
+   */
+  async get_status() {
+    const current_version = await this.get_current_version();
+    const latest_version = await this.get_latest_version();
+    const migrations = await this.load_migrations();
+    return {
+      current_version,
+      latest_version,
+      pending: migrations.filter(migration => migration.version > current_version)
+    };
+  }
+
+  /**
+   * Applies all pending migrations.
+   * @returns {Promise<Migration[]>} Migrations applied, in order.
+   * @throws {Error} If the database is newer than the code or a migration fails.
+   */
+  async migrate() {
+    const { current_version, latest_version, pending } = await this.get_status();
+
+    if (current_version > latest_version) {
+      throw new Error(
+        `Database schema version ${current_version} is newer than this version of fitbit-sync supports ` +
+        `(${latest_version}). Upgrade fitbit-sync or restore a backup of the database.`
+      );
+    }
+
+    for (const migration of pending) {
+      await this.apply(migration);
+    }
+
+    return pending;
+  }
+
+  /**
+   * Applies one migration and records it, in a single transaction.
+   * @private
+   * @param {Migration} migration - Migration to apply.
+   * @returns {Promise<void>}
+   */
+  async apply(migration) {
+    await this.exec('BEGIN IMMEDIATE TRANSACTION');
+    try {
+      await migration.up(this);
+      await this.run(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+      await this.exec('COMMIT');
+      console.log(`Applied migration ${migration.name}`);
+    } catch (error) {
+      await this.exec('ROLLBACK').catch(() => {});
+      console.error(`Migration ${migration.name} failed:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Creates the table recording applied migrations.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async ensure_migrations_table() {
+    await this.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  /**
+   * Checks whether a table has a column.
+   * @param {string} table - Table name.
+   * @param {string} column - Column name.
+   * @returns {Promise<boolean>}
+   */
+  async has_column(table, column) {
+    const columns = await this.all(`PRAGMA table_info(${table})`);
+    return columns.some(col => col.name === column);
+  }
+
+  /**
+   * Adds a column to a table unless it already exists. Databases created before migrations
+   * were introduced may already have it.
+   * @param {string} table - Table name.
+   * @param {string} column - Column name.
+   * @param {string} definition - Column type and constraints.
+   * @returns {Promise<void>}
+   */
+  async add_column_if_missing(table, column, definition) {
+    if (await this.has_column(table, column)) {
+      return;
+    }
+    await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+
+  /**
+   * Executes one or more SQL statements without parameters.
+   * @param {string} sql - SQL statements.
+   * @returns {Promise<void>}
+   */
+  exec(sql) {
+    return new Promise((resolve, reject) => {
+      this.db.exec(sql, (err) => err ? reject(err) : resolve());
+    });
+  }
+
+  /**
+   * Executes a single SQL statement.
+   * @param {string} sql - SQL statement.
+   * @param {Array} [params=[]] - Statement parameters.
+   * @returns {Promise<void>}
+   */
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, (err) => err ? reject(err) : resolve());
+    });
+  }
+
+  /**
+   * Fetches one row.
+   * @param {string} sql - SQL query.
+   * @param {Array} [params=[]] - Query parameters.
+   * @returns {Promise<Object|undefined>}
+   */
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+    });
+  }
+
+  /**
+   * Fetches all rows.
+   * @param {string} sql - SQL query.
+   * @param {Array} [params=[]] - Query parameters.
+   * @returns {Promise<Object[]>}
+   */
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+  }
+}
+
+export default MigrationRunner;
@@ -0,0 +1,51 @@
+/**
+ * Tokens, samples and sync log tables as first released.
+ * @module backend/data/migrations/001-initial-schema
+ */
+export default {
+  description: 'Create tokens, samples and sync_log tables',
+
+  /**
+   * @param {import('../migration-runner.js').default} migrator - Runner executing the migration.
+   * @returns {Promise<void>}
+   */
+  async up(migrator) {
+    await migrator.exec(`
+      CREATE TABLE IF NOT EXISTS tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        access_token TEXT NOT NULL,
+        refresh_token TEXT NOT NULL,
+        expires_at INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS samples (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        value REAL NOT NULL,
+        timestamp TEXT,
+        start_time TEXT,
+        end_time TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(type, timestamp, start_time, end_time)
+      );
+
+      CREATE TABLE IF NOT EXISTS sync_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        data_type TEXT NOT NULL,
+        last_sync_time TEXT NOT NULL,
+        status TEXT NOT NULL,
+        rate_limit_remaining INTEGER,
+        rate_limit_reset INTEGER,
+        error_message TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_samples_timestamp ON samples(timestamp);
+      CREATE INDEX IF NOT EXISTS idx_samples_start_time ON samples(start_time);
+      CREATE INDEX IF NOT EXISTS idx_samples_type ON samples(type);
+      CREATE INDEX IF NOT EXISTS idx_sync_log_data_type ON sync_log(data_type);
+    `);
+  }
+};
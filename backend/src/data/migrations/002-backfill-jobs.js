@@ -0,0 +1,34 @@
+/**
+ * Persistent state for resumable backfill jobs.
+ * @module backend/data/migrations/002-backfill-jobs
+ */
+export default {
+  description: 'Create backfill_jobs table',
+
+  /**
+   * @param {import('../migration-runner.js').default} migrator - Runner executing the migration.
+   * @returns {Promise<void>}
+   */
+  async up(migrator) {
+    await migrator.exec(`
+      CREATE TABLE IF NOT EXISTS backfill_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        start_date TEXT NOT NULL,
+        end_date TEXT NOT NULL,
+        sample_types TEXT,
+        cursor_date TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        resume_at INTEGER,
+        days_completed INTEGER NOT NULL DEFAULT 0,
+        total_days INTEGER NOT NULL,
+        samples_synced INTEGER NOT NULL DEFAULT 0,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        error_message TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_backfill_jobs_status ON backfill_jobs(status);
+    `);
+  }
+};
@@ -0,0 +1,17 @@
+/**
+ * Per-date sync cursors for incremental syncs.
+ * @module backend/data/migrations/003-sync-log-cursors
+ */
+export default {
+  description: 'Add sync_date and cursor to sync_log',
+
+  /**
+   * @param {import('../migration-runner.js').default} migrator - Runner executing the migration.
+   * @returns {Promise<void>}
+   */
+  async up(migrator) {
+    await migrator.add_column_if_missing('sync_log', 'sync_date', 'TEXT');
+    await migrator.add_column_if_missing('sync_log', 'cursor', 'TEXT');
+    await migrator.exec('CREATE INDEX IF NOT EXISTS idx_sync_log_cursor ON sync_log(data_type, sync_date)');
+  }
+};
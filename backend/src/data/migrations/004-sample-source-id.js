@@ -0,0 +1,18 @@
+/**
+ * Fitbit log ids on samples, so edited logs (e.g. weight) update in place.
+ * @module backend/data/migrations/004-sample-source-id
+ */
+export default {
+  description: 'Add source_id to samples',
+
+  /**
+   * @param {import('../migration-runner.js').default} migrator - Runner executing the migration.
+   * @returns {Promise<void>}
+   */
+  async up(migrator) {
+    await migrator.add_column_if_missing('samples', 'source_id', 'TEXT');
+    await migrator.exec(
+      'CREATE UNIQUE INDEX IF NOT EXISTS idx_samples_source_id ON samples(type, source_id) WHERE source_id IS NOT NULL'
+    );
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * Nightly sleep sessions with their stage intervals.
+ * @module backend/data/migrations/005-sleep-sessions
+ */
+export default {
+  description: 'Create sleep_sessions table',
+
+  /**
+   * @param {import('../migration-runner.js').default} migrator - Runner executing the migration.
+   * @returns {Promise<void>}
+   */
+  async up(migrator) {
+    await migrator.exec(`
+      CREATE TABLE IF NOT EXISTS sleep_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        log_id TEXT NOT NULL UNIQUE,
+        date_of_sleep TEXT NOT NULL,
+        start_time TEXT NOT NULL,
+        end_time TEXT NOT NULL,
+        duration_ms INTEGER,
+        minutes_asleep INTEGER,
+        minutes_awake INTEGER,
+        time_in_bed INTEGER,
+        efficiency INTEGER,
+        is_main_sleep INTEGER NOT NULL DEFAULT 0,
+        log_type TEXT,
+        summary TEXT,
+        stages TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_sleep_sessions_date ON sleep_sessions(date_of_sleep);
+    `);
+  }
+};
@@ -0,0 +1,84 @@
+/**
+ * Typed sample values: numeric samples with a unit, categorical samples (e.g. sleep stages)
+ * and JSON metadata. Rebuilds samples, where categorical values were stored as text in the
+ * REAL `value` column.
+ * @module backend/data/migrations/006-typed-sample-values
+ */
+
+/**
+ * Units for the numeric sample types stored before samples had a unit column.
+ */
+const LEGACY_SAMPLE_UNITS = {
+  steps: 'count',
+  activeCalories: 'kcal',
+  heartRate: 'count/min',
+  restingHeartRate: 'count/min',
+  heartRateZoneOutOfRange: 'min',
+  heartRateZoneFatBurn: 'min',
+  heartRateZoneCardio: 'min',
+  heartRateZonePeak: 'min',
+  oxygenSaturation: '%',
+  respiratoryRate: 'count/min',
+  bodyTemperature: 'degF',
+  heartRateVariabilityDailyRMSSD: 'ms',
+  heartRateVariabilityDeepRMSSD: 'ms',
+  heartRateVariabilityRMSSD: 'ms',
+  heartRateVariabilitySDNN: 'ms',
+  bodyMass: 'lb',
+  bodyMassIndex: 'count',
+  bodyFatPercentage: '%'
+};
+
+export default {
+  description: 'Split sample values into numeric and categorical, add unit and metadata',
+
+  /**
+   * @param {import('../migration-runner.js').default} migrator - Runner executing the migration.
+   * @returns {Promise<void>}
+   */
+  async up(migrator) {
+    if (await migrator.has_column('samples', 'value_kind')) {
+      return;
+    }
+
+    const unit_cases = Object.entries(LEGACY_SAMPLE_UNITS)
+      .map(([type, unit]) => `WHEN '${type}' THEN '${unit}'`)
+      .join(' ');
+
+    await migrator.exec(`
+      CREATE TABLE samples_typed (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        value_kind TEXT NOT NULL DEFAULT 'numeric' CHECK (value_kind IN ('numeric', 'categorical')),
+        value REAL,
+        category TEXT,
+        unit TEXT,
+        metadata TEXT,
+        timestamp TEXT,
+        start_time TEXT,
+        end_time TEXT,
+        source_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(type, timestamp, start_time, end_time),
+        CHECK ((value_kind = 'numeric' AND value IS NOT NULL) OR (value_kind = 'categorical' AND category IS NOT NULL))
+      );
+
+      INSERT INTO samples_typed (id, type, value_kind, value, category, unit, timestamp, start_time, end_time, source_id, created_at)
+        SELECT id, type,
+          CASE WHEN typeof(value) = 'text' THEN 'categorical' ELSE 'numeric' END,
+          CASE WHEN typeof(value) = 'text' THEN NULL ELSE value END,
+          CASE WHEN typeof(value) = 'text' THEN value ELSE NULL END,
+          CASE WHEN typeof(value) = 'text' THEN NULL ELSE (CASE type ${unit_cases} ELSE NULL END) END,
+          timestamp, start_time, end_time, source_id, created_at
+        FROM samples;
+
+      DROP TABLE samples;
+      ALTER TABLE samples_typed RENAME TO samples;
+
+      CREATE INDEX idx_samples_timestamp ON samples(timestamp);
+      CREATE INDEX idx_samples_start_time ON samples(start_time);
+      CREATE INDEX idx_samples_type ON samples(type);
+      CREATE UNIQUE INDEX idx_samples_source_id ON samples(type, source_id) WHERE source_id IS NOT NULL;
+    `);
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * NULL-safe uniqueness for samples. SQLite treats NULLs as distinct in UNIQUE constraints, so
+ * point samples (no start/end) and interval samples (no timestamp) were stored again on every
+ * refetch. Removes those duplicates, keeping the newest row, and adds a unique index that
+ * compares missing times as equal.
+ * @module backend/data/migrations/007-sample-identity-index
+ */
+export default {
+  description: 'Remove duplicate samples and add a NULL-safe unique index',
+
+  /**
+   * @param {import('../migration-runner.js').default} migrator - Runner executing the migration.
+   * @returns {Promise<void>}
+   */
+  async up(migrator) {
+    await migrator.exec(`
+      DELETE FROM samples WHERE id NOT IN (
+        SELECT MAX(id) FROM samples
+        GROUP BY type, IFNULL(timestamp, ''), IFNULL(start_time, ''), IFNULL(end_time, '')
+      );
+
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_samples_identity
+        ON samples(type, IFNULL(timestamp, ''), IFNULL(start_time, ''), IFNULL(end_time, ''));
+    `);
+  }
+};
@@ -0,0 +1,29 @@
+/**
+ * Per-type retention policies, replacing the fixed 30-day cleanup. The `*` row is the default
+ * for types without their own policy and keeps samples forever; intraday heart rate is kept
+ * for 90 days and archived before it is deleted.
+ * @module backend/data/migrations/008-retention-policies
+ */
+export default {
+  description: 'Create retention_policies table with default policies',
+
+  /**
+   * @param {import('../migration-runner.js').default} migrator - Runner executing the migration.
+   * @returns {Promise<void>}
+   */
+  async up(migrator) {
+    await migrator.exec(`
+      CREATE TABLE retention_policies (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sample_type TEXT NOT NULL UNIQUE,
+        keep_days INTEGER CHECK (keep_days IS NULL OR keep_days > 0),
+        archive INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      INSERT INTO retention_policies (sample_type, keep_days, archive) VALUES ('*', NULL, 0);
+      INSERT INTO retention_policies (sample_type, keep_days, archive) VALUES ('heartRate', 90, 1);
+    `);
+  }
+};
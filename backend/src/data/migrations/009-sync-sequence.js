@@ -0,0 +1,54 @@
+/**
+ * Insertion-order sequence for samples and per-client sync cursors.
+ * Every insert or change of a sample's value, unit, metadata or times stamps it with the next
+ * number from `sync_sequence`, via triggers so every write path is covered. Clients page
+ * through samples by sequence and acknowledge what they have stored. A migration that rebuilds
+ * the samples table must recreate these triggers.
+ * @module backend/data/migrations/009-sync-sequence
+ */
+export default {
+  description: 'Add samples.sync_seq with triggers, and sync_clients cursors',
+
+  /**
+   * @param {import('../migration-runner.js').default} migrator - Runner executing the migration.
+   * @returns {Promise<void>}
+   */
+  async up(migrator) {
+    await migrator.add_column_if_missing('samples', 'sync_seq', 'INTEGER');
+    await migrator.exec(`
+      CREATE TABLE sync_sequence (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        value INTEGER NOT NULL
+      );
+
+      -- Existing samples keep their insertion order
+      UPDATE samples SET sync_seq = id;
+      INSERT INTO sync_sequence (id, value) SELECT 1, COALESCE(MAX(id), 0) FROM samples;
+
+      CREATE INDEX idx_samples_sync_seq ON samples(sync_seq);
+
+      CREATE TRIGGER samples_sync_seq_insert AFTER INSERT ON samples
+      BEGIN
+        UPDATE sync_sequence SET value = value + 1 WHERE id = 1;
+        UPDATE samples SET sync_seq = (SELECT value FROM sync_sequence WHERE id = 1) WHERE id = NEW.id;
+      END;
+
+      CREATE TRIGGER samples_sync_seq_update
+      AFTER UPDATE OF value_kind, value, category, unit, metadata, timestamp, start_time, end_time ON samples
+      BEGIN
+        UPDATE sync_sequence SET value = value + 1 WHERE id = 1;
+        UPDATE samples SET sync_seq = (SELECT value FROM sync_sequence WHERE id = 1) WHERE id = NEW.id;
+      END;
+
+      CREATE TABLE sync_clients (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        client_id TEXT NOT NULL UNIQUE,
+        acked_seq INTEGER NOT NULL DEFAULT 0,
+        delivered_seq INTEGER NOT NULL DEFAULT 0,
+        last_seen_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+  }
+};
@@ -0,0 +1,63 @@
+/**
+ * Tombstones for deleted and replaced samples, so clients mirroring samples (e.g. into HealthKit)
+ * can remove their copies. Tombstones take a number from the same `sync_sequence` as samples.
+ * When a sample's value, unit, metadata or times change, the old version is recorded as
+ * `replaced` before the sample gets its new sequence number. Deletions are recorded by
+ * `SampleRepository`, so retention can delete expired samples without telling mirrors.
+ * @module backend/data/migrations/010-sample-tombstones
+ */
+export default {
+  description: 'Create sample_tombstones and record replaced samples',
+
+  /**
+   * @param {import('../migration-runner.js').default} migrator - Runner executing the migration.
+   * @returns {Promise<void>}
+   */
+  async up(migrator) {
+    await migrator.exec(`
+      CREATE TABLE sample_tombstones (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sync_seq INTEGER,
+        sample_id INTEGER NOT NULL,
+        reason TEXT NOT NULL CHECK (reason IN ('deleted', 'replaced')),
+        type TEXT NOT NULL,
+        value_kind TEXT NOT NULL,
+        value REAL,
+        category TEXT,
+        unit TEXT,
+        metadata TEXT,
+        timestamp TEXT,
+        start_time TEXT,
+        end_time TEXT,
+        source_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX idx_sample_tombstones_sync_seq ON sample_tombstones(sync_seq);
+      CREATE INDEX idx_sample_tombstones_sample_id ON sample_tombstones(sample_id);
+      CREATE INDEX idx_sample_tombstones_created_at ON sample_tombstones(created_at);
+
+      CREATE TRIGGER sample_tombstones_sync_seq_insert AFTER INSERT ON sample_tombstones
+      BEGIN
+        UPDATE sync_sequence SET value = value + 1 WHERE id = 1;
+        UPDATE sample_tombstones SET sync_seq = (SELECT value FROM sync_sequence WHERE id = 1) WHERE id = NEW.id;
+      END;
+
+      DROP TRIGGER samples_sync_seq_update;
+
+      CREATE TRIGGER samples_sync_seq_update
+      AFTER UPDATE OF value_kind, value, category, unit, metadata, timestamp, start_time, end_time ON samples
+      WHEN OLD.value_kind IS NOT NEW.value_kind OR OLD.value IS NOT NEW.value OR OLD.category IS NOT NEW.category
+        OR OLD.unit IS NOT NEW.unit OR OLD.metadata IS NOT NEW.metadata OR OLD.timestamp IS NOT NEW.timestamp
+        OR OLD.start_time IS NOT NEW.start_time OR OLD.end_time IS NOT NEW.end_time
+      BEGIN
+        INSERT INTO sample_tombstones (sample_id, reason, type, value_kind, value, category, unit, metadata,
+          timestamp, start_time, end_time, source_id)
+        VALUES (OLD.id, 'replaced', OLD.type, OLD.value_kind, OLD.value, OLD.category, OLD.unit, OLD.metadata,
+          OLD.timestamp, OLD.start_time, OLD.end_time, OLD.source_id);
+        UPDATE sync_sequence SET value = value + 1 WHERE id = 1;
+        UPDATE samples SET sync_seq = (SELECT value FROM sync_sequence WHERE id = 1) WHERE id = NEW.id;
+      END;
+    `);
+  }
+};
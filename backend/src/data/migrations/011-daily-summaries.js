@@ -0,0 +1,40 @@
+/**
+ * Index on measurement time and a materialized daily rollup of numeric samples.
+ * A sample's measurement time is its timestamp, or its start for intervals; days were UTC days of
+ * that time until migration 020 moved them to the server's local days. `daily_summaries` holds
+ * count, sum, min and max per type and day, kept current by `SampleRepository.store_samples()` and
+ * user-initiated sample deletes, so day, week and month aggregates read one row per day instead of
+ * every sample. Retention deletes leave the rollups in place, so charts keep the days whose raw
+ * samples have expired.
+ * @module backend/data/migrations/011-daily-summaries
+ */
+export default {
+  description: 'Add a measurement time index and the daily_summaries table',
+
+  /**
+   * @param {import('../migration-runner.js').default} migrator - Runner executing the migration.
+   * @returns {Promise<void>}
+   */
+  async up(migrator) {
+    await migrator.exec(`
+      CREATE INDEX idx_samples_measured ON samples(type, COALESCE(timestamp, start_time));
+
+      CREATE TABLE daily_summaries (
+        type TEXT NOT NULL,
+        date TEXT NOT NULL,
+        count INTEGER NOT NULL,
+        sum REAL,
+        min REAL,
+        max REAL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (type, date)
+      );
+
+      INSERT INTO daily_summaries (type, date, count, sum, min, max)
+      SELECT type, substr(COALESCE(timestamp, start_time), 1, 10), COUNT(*), SUM(value), MIN(value), MAX(value)
+      FROM samples
+      WHERE value_kind = 'numeric' AND COALESCE(timestamp, start_time) IS NOT NULL
+      GROUP BY type, substr(COALESCE(timestamp, start_time), 1, 10);
+    `);
+  }
+};
@@ -0,0 +1,155 @@
+/**
+ * User accounts, one per Microsoft Entra identity, owning Fitbit tokens, samples and everything
+ * synced or derived from them. Data stored before accounts existed is given to a placeholder
+ * user (id 1, no Entra identity), which the owner's Entra identity takes over. Samples,
+ * sync_clients and daily_summaries are rebuilt so their unique keys include the owner, and the
+ * sync sequence triggers are recreated with samples; tombstones for replaced samples now
+ * record the owner too.
+ * @module backend/data/migrations/012-users
+ */
+
+/**
+ * Tables that gain a nullable user_id column in place.
+ */
+const OWNED_TABLES = ['tokens', 'sync_log', 'sleep_sessions', 'backfill_jobs', 'sample_tombstones'];
+
+export default {
+  description: 'Add users and scope tokens, samples and sync state to a user',
+
+  /**
+   * @param {import('../migration-runner.js').default} migrator - Runner executing the migration.
+   * @returns {Promise<void>}
+   */
+  async up(migrator) {
+    await migrator.exec(`
+      CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        entra_oid TEXT UNIQUE,
+        email TEXT,
+        name TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_login_at DATETIME
+      );
+    `);
+
+    const existing = await migrator.get(`
+      SELECT EXISTS (SELECT 1 FROM tokens) OR EXISTS (SELECT 1 FROM samples) OR EXISTS (SELECT 1 FROM sync_log)
+        OR EXISTS (SELECT 1 FROM sleep_sessions) OR EXISTS (SELECT 1 FROM backfill_jobs)
+        OR EXISTS (SELECT 1 FROM sync_clients) OR EXISTS (SELECT 1 FROM sample_tombstones)
+        OR EXISTS (SELECT 1 FROM daily_summaries) AS has_data
+    `);
+    if (existing.has_data) {
+      await migrator.run('INSERT INTO users (id, name) VALUES (1, ?)', ['Existing data']);
+    }
+
+    for (const table of OWNED_TABLES) {
+      await migrator.add_column_if_missing(table, 'user_id', 'INTEGER REFERENCES users(id)');
+      await migrator.run(`UPDATE ${table} SET user_id = 1`);
+    }
+    await migrator.add_column_if_missing('tokens', 'fitbit_user_id', 'TEXT');
+
+    await migrator.exec(`
+      -- Tokens were replaced on every store, so keep only the newest in case of leftovers
+      DELETE FROM tokens WHERE id NOT IN (SELECT MAX(id) FROM tokens);
+
+      CREATE UNIQUE INDEX idx_tokens_user_id ON tokens(user_id);
+      CREATE INDEX idx_tokens_fitbit_user_id ON tokens(fitbit_user_id);
+      CREATE INDEX idx_sync_log_user_cursor ON sync_log(user_id, data_type, sync_date);
+      CREATE INDEX idx_sleep_sessions_user_date ON sleep_sessions(user_id, date_of_sleep);
+      CREATE INDEX idx_backfill_jobs_user_id ON backfill_jobs(user_id);
+      CREATE INDEX idx_sample_tombstones_user_seq ON sample_tombstones(user_id, sync_seq);
+
+      CREATE TABLE samples_owned (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id),
+        type TEXT NOT NULL,
+        value_kind TEXT NOT NULL DEFAULT 'numeric' CHECK (value_kind IN ('numeric', 'categorical')),
+        value REAL,
+        category TEXT,
+        unit TEXT,
+        metadata TEXT,
+        timestamp TEXT,
+        start_time TEXT,
+        end_time TEXT,
+        source_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        sync_seq INTEGER,
+        CHECK ((value_kind = 'numeric' AND value IS NOT NULL) OR (value_kind = 'categorical' AND category IS NOT NULL))
+      );
+
+      INSERT INTO samples_owned (id, user_id, type, value_kind, value, category, unit, metadata, timestamp,
+        start_time, end_time, source_id, created_at, sync_seq)
+        SELECT id, 1, type, value_kind, value, category, unit, metadata, timestamp,
+          start_time, end_time, source_id, created_at, sync_seq
+        FROM samples;
+
+      DROP TABLE samples;
+      ALTER TABLE samples_owned RENAME TO samples;
+
+      CREATE INDEX idx_samples_timestamp ON samples(timestamp);
+      CREATE INDEX idx_samples_start_time ON samples(start_time);
+      CREATE INDEX idx_samples_type ON samples(type);
+      CREATE INDEX idx_samples_user_seq ON samples(user_id, sync_seq);
+      CREATE UNIQUE INDEX idx_samples_source_id ON samples(user_id, type, source_id) WHERE source_id IS NOT NULL;
+      CREATE UNIQUE INDEX idx_samples_identity
+        ON samples(user_id, type, IFNULL(timestamp, ''), IFNULL(start_time, ''), IFNULL(end_time, ''));
+      CREATE INDEX idx_samples_measured ON samples(user_id, type, COALESCE(timestamp, start_time));
+
+      CREATE TRIGGER samples_sync_seq_insert AFTER INSERT ON samples
+      BEGIN
+        UPDATE sync_sequence SET value = value + 1 WHERE id = 1;
+        UPDATE samples SET sync_seq = (SELECT value FROM sync_sequence WHERE id = 1) WHERE id = NEW.id;
+      END;
+
+      CREATE TRIGGER samples_sync_seq_update
+      AFTER UPDATE OF value_kind, value, category, unit, metadata, timestamp, start_time, end_time ON samples
+      WHEN OLD.value_kind IS NOT NEW.value_kind OR OLD.value IS NOT NEW.value OR OLD.category IS NOT NEW.category
+        OR OLD.unit IS NOT NEW.unit OR OLD.metadata IS NOT NEW.metadata OR OLD.timestamp IS NOT NEW.timestamp
+        OR OLD.start_time IS NOT NEW.start_time OR OLD.end_time IS NOT NEW.end_time
+      BEGIN
+        INSERT INTO sample_tombstones (user_id, sample_id, reason, type, value_kind, value, category, unit, metadata,
+          timestamp, start_time, end_time, source_id)
+        VALUES (OLD.user_id, OLD.id, 'replaced', OLD.type, OLD.value_kind, OLD.value, OLD.category, OLD.unit,
+          OLD.metadata, OLD.timestamp, OLD.start_time, OLD.end_time, OLD.source_id);
+        UPDATE sync_sequence SET value = value + 1 WHERE id = 1;
+        UPDATE samples SET sync_seq = (SELECT value FROM sync_sequence WHERE id = 1) WHERE id = NEW.id;
+      END;
+
+      CREATE TABLE sync_clients_owned (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id),
+        client_id TEXT NOT NULL,
+        acked_seq INTEGER NOT NULL DEFAULT 0,
+        delivered_seq INTEGER NOT NULL DEFAULT 0,
+        last_seen_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, client_id)
+      );
+
+      INSERT INTO sync_clients_owned (id, user_id, client_id, acked_seq, delivered_seq, last_seen_at, created_at, updated_at)
+        SELECT id, 1, client_id, acked_seq, delivered_seq, last_seen_at, created_at, updated_at FROM sync_clients;
+
+      DROP TABLE sync_clients;
+      ALTER TABLE sync_clients_owned RENAME TO sync_clients;
+
+      CREATE TABLE daily_summaries_owned (
+        user_id INTEGER NOT NULL REFERENCES users(id),
+        type TEXT NOT NULL,
+        date TEXT NOT NULL,
+        count INTEGER NOT NULL,
+        sum REAL,
+        min REAL,
+        max REAL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, type, date)
+      );
+
+      INSERT INTO daily_summaries_owned (user_id, type, date, count, sum, min, max, updated_at)
+        SELECT 1, type, date, count, sum, min, max, updated_at FROM daily_summaries;
+
+      DROP TABLE daily_summaries;
+      ALTER TABLE daily_summaries_owned RENAME TO daily_summaries;
+    `);
+  }
+};
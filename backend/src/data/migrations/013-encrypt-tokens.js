@@ -0,0 +1,37 @@
+/**
+ * Encrypts stored Fitbit access and refresh tokens with `TOKEN_ENCRYPTION_KEY` (see TokenCipher).
+ * The key is only needed if tokens are stored; a database without tokens migrates without it.
+ * @module backend/data/migrations/013-encrypt-tokens
+ */
+import TokenCipher from '../token-cipher.js';
+
+export default {
+  description: 'Encrypt stored Fitbit access and refresh tokens',
+
+  /**
+   * @param {import('../migration-runner.js').default} migrator - Runner executing the migration.
+   * @returns {Promise<void>}
+   */
+  async up(migrator) {
+    const rows = await migrator.all('SELECT id, access_token, refresh_token FROM tokens');
+    if (rows.length === 0) {
+      return;
+    }
+
+    const cipher = TokenCipher.from_env();
+    if (!cipher) {
+      throw new Error('TOKEN_ENCRYPTION_KEY environment variable is required to encrypt the stored Fitbit tokens');
+    }
+
+    for (const row of rows) {
+      await migrator.run(
+        'UPDATE tokens SET access_token = ?, refresh_token = ? WHERE id = ?',
+        [
+          TokenCipher.is_encrypted(row.access_token) ? row.access_token : cipher.encrypt(row.access_token),
+          TokenCipher.is_encrypted(row.refresh_token) ? row.refresh_token : cipher.encrypt(row.refresh_token),
+          row.id
+        ]
+      );
+    }
+  }
+};
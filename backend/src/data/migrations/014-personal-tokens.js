@@ -0,0 +1,32 @@
+/**
+ * Personal JWTs issued from `/auth/newtoken`, so they can be listed and revoked. One row per
+ * issued token pair, keyed by the `jti` of its first access token (`token_id`); refresh tokens and
+ * the access tokens they issue carry it as `tokenId`. Tokens issued before this migration get a
+ * row the first time they are used.
+ * @module backend/data/migrations/014-personal-tokens
+ */
+export default {
+  description: 'Add personal_tokens for listing and revoking personal JWTs',
+
+  /**
+   * @param {import('../migration-runner.js').default} migrator - Runner executing the migration.
+   * @returns {Promise<void>}
+   */
+  async up(migrator) {
+    await migrator.exec(`
+      CREATE TABLE personal_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id),
+        token_id TEXT NOT NULL UNIQUE,
+        label TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME,
+        last_used_at DATETIME,
+        last_used_ip TEXT,
+        revoked_at DATETIME
+      );
+
+      CREATE INDEX idx_personal_tokens_user_id ON personal_tokens(user_id);
+    `);
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * Scopes granted to each personal JWT, as a comma-separated list. Tokens issued before scopes
+ * existed have none recorded and keep access to every route.
+ * @module backend/data/migrations/015-personal-token-scopes
+ */
+export default {
+  description: 'Record the scopes granted to personal JWTs',
+
+  /**
+   * @param {import('../migration-runner.js').default} migrator - Runner executing the migration.
+   * @returns {Promise<void>}
+   */
+  async up(migrator) {
+    await migrator.add_column_if_missing('personal_tokens', 'scopes', 'TEXT');
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * Refresh token rotation for personal JWTs. Each personal token row is a token family and records
+ * the `jti` of its only valid refresh token; presenting any other refresh token of the family
+ * revokes it, with `revoke_reason` saying why. Families issued before this migration accept the
+ * next refresh token presented.
+ * @module backend/data/migrations/016-refresh-token-rotation
+ */
+export default {
+  description: 'Track the current refresh token of each personal token family',
+
+  /**
+   * @param {import('../migration-runner.js').default} migrator - Runner executing the migration.
+   * @returns {Promise<void>}
+   */
+  async up(migrator) {
+    await migrator.add_column_if_missing('personal_tokens', 'refresh_jti', 'TEXT');
+    await migrator.add_column_if_missing('personal_tokens', 'revoke_reason', 'TEXT');
+    await migrator.run(`UPDATE personal_tokens SET revoke_reason = 'revoked' WHERE revoked_at IS NOT NULL`);
+  }
+};
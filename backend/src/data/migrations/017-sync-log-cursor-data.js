@@ -0,0 +1,15 @@
+/**
+ * Provider data kept with an intraday sync cursor, e.g. the day's basal calorie rate, as JSON.
+ * @module backend/data/migrations/017-sync-log-cursor-data
+ */
+export default {
+  description: 'Add cursor_data to sync_log',
+
+  /**
+   * @param {import('../migration-runner.js').default} migrator - Runner executing the migration.
+   * @returns {Promise<void>}
+   */
+  async up(migrator) {
+    await migrator.add_column_if_missing('sync_log', 'cursor_data', 'TEXT');
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * Removes the `heartRateVariabilitySDNN` samples that copied Fitbit's daily RMSSD. RMSSD is not
+ * SDNN, so they are deleted with tombstones, letting mirrors such as HealthKit drop their copies,
+ * along with their daily summaries. Daily RMSSD stays in `heartRateVariabilityDailyRMSSD`.
+ * @module backend/data/migrations/018-drop-hrv-sdnn-samples
+ */
+export default {
+  description: 'Delete heartRateVariabilitySDNN samples copied from daily RMSSD',
+
+  /**
+   * @param {import('../migration-runner.js').default} migrator - Runner executing the migration.
+   * @returns {Promise<void>}
+   */
+  async up(migrator) {
+    await migrator.exec(`
+      INSERT INTO sample_tombstones (user_id, sample_id, reason, type, value_kind, value, category, unit, metadata,
+        timestamp, start_time, end_time, source_id)
+      SELECT user_id, id, 'deleted', type, value_kind, value, category, unit, metadata, timestamp, start_time, end_time, source_id
+      FROM samples WHERE type = 'heartRateVariabilitySDNN' ORDER BY id;
+
+      DELETE FROM samples WHERE type = 'heartRateVariabilitySDNN';
+      DELETE FROM daily_summaries WHERE type = 'heartRateVariabilitySDNN';
+    `);
+  }
+};
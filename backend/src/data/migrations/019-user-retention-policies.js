@@ -0,0 +1,36 @@
+/**
+ * Retention policies per user. Policies stored so far become server defaults (no user), which
+ * apply to every user for the types they have not set themselves; users can only change their
+ * own policies, which only delete their own samples.
+ * @module backend/data/migrations/019-user-retention-policies
+ */
+export default {
+  description: 'Scope retention policies to a user, keeping existing ones as server defaults',
+
+  /**
+   * @param {import('../migration-runner.js').default} migrator - Runner executing the migration.
+   * @returns {Promise<void>}
+   */
+  async up(migrator) {
+    await migrator.exec(`
+      CREATE TABLE retention_policies_owned (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER REFERENCES users(id),
+        sample_type TEXT NOT NULL,
+        keep_days INTEGER CHECK (keep_days IS NULL OR keep_days > 0),
+        archive INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      INSERT INTO retention_policies_owned (id, user_id, sample_type, keep_days, archive, created_at, updated_at)
+      SELECT id, NULL, sample_type, keep_days, archive, created_at, updated_at FROM retention_policies;
+
+      DROP TABLE retention_policies;
+      ALTER TABLE retention_policies_owned RENAME TO retention_policies;
+
+      CREATE UNIQUE INDEX idx_retention_policies_user_type ON retention_policies(user_id, sample_type);
+      CREATE UNIQUE INDEX idx_retention_policies_default_type ON retention_policies(sample_type) WHERE user_id IS NULL;
+    `);
+  }
+};
@@ -0,0 +1,45 @@
+/**
+ * Rebuilds the daily summaries on the server's local days instead of UTC days, matching the days
+ * providers build their samples in, so a daily reading stamped at local end of day is counted on
+ * that day. Days before each user's first remaining sample of a type keep their UTC rollups, since
+ * retention has deleted the samples they were built from. Runs in the server's time zone.
+ * @module backend/data/migrations/020-local-daily-summaries
+ */
+
+/** Local day a sample was measured on; a bare date is already local. */
+const MEASURED_DATE = `date(CASE WHEN length(COALESCE(timestamp, start_time)) = 10 THEN COALESCE(timestamp, start_time)
+  ELSE datetime(COALESCE(timestamp, start_time), 'localtime') END)`;
+
+export default {
+  description: 'Rebuild daily summaries on local days',
+
+  /**
+   * @param {import('../migration-runner.js').default} migrator - Runner executing the migration.
+   * @returns {Promise<void>}
+   */
+  async up(migrator) {
+    await migrator.exec(`
+      CREATE TEMP TABLE first_sample_days AS
+      SELECT user_id, type, MIN(${MEASURED_DATE}) AS date
+      FROM samples
+      WHERE value_kind = 'numeric' AND COALESCE(timestamp, start_time) IS NOT NULL
+      GROUP BY user_id, type;
+
+      DELETE FROM daily_summaries
+      WHERE date > (
+        SELECT first.date FROM temp.first_sample_days AS first
+        WHERE first.user_id = daily_summaries.user_id AND first.type = daily_summaries.type
+      );
+
+      INSERT INTO daily_summaries (user_id, type, date, count, sum, min, max)
+      SELECT samples.user_id, samples.type, ${MEASURED_DATE}, COUNT(*), SUM(value), MIN(value), MAX(value)
+      FROM samples
+      JOIN temp.first_sample_days AS first ON first.user_id = samples.user_id AND first.type = samples.type
+      WHERE samples.value_kind = 'numeric' AND COALESCE(timestamp, start_time) IS NOT NULL
+        AND ${MEASURED_DATE} > first.date
+      GROUP BY samples.user_id, samples.type, ${MEASURED_DATE};
+
+      DROP TABLE temp.first_sample_days;
+    `);
+  }
+};
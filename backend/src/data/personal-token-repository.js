@@ -0,0 +1,130 @@
+/**
+ * Repository for managing issued personal JWTs.
+ * @module backend/data/personal-token-repository
+ */
+import BaseRepository from './base-repository.js';
+
+/**
+ * Repository for managing issued personal JWTs.
+ * A row is one token family from `/auth/newtoken`, identified by `token_id`: the first token pair
+ * and every token refreshed from it. Refresh tokens are single-use; `refresh_jti` is the one that
+ * is currently valid. Revoking the family rejects all of its tokens.
+ */
+class PersonalTokenRepository extends BaseRepository {
+  /**
+   * Records a newly issued token family.
+   * @param {number} user_id - Owning user id.
+   * @param {string} token_id - Token id (`jti` of the first access token).
+   * @param {string|null} label - Name given to the token.
+   * @param {string[]|null} scopes - Scopes granted to the token, or null for a token issued before scopes existed.
+   * @param {string} refresh_jti - `jti` of the family's refresh token.
+   * @param {number} expires_at - Expiry of the refresh token, in seconds since the epoch.
+   * @returns {Promise<Object>} The token.
+   */
+  async create_token(user_id, token_id, label, scopes, refresh_jti, expires_at) {
+    await this.execute_query(
+      `INSERT INTO personal_tokens (user_id, token_id, label, scopes, refresh_jti, expires_at)
+       VALUES (?, ?, ?, ?, ?, datetime(?, 'unixepoch'))`,
+      [user_id, token_id, label, scopes ? scopes.join(',') : null, refresh_jti, expires_at]
+    );
+    return this.get_token(token_id);
+  }
+
+  /**
+   * Retrieves a token by id, for any user.
+   * @param {string} token_id - Token id.
+   * @returns {Promise<Object|null>} The token, or null if it was never recorded.
+   */
+  async get_token(token_id) {
+    const row = await this.fetch_one('SELECT * FROM personal_tokens WHERE token_id = ?', [token_id]);
+    return row ? this._to_token(row) : null;
+  }
+
+  /**
+   * Retrieves a user's tokens, including revoked and expired ones.
+   * @param {number} user_id - Owning user id.
+   * @returns {Promise<Array<Object>>} Tokens, newest first.
+   */
+  async get_tokens(user_id) {
+    const rows = await this.fetch_all(
+      'SELECT * FROM personal_tokens WHERE user_id = ? ORDER BY created_at DESC, id DESC',
+      [user_id]
+    );
+    return rows.map(row => this._to_token(row));
+  }
+
+  /**
+   * Records that a token was used, adding it if it was issued before tokens were recorded.
+   * @param {number} user_id - Owning user id.
+   * @param {string} token_id - Token id.
+   * @param {string|null} ip - Client IP address.
+   * @param {number} expires_at - Expiry of the presented token, in seconds since the epoch; only used when adding it.
+   * @returns {Promise<void>}
+   */
+  async record_use(user_id, token_id, ip, expires_at) {
+    await this.execute_query(
+      `INSERT INTO personal_tokens (user_id, token_id, expires_at, last_used_at, last_used_ip)
+       VALUES (?, ?, datetime(?, 'unixepoch'), CURRENT_TIMESTAMP, ?)
+       ON CONFLICT(token_id) DO UPDATE SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = excluded.last_used_ip`,
+      [user_id, token_id, expires_at, ip]
+    );
+  }
+
+  /**
+   * Replaces a family's refresh token with a new one, if the presented one is still its current one.
+   * Families recorded before refresh tokens were tracked accept any of their refresh tokens once.
+   * @param {string} token_id - Token id.
+   * @param {string} used_jti - `jti` of the refresh token presented.
+   * @param {string} new_jti - `jti` of the refresh token replacing it.
+   * @param {number} expires_at - Expiry of the new refresh token, in seconds since the epoch.
+   * @returns {Promise<boolean>} True if rotated, false if the presented token was already used or the family is revoked.
+   */
+  async rotate_refresh_token(token_id, used_jti, new_jti, expires_at) {
+    const result = await this.execute_query(
+      `UPDATE personal_tokens SET refresh_jti = ?, expires_at = datetime(?, 'unixepoch')
+       WHERE token_id = ? AND revoked_at IS NULL AND (refresh_jti = ? OR refresh_jti IS NULL)`,
+      [new_jti, expires_at, token_id, used_jti]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Revokes one of a user's token families.
+   * @param {number} user_id - Owning user id.
+   * @param {string} token_id - Token id.
+   * @param {string} [reason='revoked'] - Why: `revoked` by the user, or `refresh_reused` when a used refresh token came back.
+   * @returns {Promise<boolean>} True if the token was revoked now, false if it is unknown or already revoked.
+   */
+  async revoke_token(user_id, token_id, reason = 'revoked') {
+    const result = await this.execute_query(
+      `UPDATE personal_tokens SET revoked_at = CURRENT_TIMESTAMP, revoke_reason = ?
+       WHERE user_id = ? AND token_id = ? AND revoked_at IS NULL`,
+      [reason, user_id, token_id]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Convert a personal token row.
+   * @param {Object} row - Database row.
+   * @returns {Object} Token with `user_id`, `token_id`, `label`, `scopes` (null if issued before scopes existed),
+   *   `refresh_jti`, `created_at`, `expires_at`, `last_used_at`, `last_used_ip`, `revoked_at` and `revoke_reason`.
+   */
+  _to_token(row) {
+    return {
+      user_id: row.user_id,
+      token_id: row.token_id,
+      label: row.label,
+      scopes: row.scopes === null ? null : row.scopes.split(',').filter(Boolean),
+      refresh_jti: row.refresh_jti,
+      created_at: row.created_at,
+      expires_at: row.expires_at,
+      last_used_at: row.last_used_at,
+      last_used_ip: row.last_used_ip,
+      revoked_at: row.revoked_at,
+      revoke_reason: row.revoke_reason
+    };
+  }
+}
+
+export default PersonalTokenRepository;
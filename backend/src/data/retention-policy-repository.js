@@ -0,0 +1,85 @@
+/**
+ * Repository for managing sample retention policies.
+ * @module backend/data/retention-policy-repository
+ */
+import BaseRepository from './base-repository.js';
+
+/**
+ * Repository for managing sample retention policies.
+ * Each row says how many days of one sample type to keep (NULL keeps them forever) and whether
+ * to archive samples before deleting them. The `*` row applies to types without their own row.
+ * Rows belong to a user, except server defaults (no user), which apply to every user for the
+ * types that user has not set.
+ */
+class RetentionPolicyRepository extends BaseRepository {
+  /**
+   * Retrieves the policies that apply to a user: their own, plus the server defaults for types they have not set.
+   * @param {number} user_id - Owning user id.
+   * @returns {Promise<Array<Object>>} Policies ordered by sample type, `*` first.
+   */
+  async get_policies(user_id) {
+    const rows = await this.fetch_all(
+      `SELECT user_id, sample_type, keep_days, archive, updated_at FROM retention_policies AS policy
+       WHERE user_id = ? OR (user_id IS NULL AND NOT EXISTS (
+         SELECT 1 FROM retention_policies AS own WHERE own.user_id = ? AND own.sample_type = policy.sample_type
+       ))
+       ORDER BY sample_type = '*' DESC, sample_type`,
+      [user_id, user_id]
+    );
+    return rows.map(row => this._to_policy(row));
+  }
+
+  /**
+   * Creates or replaces a user's policy for a sample type.
+   * @param {number} user_id - Owning user id.
+   * @param {string} sample_type - Sample type, or `*` for the user's default.
+   * @param {number|null} keep_days - Days to keep, measured from the sample time, or null for forever.
+   * @param {boolean} archive - Archive samples before deleting them.
+   * @returns {Promise<Object>} The stored policy.
+   */
+  async upsert_policy(user_id, sample_type, keep_days, archive) {
+    await this.execute_query(
+      `INSERT INTO retention_policies (user_id, sample_type, keep_days, archive) VALUES (?, ?, ?, ?)
+       ON CONFLICT(user_id, sample_type) DO UPDATE SET
+         keep_days = excluded.keep_days, archive = excluded.archive, updated_at = CURRENT_TIMESTAMP`,
+      [user_id, sample_type, keep_days, archive ? 1 : 0]
+    );
+    const row = await this.fetch_one(
+      'SELECT user_id, sample_type, keep_days, archive, updated_at FROM retention_policies WHERE user_id = ? AND sample_type = ?',
+      [user_id, sample_type]
+    );
+    return this._to_policy(row);
+  }
+
+  /**
+   * Deletes a user's policy for a sample type, so their default, or the server default, applies to it again.
+   * @param {number} user_id - Owning user id.
+   * @param {string} sample_type - Sample type.
+   * @returns {Promise<boolean>} True if a policy was deleted.
+   */
+  async delete_policy(user_id, sample_type) {
+    const result = await this.execute_query(
+      'DELETE FROM retention_policies WHERE user_id = ? AND sample_type = ?',
+      [user_id, sample_type]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Convert a policy row to its typed form.
+   * @param {Object} row - Database row.
+   * @returns {Object} Policy with `sample_type`, `keep_days`, `archive`, `updated_at` and
+   *   `is_default` (true for a server default).
+   */
+  _to_policy(row) {
+    return {
+      sample_type: row.sample_type,
+      keep_days: row.keep_days,
+      archive: row.archive === 1,
+      updated_at: row.updated_at,
+      is_default: row.user_id === null
+    };
+  }
+}
+
+export default RetentionPolicyRepository;
@@ -3,24 +3,105 @@
  * @module backend/data/sample-repository
  */
 import BaseRepository from './base-repository.js';
+import { ValidationError } from '../errors.js';
+
+/** Measurement time: the timestamp, or the start for intervals. */
+const MEASURED = 'COALESCE(timestamp, start_time)';
+
+/**
+ * Measurement time in the server's local time, which providers build their samples' days in.
+ * Timestamps are UTC; a bare date (YYYY-MM-DD), as daily readings such as SpO2 carry, is already local.
+ */
+const LOCAL_MEASURED = `CASE WHEN length(${MEASURED}) = 10 THEN ${MEASURED} ELSE datetime(${MEASURED}, 'localtime') END`;
+
+/** Local day a sample was measured on (YYYY-MM-DD). */
+const MEASURED_DATE = `date(${LOCAL_MEASURED})`;
+
+/**
+ * Condition selecting samples measured on local days from one date to another, given
+ * [first date - 1 day, last date + 2 days, first date, last date]. The widened UTC range lets the
+ * measurement time index narrow the scan, since no time zone is more than a day from UTC.
+ */
+const MEASURED_DATE_RANGE = `${MEASURED} >= ? AND ${MEASURED} < ? AND ${MEASURED_DATE} BETWEEN ? AND ?`;
+
+/**
+ * Rebuild one user's summary of one type for one day: delete with [user id, type, date], then
+ * insert with [date, user id, type, ...date range params for the day].
+ */
+const DELETE_DAILY_SUMMARY_SQL = 'DELETE FROM daily_summaries WHERE user_id = ? AND type = ? AND date = ?';
+const INSERT_DAILY_SUMMARY_SQL = `
+  INSERT INTO daily_summaries (user_id, type, date, count, sum, min, max)
+  SELECT user_id, type, ?, COUNT(*), SUM(value), MIN(value), MAX(value)
+  FROM samples
+  WHERE user_id = ? AND type = ? AND value_kind = 'numeric' AND ${MEASURED_DATE_RANGE}
+  GROUP BY user_id, type`;
+
+/** SQL expressions grouping a local date or time into aggregate buckets. */
+const BUCKET_EXPRESSIONS = {
+  hour: column => `strftime('%Y-%m-%dT%H:00:00', ${column})`,
+  day: column => `date(${column})`,
+  week: column => `date(${column}, 'weekday 0', '-6 days')`, // Monday
+  month: column => `strftime('%Y-%m-01', ${column})`
+};
+
+/**
+ * Add days to a YYYY-MM-DD date.
+ * @param {string} date_str - Date string (YYYY-MM-DD).
+ * @param {number} days - Days to add; negative to go back.
+ * @returns {string} Resulting date (YYYY-MM-DD).
+ */
+function add_days(date_str, days) {
+  const date = new Date(`${date_str}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the parameters for `MEASURED_DATE_RANGE`.
+ * @param {string} from - First local date (YYYY-MM-DD).
+ * @param {string} to - Last local date (YYYY-MM-DD).
+ * @returns {Array<string>} Query parameters.
+ */
+function measured_date_range(from, to) {
+  return [add_days(from, -1), add_days(to, 2), from, to];
+}
 
 /**
  * Repository for managing health data samples.
+ * Samples belong to a user, and every method works on one user's samples.
  */
 class SampleRepository extends BaseRepository {
   /**
-   * Stores an array of health data samples.
+   * Stores an array of health data samples for a user.
+   * A string `value` is stored as a categorical sample (e.g. a sleep stage) and a number as a
+   * numeric one with its `unit`; set `value_kind` to override. `metadata` is stored as JSON.
+   * A sample that already exists with the same type and times (missing times compare equal)
+   * takes the new value, so daily summaries refetched during the day stay current. Samples with a `source_id` (Fitbit's log id)
+   * are matched on it instead, so an edited log updates its sample even if its time changed.
+   * The daily summaries of the local days the samples fall on are rebuilt in the same transaction.
+   * @param {number} user_id - Owning user id.
    * @param {Array<Object>} samples - Array of sample objects.
-   * @returns {Promise<number>} Number of samples inserted.
+   * @returns {Promise<number>} Number of samples inserted or updated.
    */
-  async store_samples(samples) {
+  async store_samples(user_id, samples) {
     if (!samples || samples.length === 0) return 0;
 
     this._check_connection();
 
     const stmt = this.db.prepare(`
-      INSERT OR IGNORE INTO samples (type, value, timestamp, start_time, end_time)
-      VALUES (?, ?, ?, ?, ?)
+      INSERT INTO samples (user_id, type, value_kind, value, category, unit, metadata, timestamp, start_time, end_time, source_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(user_id, type, source_id) WHERE source_id IS NOT NULL
+      DO UPDATE SET value_kind = excluded.value_kind, value = excluded.value, category = excluded.category,
+        unit = excluded.unit, metadata = excluded.metadata, timestamp = excluded.timestamp,
+        start_time = excluded.start_time, end_time = excluded.end_time
+      WHERE value IS NOT excluded.value OR category IS NOT excluded.category OR unit IS NOT excluded.unit
+        OR metadata IS NOT excluded.metadata OR timestamp IS NOT excluded.timestamp
+      ON CONFLICT(user_id, type, IFNULL(timestamp, ''), IFNULL(start_time, ''), IFNULL(end_time, ''))
+      DO UPDATE SET value_kind = excluded.value_kind, value = excluded.value, category = excluded.category,
+        unit = excluded.unit, metadata = excluded.metadata
+      WHERE value IS NOT excluded.value OR category IS NOT excluded.category OR unit IS NOT excluded.unit
+        OR metadata IS NOT excluded.metadata
     `);
 
     return new Promise((resolve, reject) => {
@@ -29,12 +110,20 @@ class SampleRepository extends BaseRepository {
         
         let insert_count = 0;
         for (const sample of samples) {
+          const value_kind = sample.value_kind || (typeof sample.value === 'string' ? 'categorical' : 'numeric');
+          const is_categorical = value_kind === 'categorical';
           stmt.run([
+            user_id,
             sample.type,
-            sample.value,
+            value_kind,
+            is_categorical ? null : sample.value,
+            is_categorical ? String(sample.value) : null,
+            is_categorical ? null : (sample.unit || null),
+            sample.metadata ? JSON.stringify(sample.metadata) : null,
             sample.timestamp || sample.datetime || null,
             sample.start_time || sample.startTime || null,
-            sample.end_time || sample.endTime || null
+            sample.end_time || sample.endTime || null,
+            sample.source_id || sample.sourceId || null
           ], function(err) {
             if (err) {
               console.error('Error inserting sample:', err);
@@ -43,13 +132,18 @@ class SampleRepository extends BaseRepository {
             }
           });
         }
+
+        for (const [type, date] of this._get_summary_days(samples)) {
+          this.db.run(DELETE_DAILY_SUMMARY_SQL, [user_id, type, date]);
+          this.db.run(INSERT_DAILY_SUMMARY_SQL, [date, user_id, type, ...measured_date_range(date, date)]);
+        }
         
         this.db.run('COMMIT', (err) => {
           if (err) {
             this.db.run('ROLLBACK');
             reject(err);
           } else {
-            console.log(`Stored ${insert_count} new samples`);
+            console.log(`Stored ${insert_count} new or updated samples`);
             resolve(insert_count);
           }
         });
@@ -61,33 +155,109 @@ class SampleRepository extends BaseRepository {
 
   /**
    * Retrieves samples added since the given timestamp.
+   * Samples timestamped in the future, such as today's daily summaries, are held back until
+   * their time has passed so they are only handed out once.
+   * @param {number} user_id - Owning user id.
    * @param {string} last_sync_timestamp - ISO timestamp string.
    * @returns {Promise<Array<Object>>} Array of sample objects.
    */
-  async get_samples_since(last_sync_timestamp) {
+  async get_samples_since(user_id, last_sync_timestamp) {
     const query = `
-      SELECT type, value, timestamp, start_time, end_time
+      SELECT type, value_kind, value, category, unit, metadata, timestamp, start_time, end_time
       FROM samples 
       WHERE 
-        (timestamp > ? AND timestamp IS NOT NULL) OR 
-        (start_time > ? AND start_time IS NOT NULL)
+        user_id = ? AND
+        COALESCE(timestamp, start_time) > ? AND
+        COALESCE(timestamp, start_time) <= ?
       ORDER BY 
         COALESCE(timestamp, start_time) ASC
     `;
 
-    const rows = await this.fetch_all(query, [last_sync_timestamp, last_sync_timestamp]);
+    const rows = await this.fetch_all(query, [user_id, last_sync_timestamp, new Date().toISOString()]);
     
-    return rows.map(row => {
-      const cleaned = { type: row.type, value: row.value };
-      if (row.timestamp) cleaned.timestamp = row.timestamp;
-      if (row.start_time) cleaned.start_time = row.start_time;
-      if (row.end_time) cleaned.end_time = row.end_time;
-      return cleaned;
-    });
+    return rows.map(row => this._to_sync_sample(row));
+  }
+
+  /**
+   * Retrieves samples inserted or changed after a sync sequence number, in sequence order.
+   * Unlike `get_samples_since`, this finds backfilled and corrected samples whatever their
+   * measurement time. The sequence is shared by all users, so a user's numbers have gaps.
+   * @param {number} user_id - Owning user id.
+   * @param {number} after_seq - Last sequence the caller already has.
+   * @param {number} limit - Maximum number of samples.
+   * @returns {Promise<Array<Object>>} Samples in the sync format, plus `id` and `sequence`.
+   */
+  async get_samples_after_sequence(user_id, after_seq, limit) {
+    const rows = await this.fetch_all(
+      `SELECT id, sync_seq, type, value_kind, value, category, unit, metadata, timestamp, start_time, end_time
+       FROM samples WHERE user_id = ? AND sync_seq > ? ORDER BY sync_seq LIMIT ?`,
+      [user_id, after_seq, limit]
+    );
+    return rows.map(row => ({ id: row.id, sequence: row.sync_seq, ...this._to_sync_sample(row) }));
+  }
+
+  /**
+   * Iterates over samples one row at a time from a SQLite cursor, in measurement time order,
+   * so exports never hold the whole table in memory.
+   * @param {number} user_id - Owning user id.
+   * @param {Object} [filters] - Optional filters.
+   * @param {string} [filters.from] - First date (YYYY-MM-DD), by measurement time.
+   * @param {string} [filters.to] - Last date (YYYY-MM-DD), by measurement time.
+   * @param {Array<string>} [filters.types] - Sample types to include.
+   * @returns {AsyncGenerator<Object>} Samples with `id`, typed value, times, `source_id` and `created_at`.
+   */
+  async *iterate_samples(user_id, { from = null, to = null, types = null } = {}) {
+    this._check_connection();
+
+    const conditions = ['user_id = ?'];
+    const params = [user_id];
+    if (from) {
+      conditions.push('COALESCE(timestamp, start_time) >= ?');
+      params.push(`${from}T00:00:00.000Z`);
+    }
+    if (to) {
+      conditions.push('COALESCE(timestamp, start_time) <= ?');
+      params.push(`${to}T23:59:59.999Z`);
+    }
+    if (types && types.length > 0) {
+      conditions.push(`type IN (${types.map(() => '?').join(',')})`);
+      params.push(...types);
+    }
+    const where_clause = `WHERE ${conditions.join(' AND ')}`;
+
+    const stmt = this.db.prepare(
+      `SELECT id, type, value_kind, value, category, unit, metadata, timestamp, start_time, end_time, source_id, created_at
+       FROM samples ${where_clause}
+       ORDER BY COALESCE(timestamp, start_time), id`,
+      params
+    );
+
+    try {
+      while (true) {
+        // get() without parameters steps the same cursor to the next row
+        const row = await new Promise((resolve, reject) => {
+          stmt.get((err, next_row) => err ? reject(err) : resolve(next_row));
+        });
+        if (!row) return;
+
+        yield {
+          id: row.id,
+          ...this._to_sample(row),
+          timestamp: row.timestamp,
+          start_time: row.start_time,
+          end_time: row.end_time,
+          source_id: row.source_id,
+          created_at: row.created_at
+        };
+      }
+    } finally {
+      stmt.finalize();
+    }
   }
 
   /**
-   * Retrieves a paginated list of samples with optional filtering and sorting.
+   * Retrieves a paginated list of a user's samples with optional filtering and sorting.
+   * @param {number} user_id - Owning user id.
    * @param {number} page - Page number (default: 1).
    * @param {number} limit - Number of samples per page (default: 100).
    * @param {string} type_filter - Optional sample type to filter by.
@@ -95,9 +265,9 @@ class SampleRepository extends BaseRepository {
    * @param {string} sort_direction - Sort direction ('asc' or 'desc', default: 'desc').
    * @returns {Promise<Object>} Paginated samples and pagination info.
    */
-  async get_samples_paginated(page = 1, limit = 100, type_filter = null, sort_column = 'created_at', sort_direction = 'desc') {
+  async get_samples_paginated(user_id, page = 1, limit = 100, type_filter = null, sort_column = 'created_at', sort_direction = 'desc') {
     const offset = (page - 1) * limit;
-    const valid_sort_columns = ['type', 'value', 'timestamp', 'start_time', 'end_time', 'created_at'];
+    const valid_sort_columns = ['type', 'value', 'unit', 'timestamp', 'start_time', 'end_time', 'created_at'];
     const valid_directions = ['asc', 'desc'];
     
     if (!valid_sort_columns.includes(sort_column)) {
@@ -107,11 +277,11 @@ class SampleRepository extends BaseRepository {
       sort_direction = 'desc';
     }
 
-    let where_clause = '';
-    let params = [];
+    let where_clause = 'WHERE user_id = ?';
+    let params = [user_id];
     
     if (type_filter) {
-      where_clause = 'WHERE type = ?';
+      where_clause += ' AND type = ?';
       params.push(type_filter);
     }
 
@@ -119,11 +289,17 @@ class SampleRepository extends BaseRepository {
     const total_result = await this.fetch_one(count_query, params);
     const total_count = total_result.total;
 
+    // Numeric and categorical values live in separate columns, so sort on both
+    const direction = sort_direction.toUpperCase();
+    const order_by = sort_column === 'value'
+      ? `value_kind ${direction}, value ${direction}, category ${direction}`
+      : `${sort_column} ${direction}`;
+
     const data_query = `
-      SELECT id, type, value, timestamp, start_time, end_time, created_at
+      SELECT id, type, value_kind, value, category, unit, metadata, timestamp, start_time, end_time, created_at
       FROM samples 
       ${where_clause}
-      ORDER BY ${sort_column} ${sort_direction.toUpperCase()}
+      ORDER BY ${order_by}
       LIMIT ? OFFSET ?
     `;
     
@@ -131,10 +307,14 @@ class SampleRepository extends BaseRepository {
     const samples = await this.fetch_all(data_query, data_params);
 
     const cleaned_samples = samples.map(row => {
+      const sample = this._to_sample(row);
       const cleaned = { 
         id: row.id,
         type: row.type, 
-        value: row.value,
+        value_kind: sample.value_kind,
+        value: sample.value,
+        unit: sample.unit,
+        metadata: sample.metadata,
         created_at: row.created_at
       };
       if (row.timestamp) cleaned.timestamp = row.timestamp;
@@ -159,20 +339,22 @@ class SampleRepository extends BaseRepository {
   }
 
   /**
-   * Retrieves a list of distinct sample types.
+   * Retrieves a list of a user's distinct sample types.
+   * @param {number} user_id - Owning user id.
    * @returns {Promise<Array<string>>} Array of sample type strings.
    */
-  async get_sample_types() {
-    const rows = await this.fetch_all('SELECT DISTINCT type FROM samples ORDER BY type');
+  async get_sample_types(user_id) {
+    const rows = await this.fetch_all('SELECT DISTINCT type FROM samples WHERE user_id = ? ORDER BY type', [user_id]);
     return rows.map(row => row.type);
   }
 
   /**
-   * Deletes samples matching the given criteria.
+   * Deletes a user's samples matching the given criteria.
+   * @param {number} user_id - Owning user id.
    * @param {Array<Object>} samples - Array of sample criteria objects.
    * @returns {Promise<number>} Number of samples deleted.
    */
-  async delete_samples(samples) {
+  async delete_samples(user_id, samples) {
     if (!samples || samples.length === 0) {
       return 0;
     }
@@ -181,8 +363,11 @@ class SampleRepository extends BaseRepository {
       const conditions = ['type = ?'];
       const params = [sample.type];
       
-      if (sample.value !== undefined && sample.value !== null) {
-        conditions.push('value = ?');
+      if (typeof sample.value === 'string') {
+        conditions.push("value_kind = 'categorical' AND category = ?");
+        params.push(sample.value);
+      } else if (sample.value !== undefined && sample.value !== null) {
+        conditions.push("value_kind = 'numeric' AND value = ?");
         params.push(sample.value);
       }
       
@@ -205,63 +390,67 @@ class SampleRepository extends BaseRepository {
     const where_clause = conditions.map(c => c.condition).join(' OR ');
     const all_params = conditions.flatMap(c => c.params);
     
-    const result = await this.execute_query(`DELETE FROM samples WHERE ${where_clause}`, all_params);
-    console.log(`Deleted ${result.changes} samples`);
-    return result.changes;
+    const deleted = await this._delete_with_tombstones(user_id, where_clause, all_params);
+    console.log(`Deleted ${deleted} samples`);
+    return deleted;
   }
 
   /**
-   * Deletes samples with the given IDs.
+   * Deletes a user's samples with the given IDs. IDs of other users' samples are ignored.
+   * @param {number} user_id - Owning user id.
    * @param {Array<number>} sample_ids - Array of sample IDs to delete.
    * @returns {Promise<number>} Number of samples deleted.
    */
-  async delete_samples_by_ids(sample_ids) {
+  async delete_samples_by_ids(user_id, sample_ids) {
     if (!sample_ids || sample_ids.length === 0) {
       return 0;
     }
 
     const placeholders = sample_ids.map(() => '?').join(',');
-    const result = await this.execute_query(`DELETE FROM samples WHERE id IN (${placeholders})`, sample_ids);
+    const deleted = await this._delete_with_tombstones(user_id, `id IN (${placeholders})`, sample_ids);
     
-    console.log(`Deleted ${result.changes} samples by ID`);
-    return result.changes;
+    console.log(`Deleted ${deleted} samples by ID`);
+    return deleted;
   }
 
   /**
-   * Deletes samples of the given type.
+   * Deletes a user's samples of the given type.
+   * @param {number} user_id - Owning user id.
    * @param {string} sample_type - Type of samples to delete.
    * @returns {Promise<number>} Number of samples deleted.
    */
-  async delete_samples_by_type(sample_type) {
-    const result = await this.execute_query('DELETE FROM samples WHERE type = ?', [sample_type]);
-    console.log(`Deleted ${result.changes} samples of type ${sample_type}`);
-    return result.changes;
+  async delete_samples_by_type(user_id, sample_type) {
+    const deleted = await this._delete_with_tombstones(user_id, 'type = ?', [sample_type]);
+    console.log(`Deleted ${deleted} samples of type ${sample_type}`);
+    return deleted;
   }
 
   /**
-   * Deletes all samples in the repository.
+   * Deletes all of a user's samples.
+   * @param {number} user_id - Owning user id.
    * @returns {Promise<number>} Number of samples deleted.
    */
-  async delete_all_samples() {
-    const result = await this.execute_query('DELETE FROM samples');
-    console.log(`Deleted all ${result.changes} samples`);
-    return result.changes;
+  async delete_all_samples(user_id) {
+    const deleted = await this._delete_with_tombstones(user_id, '1 = 1', []);
+    console.log(`Deleted all ${deleted} samples`);
+    return deleted;
   }
 
   /**
-   * Deletes samples that fall on the given date.
+   * Deletes a user's samples that fall on the given date.
+   * @param {number} user_id - Owning user id.
    * @param {string} date_str - Date string in YYYY-MM-DD format.
    * @param {Array<string>} sample_types - Optional array of sample types to delete.
    * @returns {Promise<Object>} Deletion result including count and date.
    */
-  async delete_samples_by_date(date_str, sample_types = null) {
+  async delete_samples_by_date(user_id, date_str, sample_types = null) {
     if (!date_str) {
-      throw new Error('Date is required for deletion');
+      throw new ValidationError('Date is required for deletion', 'date');
     }
 
     const date_regex = /^\d{4}-\d{2}-\d{2}$/;
     if (!date_regex.test(date_str)) {
-      throw new Error('Date must be in YYYY-MM-DD format');
+      throw new ValidationError('Date must be in YYYY-MM-DD format', 'date');
     }
 
     const start_of_day = `${date_str}T00:00:00.000Z`;
@@ -288,36 +477,37 @@ class SampleRepository extends BaseRepository {
     }
 
     const where_clause = where_conditions.join(' AND ');
-    const result = await this.execute_query(`DELETE FROM samples WHERE ${where_clause}`, params);
+    const deleted = await this._delete_with_tombstones(user_id, where_clause, params);
     
     const message = sample_types 
-      ? `Deleted ${result.changes} samples for date ${date_str} (types: ${sample_types.join(', ')})`
-      : `Deleted ${result.changes} samples for date ${date_str} (all types)`;
+      ? `Deleted ${deleted} samples for date ${date_str} (types: ${sample_types.join(', ')})`
+      : `Deleted ${deleted} samples for date ${date_str} (all types)`;
     console.log(message);
     
     return {
-      deleted_count: result.changes,
+      deleted_count: deleted,
       date: date_str,
       types: sample_types || 'all'
     };
   }
 
   /**
-   * Retrieves the count of samples by date and optional types.
+   * Retrieves the count of a user's samples by date and optional types.
+   * @param {number} user_id - Owning user id.
    * @param {string} date_str - Date string in YYYY-MM-DD format.
    * @param {Array<string>} sample_types - Optional array of sample types to include.
-   * @returns {Promise<Object>} Count of samples, grouped by type.
+   * @returns {Promise<Object>} Count of samples, grouped by type and value kind.
    */
-  async get_sample_count_by_date(date_str, sample_types = null) {
+  async get_sample_count_by_date(user_id, date_str, sample_types = null) {
     if (!date_str) {
-      throw new Error('Date is required');
+      throw new ValidationError('Date is required', 'date');
     }
 
     const start_of_day = `${date_str}T00:00:00.000Z`;
     const end_of_day = `${date_str}T23:59:59.999Z`;
 
-    let where_conditions = [];
-    let params = [];
+    let where_conditions = ['user_id = ?'];
+    let params = [user_id];
 
     where_conditions.push(`(
       (timestamp >= ? AND timestamp <= ?) OR 
@@ -337,7 +527,7 @@ class SampleRepository extends BaseRepository {
     }
 
     const where_clause = where_conditions.join(' AND ');
-    const rows = await this.fetch_all(`SELECT COUNT(*) as count, type FROM samples WHERE ${where_clause} GROUP BY type`, params);
+    const rows = await this.fetch_all(`SELECT COUNT(*) as count, type, value_kind FROM samples WHERE ${where_clause} GROUP BY type, value_kind`, params);
     
     const total_count = rows.reduce((sum, row) => sum + row.count, 0);
     return {
@@ -349,22 +539,350 @@ class SampleRepository extends BaseRepository {
   }
 
   /**
-   * Cleans up old samples older than the specified number of days.
-   * @param {number} days_to_keep - Number of days to keep samples (default: 30).
-   * @returns {Promise<number>} Number of old samples deleted.
+   * Counts a user's samples of one type measured before a cutoff.
+   * Measurement time is the sample's timestamp, or its start for intervals.
+   * @param {number} user_id - Owning user id.
+   * @param {string} sample_type - Sample type.
+   * @param {string} cutoff - ISO timestamp; samples measured before it are counted.
+   * @returns {Promise<{count: number, oldest: string|null}>} Count and earliest measurement time.
    */
-  async cleanup_old_samples(days_to_keep = 30) {
-    const cutoff_date = new Date();
-    cutoff_date.setDate(cutoff_date.getDate() - days_to_keep);
-    const cutoff_iso = cutoff_date.toISOString();
+  async count_samples_before(user_id, sample_type, cutoff) {
+    const row = await this.fetch_one(
+      `SELECT COUNT(*) AS count, MIN(COALESCE(timestamp, start_time)) AS oldest
+       FROM samples WHERE user_id = ? AND type = ? AND COALESCE(timestamp, start_time) < ?`,
+      [user_id, sample_type, cutoff]
+    );
+    return { count: row.count, oldest: row.oldest };
+  }
 
-    const result = await this.execute_query('DELETE FROM samples WHERE created_at < ?', [cutoff_iso]);
-    
+  /**
+   * Counts a user's samples of one type measured in a time range.
+   * @param {number} user_id - Owning user id.
+   * @param {string} sample_type - Sample type.
+   * @param {string} start - ISO timestamp; first instant of the range.
+   * @param {string} end - ISO timestamp; the range ends just before it.
+   * @returns {Promise<number>} Number of samples.
+   */
+  async count_samples_between(user_id, sample_type, start, end) {
+    const row = await this.fetch_one(
+      `SELECT COUNT(*) AS count FROM samples
+       WHERE user_id = ? AND type = ? AND COALESCE(timestamp, start_time) >= ? AND COALESCE(timestamp, start_time) < ?`,
+      [user_id, sample_type, start, end]
+    );
+    return row.count;
+  }
+
+  /**
+   * Retrieves a batch of a user's samples of one type measured before a cutoff, in id order.
+   * @param {number} user_id - Owning user id.
+   * @param {string} sample_type - Sample type.
+   * @param {string} cutoff - ISO timestamp; samples measured before it are returned.
+   * @param {number} [after_id=0] - Only return samples with a larger id, to page through the results.
+   * @param {number} [limit=1000] - Maximum number of samples.
+   * @returns {Promise<Array<Object>>} Samples with `id`, `user_id`, typed value, times and `source_id`.
+   */
+  async get_samples_before(user_id, sample_type, cutoff, after_id = 0, limit = 1000) {
+    const rows = await this.fetch_all(
+      `SELECT id, user_id, type, value_kind, value, category, unit, metadata, timestamp, start_time, end_time, source_id
+       FROM samples WHERE user_id = ? AND type = ? AND COALESCE(timestamp, start_time) < ? AND id > ?
+       ORDER BY id LIMIT ?`,
+      [user_id, sample_type, cutoff, after_id, limit]
+    );
+    return rows.map(row => ({
+      id: row.id,
+      user_id: row.user_id,
+      ...this._to_sample(row),
+      timestamp: row.timestamp,
+      start_time: row.start_time,
+      end_time: row.end_time,
+      source_id: row.source_id
+    }));
+  }
+
+  /**
+   * Retrieves a user's tombstones recorded after a sync sequence number, in sequence order.
+   * @param {number} user_id - Owning user id.
+   * @param {number} after_seq - Last sequence the caller already has.
+   * @param {number} limit - Maximum number of tombstones.
+   * @returns {Promise<Array<Object>>} Removed samples in the sync format, with `id` (the removed
+   *   sample's id), `sequence` and `reason` (`deleted` or `replaced`).
+   */
+  async get_tombstones_after_sequence(user_id, after_seq, limit) {
+    const rows = await this.fetch_all(
+      `SELECT sample_id, sync_seq, reason, type, value_kind, value, category, unit, metadata, timestamp, start_time, end_time
+       FROM sample_tombstones WHERE user_id = ? AND sync_seq > ? ORDER BY sync_seq LIMIT ?`,
+      [user_id, after_seq, limit]
+    );
+    return rows.map(row => this._to_sync_tombstone(row));
+  }
+
+  /**
+   * Retrieves a user's deletion tombstones recorded after a time, for clients syncing by timestamp.
+   * `replaced` tombstones are left out: `get_samples_since` selects by measurement time, so those
+   * clients would not receive the corrected sample and would lose the value altogether.
+   * @param {number} user_id - Owning user id.
+   * @param {string} since - ISO timestamp.
+   * @returns {Promise<Array<Object>>} Deleted samples, as from `get_tombstones_after_sequence`.
+   */
+  async get_tombstones_since(user_id, since) {
+    const rows = await this.fetch_all(
+      `SELECT sample_id, sync_seq, reason, type, value_kind, value, category, unit, metadata, timestamp, start_time, end_time
+       FROM sample_tombstones WHERE user_id = ? AND reason = 'deleted' AND created_at > datetime(?) ORDER BY sync_seq`,
+      [user_id, since]
+    );
+    return rows.map(row => this._to_sync_tombstone(row));
+  }
+
+  /**
+   * Retrieves a user's inserts, updates and deletes after a sync sequence number, in order.
+   * A sample changed more than once appears once, at its latest sequence.
+   * @param {number} user_id - Owning user id.
+   * @param {number} after_seq - Last sequence the caller already has.
+   * @param {number} limit - Maximum number of changes.
+   * @returns {Promise<Array<Object>>} Changes with `sequence`, `operation` (`insert`, `update` or
+   *   `delete`) and the sample in the sync format with its `id`. Deletes carry the sample as it was.
+   */
+  async get_changes_after_sequence(user_id, after_seq, limit) {
+    const columns = 'type, value_kind, value, category, unit, metadata, timestamp, start_time, end_time';
+    const rows = await this.fetch_all(
+      `SELECT sync_seq, id AS sample_id,
+         CASE WHEN EXISTS (SELECT 1 FROM sample_tombstones t WHERE t.sample_id = samples.id AND t.reason = 'replaced')
+           THEN 'update' ELSE 'insert' END AS operation,
+         ${columns}
+       FROM samples WHERE user_id = ? AND sync_seq > ?
+       UNION ALL
+       SELECT sync_seq, sample_id, 'delete' AS operation, ${columns}
+       FROM sample_tombstones WHERE user_id = ? AND reason = 'deleted' AND sync_seq > ?
+       ORDER BY sync_seq LIMIT ?`,
+      [user_id, after_seq, user_id, after_seq, limit]
+    );
+    return rows.map(row => ({
+      sequence: row.sync_seq,
+      operation: row.operation,
+      sample: { id: row.sample_id, ...this._to_sync_sample(row) }
+    }));
+  }
+
+  /**
+   * Deletes a user's samples of one type measured before a cutoff. No tombstones are recorded and
+   * the deletes stay out of `/api/sync` and `/api/changes`: expired samples are dropped here, not
+   * withdrawn from clients that mirror them. Daily summaries are left in place, so charts keep
+   * the days whose raw samples have expired.
+   * @param {number} user_id - Owning user id.
+   * @param {string} sample_type - Sample type.
+   * @param {string} cutoff - ISO timestamp; samples measured before it are deleted.
+   * @param {number|null} [max_id=null] - Only delete samples up to this id, e.g. the last one archived.
+   * @returns {Promise<number>} Number of samples deleted.
+   */
+  async delete_samples_before(user_id, sample_type, cutoff, max_id = null) {
+    let query = `DELETE FROM samples WHERE user_id = ? AND type = ? AND ${MEASURED} < ?`;
+    const params = [user_id, sample_type, cutoff];
+    if (max_id !== null) {
+      query += ' AND id <= ?';
+      params.push(max_id);
+    }
+
+    const result = await this.execute_query(query, params);
     if (result.changes > 0) {
-      console.log(`Cleaned up ${result.changes} old samples`);
+      console.log(`Deleted ${result.changes} ${sample_type} samples of user ${user_id} measured before ${cutoff}`);
     }
     return result.changes;
   }
+
+  /**
+   * Deletes a user's samples matching a condition, recording a tombstone for each and rebuilding
+   * the affected daily summaries in the same transaction.
+   * Like `store_samples()`, every statement is queued at once in one `serialize()` block, so no
+   * other query on the shared connection runs inside the transaction or starts one alongside it.
+   * @private
+   * @param {number} user_id - Owning user id.
+   * @param {string} condition - SQL condition on the samples table.
+   * @param {Array} condition_params - Condition parameters.
+   * @returns {Promise<number>} Number of samples deleted.
+   */
+  async _delete_with_tombstones(user_id, condition, condition_params) {
+    this._check_connection();
+
+    const where_clause = `user_id = ? AND (${condition})`;
+    const params = [user_id, ...condition_params];
+
+    return new Promise((resolve, reject) => {
+      let failure = null;
+      let deleted = 0;
+      const on_error = (err) => {
+        if (err && !failure) {
+          failure = err;
+        }
+      };
+
+      this.db.serialize(() => {
+        this.db.run('BEGIN IMMEDIATE TRANSACTION', on_error);
+        this.db.run('CREATE TEMP TABLE IF NOT EXISTS deleted_summary_days (type TEXT, date TEXT)', on_error);
+        this.db.run('DELETE FROM temp.deleted_summary_days', on_error);
+        this.db.run(
+          `INSERT INTO temp.deleted_summary_days (type, date)
+           SELECT DISTINCT type, ${MEASURED_DATE} FROM samples
+           WHERE (${where_clause}) AND value_kind = 'numeric' AND ${MEASURED} IS NOT NULL`,
+          params,
+          on_error
+        );
+        this.db.run(
+          `INSERT INTO sample_tombstones (user_id, sample_id, reason, type, value_kind, value, category, unit, metadata,
+             timestamp, start_time, end_time, source_id)
+           SELECT user_id, id, 'deleted', type, value_kind, value, category, unit, metadata, timestamp, start_time, end_time, source_id
+           FROM samples WHERE ${where_clause} ORDER BY id`,
+          params,
+          on_error
+        );
+        this.db.run(`DELETE FROM samples WHERE ${where_clause}`, params, function(err) {
+          on_error(err);
+          deleted = err ? 0 : this.changes;
+        });
+        this.db.run(
+          `DELETE FROM daily_summaries
+           WHERE user_id = ? AND (type, date) IN (SELECT type, date FROM temp.deleted_summary_days)`,
+          [user_id],
+          on_error
+        );
+        this.db.run(
+          `INSERT INTO daily_summaries (user_id, type, date, count, sum, min, max)
+           SELECT samples.user_id, samples.type, days.date, COUNT(*), SUM(value), MIN(value), MAX(value)
+           FROM temp.deleted_summary_days AS days
+           JOIN samples ON samples.user_id = ? AND samples.type = days.type AND samples.value_kind = 'numeric'
+             AND ${MEASURED} >= date(days.date, '-1 day') AND ${MEASURED} < date(days.date, '+2 days')
+             AND ${MEASURED_DATE} = days.date
+           GROUP BY samples.user_id, samples.type, days.date`,
+          [user_id],
+          on_error
+        );
+
+        this.db.run('COMMIT', (err) => {
+          if (err || failure) {
+            this.db.run('ROLLBACK', () => {});
+            reject(failure || err);
+          } else {
+            resolve(deleted);
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Aggregates a user's numeric samples of one type into time buckets of the server's local time,
+   * reading every sample.
+   * @param {number} user_id - Owning user id.
+   * @param {Object} options - Aggregate options.
+   * @param {string} options.type - Sample type.
+   * @param {string} options.from - First local date (YYYY-MM-DD).
+   * @param {string} options.to - Last local date (YYYY-MM-DD).
+   * @param {string} options.bucket - `hour`, `day`, `week` or `month`.
+   * @param {string} options.fn - `sum`, `avg`, `min` or `max`.
+   * @returns {Promise<Array<Object>>} One `{ bucket, value, count }` per bucket with samples, in time order.
+   */
+  async get_aggregates(user_id, { type, from, to, bucket, fn }) {
+    const bucket_sql = BUCKET_EXPRESSIONS[bucket](LOCAL_MEASURED);
+    const fn_sql = { sum: 'SUM(value)', avg: 'AVG(value)', min: 'MIN(value)', max: 'MAX(value)' }[fn];
+    return this.fetch_all(
+      `SELECT ${bucket_sql} AS bucket, ${fn_sql} AS value, COUNT(*) AS count
+       FROM samples
+       WHERE user_id = ? AND type = ? AND value_kind = 'numeric' AND ${MEASURED_DATE_RANGE}
+       GROUP BY bucket ORDER BY bucket`,
+      [user_id, type, ...measured_date_range(from, to)]
+    );
+  }
+
+  /**
+   * Aggregates one of a user's types into day, week or month buckets from the daily summaries.
+   * Averages are weighted by each day's sample count, so they match `get_aggregates()`.
+   * @param {number} user_id - Owning user id.
+   * @param {Object} options - Aggregate options, as for `get_aggregates()`; `bucket` cannot be `hour`.
+   * @returns {Promise<Array<Object>>} One `{ bucket, value, count }` per bucket with samples, in time order.
+   */
+  async get_daily_summary_aggregates(user_id, { type, from, to, bucket, fn }) {
+    const bucket_sql = BUCKET_EXPRESSIONS[bucket]('date');
+    const fn_sql = { sum: 'SUM(sum)', avg: 'SUM(sum) / SUM(count)', min: 'MIN(min)', max: 'MAX(max)' }[fn];
+    return this.fetch_all(
+      `SELECT ${bucket_sql} AS bucket, ${fn_sql} AS value, SUM(count) AS count
+       FROM daily_summaries
+       WHERE user_id = ? AND type = ? AND date >= ? AND date <= ?
+       GROUP BY bucket ORDER BY bucket`,
+      [user_id, type, from, to]
+    );
+  }
+
+  /**
+   * Lists the type and local day of each numeric sample, for rebuilding daily summaries.
+   * @private
+   * @param {Array<Object>} samples - Samples as passed to `store_samples()`.
+   * @returns {Array<Array<string>>} Distinct `[type, date]` pairs.
+   */
+  _get_summary_days(samples) {
+    const days = new Map();
+    for (const sample of samples) {
+      const value_kind = sample.value_kind || (typeof sample.value === 'string' ? 'categorical' : 'numeric');
+      const measured = sample.timestamp || sample.datetime || sample.start_time || sample.startTime;
+      if (value_kind === 'numeric' && measured) {
+        const date = String(measured).length === 10 ? String(measured) : this._get_local_date(new Date(measured));
+        days.set(`${sample.type}|${date}`, [sample.type, date]);
+      }
+    }
+    return [...days.values()];
+  }
+
+  /**
+   * Get the server's local date of a time, matching `MEASURED_DATE`.
+   * @private
+   * @param {Date} date - Time.
+   * @returns {string} Local date (YYYY-MM-DD).
+   */
+  _get_local_date(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Convert a sample row to its typed form: `value` is the number or the category, and
+   * `metadata` is parsed from JSON.
+   * @param {Object} row - Database row.
+   * @returns {Object} Sample with `type`, `value_kind`, `value`, `unit` and `metadata`.
+   */
+  _to_sample(row) {
+    return {
+      type: row.type,
+      value_kind: row.value_kind,
+      value: row.value_kind === 'categorical' ? row.category : row.value,
+      unit: row.unit || null,
+      metadata: row.metadata ? JSON.parse(row.metadata) : null
+    };
+  }
+
+  /**
+   * Convert a sample row to the format returned by `/api/sync`, leaving out empty fields.
+   * @param {Object} row - Database row.
+   * @returns {Object} Sample with `type`, `value` and whichever of `unit`, `metadata`,
+   *   `timestamp`, `start_time` and `end_time` are set.
+   */
+  _to_sync_sample(row) {
+    const sample = this._to_sample(row);
+    const cleaned = { type: sample.type, value: sample.value };
+    if (sample.unit) cleaned.unit = sample.unit;
+    if (sample.metadata) cleaned.metadata = sample.metadata;
+    if (row.timestamp) cleaned.timestamp = row.timestamp;
+    if (row.start_time) cleaned.start_time = row.start_time;
+    if (row.end_time) cleaned.end_time = row.end_time;
+    return cleaned;
+  }
+
+  /**
+   * Convert a tombstone row to the format returned by `/api/sync`.
+   * @param {Object} row - Tombstone row.
+   * @returns {Object} Removed sample with `id`, `sequence`, `reason` and its sync fields.
+   */
+  _to_sync_tombstone(row) {
+    return { id: row.sample_id, sequence: row.sync_seq, reason: row.reason, ...this._to_sync_sample(row) };
+  }
 }
 
 export default SampleRepository;
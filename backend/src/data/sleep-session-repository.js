@@ -0,0 +1,86 @@
+/**
+ * Repository for managing sleep sessions.
+ * @module backend/data/sleep-session-repository
+ */
+import BaseRepository from './base-repository.js';
+
+/**
+ * Repository for managing sleep sessions.
+ * Each row is one Fitbit sleep log, with its stage intervals and summary minutes stored as JSON.
+ */
+class SleepSessionRepository extends BaseRepository {
+  /**
+   * Stores a user's sleep sessions, replacing any earlier copy of the same Fitbit log.
+   * @param {number} user_id - Owning user id.
+   * @param {Array<Object>} sessions - Sessions with snake_case fields (see `_to_session` for the shape).
+   * @returns {Promise<number>} Number of sessions stored.
+   */
+  async store_sessions(user_id, sessions) {
+    if (!sessions || sessions.length === 0) return 0;
+
+    for (const session of sessions) {
+      await this.execute_query(
+        `INSERT INTO sleep_sessions (user_id, log_id, date_of_sleep, start_time, end_time, duration_ms, minutes_asleep,
+           minutes_awake, time_in_bed, efficiency, is_main_sleep, log_type, summary, stages)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(log_id) DO UPDATE SET
+           date_of_sleep = excluded.date_of_sleep, start_time = excluded.start_time, end_time = excluded.end_time,
+           duration_ms = excluded.duration_ms, minutes_asleep = excluded.minutes_asleep,
+           minutes_awake = excluded.minutes_awake, time_in_bed = excluded.time_in_bed,
+           efficiency = excluded.efficiency, is_main_sleep = excluded.is_main_sleep, log_type = excluded.log_type,
+           summary = excluded.summary, stages = excluded.stages, updated_at = CURRENT_TIMESTAMP
+         WHERE sleep_sessions.user_id = excluded.user_id`,
+        [
+          user_id,
+          session.log_id,
+          session.date_of_sleep,
+          session.start_time,
+          session.end_time,
+          session.duration_ms ?? null,
+          session.minutes_asleep ?? null,
+          session.minutes_awake ?? null,
+          session.time_in_bed ?? null,
+          session.efficiency ?? null,
+          session.is_main_sleep ? 1 : 0,
+          session.log_type || null,
+          JSON.stringify(session.summary || {}),
+          JSON.stringify(session.stages || [])
+        ]
+      );
+    }
+
+    console.log(`Stored ${sessions.length} sleep sessions`);
+    return sessions.length;
+  }
+
+  /**
+   * Retrieves a user's sleep sessions for a range of nights, by Fitbit's date of sleep (the day the sleep ended).
+   * @param {number} user_id - Owning user id.
+   * @param {string} from_date - First date (YYYY-MM-DD).
+   * @param {string} to_date - Last date (YYYY-MM-DD).
+   * @returns {Promise<Array<Object>>} Sessions ordered by start time.
+   */
+  async get_sessions(user_id, from_date, to_date) {
+    const rows = await this.fetch_all(
+      `SELECT * FROM sleep_sessions WHERE user_id = ? AND date_of_sleep BETWEEN ? AND ? ORDER BY start_time ASC`,
+      [user_id, from_date, to_date]
+    );
+    return rows.map(row => this._to_session(row));
+  }
+
+  /**
+   * Parse the JSON columns of a session row.
+   * @param {Object} row - Database row.
+   * @returns {Object} Session with `summary` (minutes per stage) and `stages` (intervals) as objects.
+   */
+  _to_session(row) {
+    return {
+      ...row,
+      is_main_sleep: Boolean(row.is_main_sleep),
+      summary: row.summary ? JSON.parse(row.summary) : {},
+      stages: row.stages ? JSON.parse(row.stages) : []
+    };
+  }
+}
+
+export default SleepSessionRepository;
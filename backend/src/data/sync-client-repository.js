@@ -0,0 +1,111 @@
+/**
+ * Repository for managing per-client sync cursors.
+ * @module backend/data/sync-client-repository
+ */
+import BaseRepository from './base-repository.js';
+
+/**
+ * Repository for managing per-client sync cursors.
+ * Client ids are scoped to a user, whose samples the client mirrors.
+ * `acked_seq` is the last sample sequence the client confirmed it stored; `delivered_seq` is the
+ * highest sequence handed to it, which bounds what it may acknowledge.
+ */
+class SyncClientRepository extends BaseRepository {
+  /**
+   * Retrieves a client's cursor, creating it at the start of the sequence if it is new.
+   * @param {number} user_id - Owning user id.
+   * @param {string} client_id - Client identifier.
+   * @returns {Promise<Object>} Client cursor.
+   */
+  async get_or_create_client(user_id, client_id) {
+    await this.execute_query('INSERT OR IGNORE INTO sync_clients (user_id, client_id) VALUES (?, ?)', [user_id, client_id]);
+    return this.get_client(user_id, client_id);
+  }
+
+  /**
+   * Retrieves a client's cursor.
+   * @param {number} user_id - Owning user id.
+   * @param {string} client_id - Client identifier.
+   * @returns {Promise<Object|null>} Client cursor, or null if the client has never synced.
+   */
+  async get_client(user_id, client_id) {
+    const row = await this.fetch_one('SELECT * FROM sync_clients WHERE user_id = ? AND client_id = ?', [user_id, client_id]);
+    return row ? this._to_client(row) : null;
+  }
+
+  /**
+   * Retrieves all of a user's client cursors.
+   * @param {number} user_id - Owning user id.
+   * @returns {Promise<Array<Object>>} Clients, most recently seen first.
+   */
+  async get_clients(user_id) {
+    const rows = await this.fetch_all(
+      'SELECT * FROM sync_clients WHERE user_id = ? ORDER BY last_seen_at DESC, client_id',
+      [user_id]
+    );
+    return rows.map(row => this._to_client(row));
+  }
+
+  /**
+   * Records that samples up to a sequence were handed to a client.
+   * @param {number} user_id - Owning user id.
+   * @param {string} client_id - Client identifier.
+   * @param {number} delivered_seq - Highest sequence delivered in this batch.
+   * @returns {Promise<void>}
+   */
+  async record_delivery(user_id, client_id, delivered_seq) {
+    await this.execute_query(
+      `UPDATE sync_clients SET delivered_seq = MAX(delivered_seq, ?), last_seen_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND client_id = ?`,
+      [delivered_seq, user_id, client_id]
+    );
+  }
+
+  /**
+   * Moves a client's acknowledged cursor forward. It never moves backwards.
+   * @param {number} user_id - Owning user id.
+   * @param {string} client_id - Client identifier.
+   * @param {number} acked_seq - Last sequence the client stored.
+   * @returns {Promise<void>}
+   */
+  async acknowledge(user_id, client_id, acked_seq) {
+    await this.execute_query(
+      `UPDATE sync_clients SET acked_seq = MAX(acked_seq, ?), last_seen_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND client_id = ?`,
+      [acked_seq, user_id, client_id]
+    );
+  }
+
+  /**
+   * Deletes a client's cursor, so its next sync starts from the beginning.
+   * @param {number} user_id - Owning user id.
+   * @param {string} client_id - Client identifier.
+   * @returns {Promise<boolean>} True if the client existed.
+   */
+  async delete_client(user_id, client_id) {
+    const result = await this.execute_query(
+      'DELETE FROM sync_clients WHERE user_id = ? AND client_id = ?',
+      [user_id, client_id]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Convert a client row to its cursor form.
+   * @param {Object} row - Database row.
+   * @returns {Object} Client with `client_id`, `acked_seq`, `delivered_seq`, `last_seen_at` and `created_at`.
+   */
+  _to_client(row) {
+    return {
+      client_id: row.client_id,
+      acked_seq: row.acked_seq,
+      delivered_seq: row.delivered_seq,
+      last_seen_at: row.last_seen_at,
+      created_at: row.created_at
+    };
+  }
+}
+
+export default SyncClientRepository;
@@ -9,32 +9,41 @@ import BaseRepository from './base-repository.js';
  */
 class SyncLogRepository extends BaseRepository {
   /**
-   * Updates the sync log with a new entry.
+   * Updates a user's sync log with a new entry.
+   * @param {number} user_id - Owning user id.
    * @param {string} data_type - The type of data being synced.
    * @param {string} last_sync_time - ISO timestamp of the sync.
    * @param {string} status - Sync status (e.g., 'success', 'error').
-   * @param {Object} [rate_limit_info={}] - Rate limit info object.
+   * @param {Object} [rate_limit_info={}] - Rate limit info object (remaining, resetIn or resetTime).
    * @param {string|null} [error_message=null] - Error message if any.
+   * @param {Object} [cursor_info={}] - Incremental sync position for the data type.
+   * @param {string} [cursor_info.sync_date] - Date the cursor applies to (YYYY-MM-DD).
+   * @param {string} [cursor_info.cursor] - High-water mark, e.g. the last intraday minute stored (HH:mm).
+   * @param {Object} [cursor_info.cursor_data] - Provider data kept with the cursor, stored as JSON.
    * @returns {Promise<number>} The last inserted row ID.
    */
-  async update_sync_log(data_type, last_sync_time, status, rate_limit_info = {}, error_message = null) {
+  async update_sync_log(user_id, data_type, last_sync_time, status, rate_limit_info = {}, error_message = null, cursor_info = {}) {
     let reset_timestamp = null;
-    if (rate_limit_info.reset_in) {
-      reset_timestamp = Date.now() + (rate_limit_info.reset_in * 1000);
-    } else if (rate_limit_info.reset_time) {
-      reset_timestamp = rate_limit_info.reset_time;
+    if (rate_limit_info.resetIn) {
+      reset_timestamp = Date.now() + (rate_limit_info.resetIn * 1000);
+    } else if (rate_limit_info.resetTime) {
+      reset_timestamp = rate_limit_info.resetTime;
     }
     
     const result = await this.execute_query(
-      `INSERT INTO sync_log (data_type, last_sync_time, status, rate_limit_remaining, rate_limit_reset, error_message)
-       VALUES (?, ?, ?, ?, ?, ?)`,
+      `INSERT INTO sync_log (user_id, data_type, last_sync_time, status, rate_limit_remaining, rate_limit_reset, error_message, sync_date, cursor, cursor_data)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
+        user_id,
         data_type, 
         last_sync_time, 
         status, 
-        rate_limit_info.remaining || null,
+        rate_limit_info.remaining ?? null,
         reset_timestamp,
-        error_message
+        error_message,
+        cursor_info.sync_date || null,
+        cursor_info.cursor || null,
+        cursor_info.cursor_data ? JSON.stringify(cursor_info.cursor_data) : null
       ]
     );
     
@@ -42,26 +51,65 @@ class SyncLogRepository extends BaseRepository {
   }
 
   /**
-   * Gets the latest successful sync time for a given data type.
+   * Gets a user's latest successful sync time for a given data type.
+   * @param {number} user_id - Owning user id.
    * @param {string} data_type - The data type.
    * @returns {Promise<string|null>} ISO timestamp or null if not found.
    */
-  async get_latest_sync_time(data_type) {
+  async get_latest_sync_time(user_id, data_type) {
     const row = await this.fetch_one(
-      'SELECT last_sync_time FROM sync_log WHERE data_type = ? AND status = "success" ORDER BY created_at DESC LIMIT 1',
-      [data_type]
+      'SELECT last_sync_time FROM sync_log WHERE user_id = ? AND data_type = ? AND status = "success" ORDER BY created_at DESC LIMIT 1',
+      [user_id, data_type]
     );
     
     return row ? row.last_sync_time : null;
   }
 
   /**
-   * Gets the most recent rate limit status from the sync log.
+   * Gets a user's latest incremental sync cursor for a data type and date.
+   * @param {number} user_id - Owning user id.
+   * @param {string} data_type - The data type (e.g. 'steps_intraday', 'sleep').
+   * @param {string} sync_date - Date the cursor applies to (YYYY-MM-DD).
+   * @returns {Promise<string|null>} The cursor or null if the date has not been synced.
+   */
+  async get_sync_cursor(user_id, data_type, sync_date) {
+    const row = await this.fetch_one(
+      `SELECT cursor FROM sync_log
+       WHERE user_id = ? AND data_type = ? AND sync_date = ? AND status = 'success' AND cursor IS NOT NULL
+       ORDER BY id DESC LIMIT 1`,
+      [user_id, data_type, sync_date]
+    );
+
+    return row ? row.cursor : null;
+  }
+
+  /**
+   * Gets the provider data kept with a user's latest incremental sync cursor for a data type and date.
+   * @param {number} user_id - Owning user id.
+   * @param {string} data_type - The data type (e.g. 'calories_intraday').
+   * @param {string} sync_date - Date the cursor applies to (YYYY-MM-DD).
+   * @returns {Promise<Object|null>} The data, or null if the latest cursor has none.
+   */
+  async get_sync_cursor_data(user_id, data_type, sync_date) {
+    const row = await this.fetch_one(
+      `SELECT cursor_data FROM sync_log
+       WHERE user_id = ? AND data_type = ? AND sync_date = ? AND status = 'success' AND cursor IS NOT NULL
+       ORDER BY id DESC LIMIT 1`,
+      [user_id, data_type, sync_date]
+    );
+
+    return row?.cursor_data ? JSON.parse(row.cursor_data) : null;
+  }
+
+  /**
+   * Gets the most recent rate limit status from a user's sync log. Fitbit limits each user separately.
+   * @param {number} user_id - Owning user id.
    * @returns {Promise<{rate_limit_remaining: number, rate_limit_reset: number}>}
    */
-  async get_rate_limit_status() {
+  async get_rate_limit_status(user_id) {
     const row = await this.fetch_one(
-      'SELECT rate_limit_remaining, rate_limit_reset, created_at FROM sync_log WHERE rate_limit_remaining IS NOT NULL ORDER BY created_at DESC LIMIT 1'
+      'SELECT rate_limit_remaining, rate_limit_reset, created_at FROM sync_log WHERE user_id = ? AND rate_limit_remaining IS NOT NULL ORDER BY created_at DESC LIMIT 1',
+      [user_id]
     );
     
     if (!row) {
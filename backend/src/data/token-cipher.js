@@ -0,0 +1,129 @@
+/**
+ * Authenticated encryption for Fitbit OAuth tokens stored in the database.
+ * @module backend/data/token-cipher
+ */
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+/**
+ * Marks an encrypted value: `enc1:<key id>:<iv>:<auth tag>:<ciphertext>`, parts in base64url.
+ */
+const PREFIX = 'enc1';
+
+/**
+ * Decode a key given as 64 hex characters or base64.
+ * @param {string} value - Encoded key.
+ * @returns {Buffer} 32-byte key.
+ * @throws {Error} If the value is not a 32-byte key.
+ */
+function parse_key(value) {
+  const trimmed = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+  if (key.length !== 32) {
+    throw new Error('Token encryption keys must be 32 bytes, given as 64 hex characters or base64');
+  }
+  return key;
+}
+
+/**
+ * Encrypts token values with AES-256-GCM.
+ * Each value records the id of the key that encrypted it, so retired keys can still decrypt values
+ * until they are re-encrypted with the current key.
+ */
+class TokenCipher {
+  /**
+   * @param {string} key - Current key, used for encryption.
+   * @param {string[]} [previous_keys=[]] - Retired keys, used only for decryption.
+   */
+  constructor(key, previous_keys = []) {
+    /** @private */
+    this.keys = new Map();
+    /** @private */
+    this.current_key_id = this._add_key(key);
+    previous_keys.forEach(previous => this._add_key(previous));
+  }
+
+  /**
+   * Creates a cipher from `TOKEN_ENCRYPTION_KEY` and the comma-separated `TOKEN_ENCRYPTION_PREVIOUS_KEYS`.
+   * @param {Object} [env=process.env] - Environment variables.
+   * @returns {TokenCipher|null} The cipher, or null if no key is configured.
+   * @throws {Error} If a configured key is malformed.
+   */
+  static from_env(env = process.env) {
+    if (!env.TOKEN_ENCRYPTION_KEY) {
+      return null;
+    }
+    const previous_keys = (env.TOKEN_ENCRYPTION_PREVIOUS_KEYS || '').split(',').filter(key => key.trim());
+    return new TokenCipher(env.TOKEN_ENCRYPTION_KEY, previous_keys);
+  }
+
+  /**
+   * Encrypts a value with the current key.
+   * @param {string} plaintext - Value to encrypt.
+   * @returns {string} Encrypted value.
+   */
+  encrypt(plaintext) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.keys.get(this.current_key_id), iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return [PREFIX, this.current_key_id, iv, cipher.getAuthTag(), ciphertext]
+      .map(part => Buffer.isBuffer(part) ? part.toString('base64url') : part)
+      .join(':');
+  }
+
+  /**
+   * Decrypts a value encrypted with the current or a previous key.
+   * @param {string} value - Encrypted value.
+   * @returns {string} Plaintext.
+   * @throws {Error} If the value is not encrypted, its key is not configured or it was tampered with.
+   */
+  decrypt(value) {
+    if (!TokenCipher.is_encrypted(value)) {
+      throw new Error('Token is not encrypted');
+    }
+    const [, key_id, iv, tag, ciphertext] = value.split(':');
+    const key = this.keys.get(key_id);
+    if (!key) {
+      throw new Error(`Token was encrypted with key ${key_id}, which is not configured`);
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Checks whether a value should be (re-)encrypted with the current key.
+   * @param {string} value - Stored value.
+   * @returns {boolean} True if the value is plaintext or encrypted with a previous key.
+   */
+  needs_rotation(value) {
+    return !TokenCipher.is_encrypted(value) || value.split(':')[1] !== this.current_key_id;
+  }
+
+  /**
+   * Checks whether a stored value is encrypted.
+   * @param {string|null} value - Stored value.
+   * @returns {boolean} True if the value has the encrypted format.
+   */
+  static is_encrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${PREFIX}:`) && value.split(':').length === 5;
+  }
+
+  /**
+   * Registers a key under its id, the start of its SHA-256 hash.
+   * @private
+   * @param {string} value - Encoded key.
+   * @returns {string} Key id.
+   */
+  _add_key(value) {
+    const key = parse_key(value);
+    const key_id = crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+    this.keys.set(key_id, key);
+    return key_id;
+  }
+}
+
+export default TokenCipher;
@@ -6,37 +6,123 @@ import BaseRepository from './base-repository.js';
 
 /**
  * Repository for managing authentication tokens.
+ * Each user has at most one set of Fitbit tokens. Access and refresh tokens are encrypted at rest;
+ * callers store and read plaintext.
  */
 class TokenRepository extends BaseRepository {
   /**
-   * Stores new authentication tokens, replacing any existing ones.
+   * @param {import('./database-connection.js').default} database_connection - The database connection instance.
+   * @param {import('./token-cipher.js').default|null} token_cipher - Cipher for the stored tokens, or null if no key is configured.
+   */
+  constructor(database_connection, token_cipher) {
+    super(database_connection);
+    /** @private */
+    this.token_cipher = token_cipher;
+  }
+
+  /**
+   * Stores new authentication tokens for a user, replacing any existing ones.
+   * @param {number} user_id - Owning user id.
    * @param {string} access_token - The access token.
    * @param {string} refresh_token - The refresh token.
    * @param {number} expires_in - Expiry time in seconds.
+   * @param {string|null} [fitbit_user_id=null] - Fitbit's id for the account, kept if omitted.
    * @returns {Promise<number>} The last inserted row ID.
+   * @throws {Error} If no encryption key is configured.
    */
-  async store_tokens(access_token, refresh_token, expires_in) {
+  async store_tokens(user_id, access_token, refresh_token, expires_in, fitbit_user_id = null) {
+    const cipher = this._get_cipher();
     const expires_at = Date.now() + (expires_in * 1000);
-    
-    await this.execute_query('DELETE FROM tokens');
-    
+
     const result = await this.execute_query(
-      'INSERT INTO tokens (access_token, refresh_token, expires_at) VALUES (?, ?, ?)',
-      [access_token, refresh_token, expires_at]
+      `INSERT INTO tokens (user_id, access_token, refresh_token, expires_at, fitbit_user_id) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(user_id) DO UPDATE SET access_token = excluded.access_token,
+         refresh_token = excluded.refresh_token, expires_at = excluded.expires_at,
+         fitbit_user_id = COALESCE(excluded.fitbit_user_id, fitbit_user_id), updated_at = CURRENT_TIMESTAMP`,
+      [user_id, cipher.encrypt(access_token), cipher.encrypt(refresh_token), expires_at, fitbit_user_id]
     );
-    
-    console.log('Tokens stored successfully');
+
+    console.log(`Tokens stored successfully for user ${user_id}`);
     return result.last_id;
   }
 
   /**
-   * Retrieves the most recent authentication tokens.
-   * @returns {Promise<Object|null>} The token row or null if not found.
+   * Retrieves a user's authentication tokens.
+   * @param {number} user_id - Owning user id.
+   * @returns {Promise<Object|null>} The token row, with decrypted tokens, or null if not found.
+   * @throws {Error} If no encryption key is configured or the tokens cannot be decrypted.
    */
-  async get_tokens() {
-    return await this.fetch_one(
-      'SELECT * FROM tokens ORDER BY created_at DESC LIMIT 1'
-    );
+  async get_tokens(user_id) {
+    const row = await this.fetch_one('SELECT * FROM tokens WHERE user_id = ?', [user_id]);
+    if (!row) {
+      return null;
+    }
+
+    const cipher = this._get_cipher();
+    return {
+      ...row,
+      access_token: cipher.decrypt(row.access_token),
+      refresh_token: cipher.decrypt(row.refresh_token)
+    };
+  }
+
+  /**
+   * Finds the user that connected a Fitbit account, e.g. for a subscription notification.
+   * @param {string} fitbit_user_id - Fitbit's id for the account.
+   * @returns {Promise<number|null>} The user id, or null if no user has connected the account.
+   */
+  async get_user_id_for_fitbit_user(fitbit_user_id) {
+    const row = await this.fetch_one('SELECT user_id FROM tokens WHERE fitbit_user_id = ?', [fitbit_user_id]);
+    return row ? row.user_id : null;
+  }
+
+  /**
+   * Re-encrypts tokens stored with a previous key, so the key can be retired.
+   * Tokens whose key is no longer configured are left alone; their user must reconnect Fitbit.
+   * @returns {Promise<number>} Number of users whose tokens were re-encrypted.
+   */
+  async reencrypt_tokens() {
+    const cipher = this._get_cipher();
+    const rows = await this.fetch_all('SELECT id, user_id, access_token, refresh_token FROM tokens');
+    let count = 0;
+
+    for (const row of rows) {
+      if (!cipher.needs_rotation(row.access_token) && !cipher.needs_rotation(row.refresh_token)) {
+        continue;
+      }
+
+      try {
+        await this.execute_query(
+          'UPDATE tokens SET access_token = ?, refresh_token = ? WHERE id = ?',
+          [
+            cipher.encrypt(cipher.decrypt(row.access_token)),
+            cipher.encrypt(cipher.decrypt(row.refresh_token)),
+            row.id
+          ]
+        );
+        count++;
+      } catch (error) {
+        console.error(`Could not re-encrypt Fitbit tokens for user ${row.user_id}:`, error.message);
+      }
+    }
+
+    if (count > 0) {
+      console.log(`Re-encrypted Fitbit tokens for ${count} users with the current key`);
+    }
+    return count;
+  }
+
+  /**
+   * Gets the token cipher.
+   * @private
+   * @returns {import('./token-cipher.js').default}
+   * @throws {Error} If no encryption key is configured.
+   */
+  _get_cipher() {
+    if (!this.token_cipher) {
+      throw new Error('TOKEN_ENCRYPTION_KEY environment variable is required to store or read Fitbit tokens');
+    }
+    return this.token_cipher;
   }
 }
 
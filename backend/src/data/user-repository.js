@@ -0,0 +1,115 @@
+/**
+ * Repository for managing user accounts.
+ * @module backend/data/user-repository
+ */
+import BaseRepository from './base-repository.js';
+
+/**
+ * Owner of data stored before user accounts existed (see migration 012).
+ * Personal JWTs issued before then carry no user id and act as this user.
+ */
+export const LEGACY_USER_ID = 1;
+
+/**
+ * Repository for managing user accounts.
+ * Each user is one Microsoft Entra identity (`entra_oid`) and owns its own Fitbit tokens,
+ * samples and sync state.
+ */
+class UserRepository extends BaseRepository {
+  /**
+   * Finds the user for an Entra identity and records the sign-in, creating the user if it is new.
+   * Only the identity configured as the owner takes over the placeholder user holding data from
+   * before user accounts existed, if it is still unclaimed; other new identities get a new user.
+   * @param {Object} identity - Signed-in identity.
+   * @param {string} identity.entra_oid - Entra object id.
+   * @param {string} [identity.email] - Email address.
+   * @param {string} [identity.name] - Display name.
+   * @param {Object} [options] - Sign-in options.
+   * @param {boolean} [options.claim_legacy=false] - Take over the unclaimed placeholder user.
+   * @returns {Promise<Object>} The user.
+   */
+  async find_or_create_user({ entra_oid, email = null, name = null }, { claim_legacy = false } = {}) {
+    const updated = await this.execute_query(
+      `UPDATE users SET email = ?, name = ?, last_login_at = CURRENT_TIMESTAMP WHERE entra_oid = ?`,
+      [email, name, entra_oid]
+    );
+
+    if (updated.changes === 0) {
+      const claimed = claim_legacy
+        ? await this.execute_query(
+          `UPDATE users SET entra_oid = ?, email = ?, name = ?, last_login_at = CURRENT_TIMESTAMP
+           WHERE id = ? AND entra_oid IS NULL`,
+          [entra_oid, email, name, LEGACY_USER_ID]
+        )
+        : { changes: 0 };
+
+      if (claimed.changes === 0) {
+        await this.execute_query(
+          'INSERT INTO users (entra_oid, email, name, last_login_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)',
+          [entra_oid, email, name]
+        );
+      }
+    }
+
+    const row = await this.fetch_one('SELECT * FROM users WHERE entra_oid = ?', [entra_oid]);
+    return this._to_user(row);
+  }
+
+  /**
+   * Retrieves a user.
+   * @param {number} user_id - User id.
+   * @returns {Promise<Object|null>} The user, or null if not found.
+   */
+  async get_user(user_id) {
+    const row = await this.fetch_one('SELECT * FROM users WHERE id = ?', [user_id]);
+    return row ? this._to_user(row) : null;
+  }
+
+  /**
+   * Retrieves a user by email address, ignoring case.
+   * @param {string} email - Email address.
+   * @returns {Promise<Object|null>} The user, or null if not found.
+   */
+  async get_user_by_email(email) {
+    const row = await this.fetch_one('SELECT * FROM users WHERE LOWER(email) = LOWER(?)', [email]);
+    return row ? this._to_user(row) : null;
+  }
+
+  /**
+   * Retrieves all users.
+   * @returns {Promise<Array<Object>>} Users in creation order.
+   */
+  async get_users() {
+    const rows = await this.fetch_all('SELECT * FROM users ORDER BY id');
+    return rows.map(row => this._to_user(row));
+  }
+
+  /**
+   * Retrieves the users that have connected a Fitbit account, for background syncing.
+   * @returns {Promise<Array<Object>>} Users in creation order.
+   */
+  async get_users_with_tokens() {
+    const rows = await this.fetch_all(
+      'SELECT users.* FROM users JOIN tokens ON tokens.user_id = users.id ORDER BY users.id'
+    );
+    return rows.map(row => this._to_user(row));
+  }
+
+  /**
+   * Convert a user row to its account form.
+   * @param {Object} row - Database row.
+   * @returns {Object} User with `id`, `entra_oid`, `email`, `name`, `created_at` and `last_login_at`.
+   */
+  _to_user(row) {
+    return {
+      id: row.id,
+      entra_oid: row.entra_oid,
+      email: row.email,
+      name: row.name,
+      created_at: row.created_at,
+      last_login_at: row.last_login_at
+    };
+  }
+}
+
+export default UserRepository;
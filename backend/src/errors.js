@@ -0,0 +1,148 @@
+/**
+ * Application error classes with structured fields.
+ * The error middleware maps each class to an HTTP status and JSON body, so callers never
+ * need to parse error messages.
+ * @module backend/errors
+ */
+
+/**
+ * Base class for errors that carry an HTTP status and machine-readable code.
+ */
+export class AppError extends Error {
+  /**
+   * Create an AppError.
+   * @param {string} message - Human-readable message.
+   * @param {number} [statusCode=500] - HTTP status code.
+   * @param {string} [code='INTERNAL_ERROR'] - Stable machine-readable error code.
+   */
+  constructor(message, statusCode = 500, code = 'INTERNAL_ERROR') {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+
+  /**
+   * JSON body for API responses.
+   * @returns {object} Response body.
+   */
+  toJSON() {
+    return {
+      error: this.message,
+      code: this.code
+    };
+  }
+}
+
+/**
+ * Fitbit rate limit exhausted, or too low for the requested operation.
+ */
+export class RateLimitError extends AppError {
+  /**
+   * Create a RateLimitError.
+   * @param {string} message - Human-readable message.
+   * @param {object} info - Rate limit details.
+   * @param {number} info.used - Requests used in the current window.
+   * @param {number} info.limit - Requests allowed per window.
+   * @param {number} info.remaining - Requests remaining in the current window.
+   * @param {number} info.resetAt - Epoch milliseconds when the window resets.
+   * @param {number|null} [info.needed=null] - Requests the operation needs, if known.
+   */
+  constructor(message, { used, limit, remaining, resetAt, needed = null }) {
+    super(message, 429, 'RATE_LIMITED');
+    this.used = used;
+    this.limit = limit;
+    this.remaining = remaining;
+    this.resetAt = resetAt;
+    this.needed = needed;
+  }
+
+  /**
+   * Seconds until the rate limit window resets.
+   * @returns {number} Seconds, never negative.
+   */
+  get resetIn() {
+    return Math.max(0, Math.ceil((this.resetAt - Date.now()) / 1000));
+  }
+
+  /**
+   * JSON body for API responses, including rate limit details.
+   * @returns {object} Response body.
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      rateLimitInfo: {
+        used: this.used,
+        total: this.limit,
+        remaining: this.remaining,
+        needed: this.needed,
+        resetTime: this.resetIn,
+        resetDate: new Date(this.resetAt).toISOString()
+      }
+    };
+  }
+}
+
+/**
+ * Fitbit credentials are missing, expired or were rejected.
+ */
+export class FitbitAuthError extends AppError {
+  /**
+   * Create a FitbitAuthError.
+   * @param {string} message - Human-readable message.
+   */
+  constructor(message) {
+    super(message, 401, 'FITBIT_AUTH_REQUIRED');
+  }
+}
+
+/**
+ * Request parameters failed validation.
+ */
+export class ValidationError extends AppError {
+  /**
+   * Create a ValidationError.
+   * @param {string} message - Human-readable message.
+   * @param {string|null} [field=null] - Name of the offending parameter, if any.
+   */
+  constructor(message, field = null) {
+    super(message, 400, 'VALIDATION_ERROR');
+    this.field = field;
+  }
+
+  /**
+   * JSON body for API responses, including the offending field.
+   * @returns {object} Response body.
+   */
+  toJSON() {
+    const body = super.toJSON();
+    if (this.field) {
+      body.field = this.field;
+    }
+    return body;
+  }
+}
+
+/**
+ * An upload, or a file inside one, is larger than the server accepts.
+ */
+export class PayloadTooLargeError extends AppError {
+  /**
+   * Create a PayloadTooLargeError.
+   * @param {string} subject - What was too large, e.g. 'The uploaded archive'.
+   * @param {number} maxBytes - Largest size accepted, in bytes.
+   */
+  constructor(subject, maxBytes) {
+    super(`${subject} is larger than the ${Math.floor(maxBytes / (1024 * 1024))} MB limit`, 413, 'PAYLOAD_TOO_LARGE');
+    this.maxBytes = maxBytes;
+  }
+
+  /**
+   * JSON body for API responses, including the limit.
+   * @returns {object} Response body.
+   */
+  toJSON() {
+    return { ...super.toJSON(), maxBytes: this.maxBytes };
+  }
+}
@@ -90,6 +90,39 @@ class SecurityMiddleware {
       }
     };
   }
+
+  /**
+   * Verify the X-Fitbit-Signature header on subscription notifications.
+   * The signature is a base64 HMAC-SHA1 of the raw request body keyed with `CLIENT_SECRET&`.
+   * Requires `req.rawBody`, which the JSON body parser keeps for this purpose.
+   * @returns {function} Express middleware function
+   */
+  verifyFitbitSignature() {
+    return (req, res, next) => {
+      const signature = req.headers['x-fitbit-signature'];
+
+      if (!signature || !req.rawBody || !process.env.CLIENT_SECRET) {
+        console.warn('Rejected Fitbit notification without a verifiable signature');
+        return res.sendStatus(404);
+      }
+
+      const expected = crypto
+        .createHmac('sha1', `${process.env.CLIENT_SECRET}&`)
+        .update(req.rawBody)
+        .digest('base64');
+
+      const expectedBuffer = Buffer.from(expected);
+      const signatureBuffer = Buffer.from(signature);
+
+      // Fitbit expects a 404 when the signature does not match
+      if (expectedBuffer.length !== signatureBuffer.length || !crypto.timingSafeEqual(expectedBuffer, signatureBuffer)) {
+        console.warn('Rejected Fitbit notification with an invalid signature');
+        return res.sendStatus(404);
+      }
+
+      next();
+    };
+  }
 }
 
 export default SecurityMiddleware;
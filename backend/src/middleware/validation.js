@@ -2,44 +2,326 @@
  * Validation middleware for API requests.
  * @module backend/middleware/validation
  */
+import { PayloadTooLargeError, ValidationError } from '../errors.js';
+
+const MAX_SYNC_BATCH = 5000;
+const CLIENT_ID_MESSAGE = 'clientId must be 1-100 letters, digits or . _ : -';
+
+/**
+ * Check a sync client identifier, e.g. the name of an iOS Shortcut.
+ * @param {*} clientId - Value from the request.
+ * @returns {boolean} Whether it can be used as a client id.
+ */
+function isValidClientId(clientId) {
+  return typeof clientId === 'string' && /^[A-Za-z0-9._:-]{1,100}$/.test(clientId);
+}
+
+/**
+ * Check whether a time zone name is known to the runtime.
+ * @param {string} timeZone - IANA time zone name, e.g. `Europe/London`.
+ * @returns {boolean} Whether it can be used to format times.
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
 
 /**
  * Validation middleware service.
  */
 class ValidationMiddleware {
   /**
-   * Input validation middleware for sync requests.
+   * Input validation middleware for sync requests. A request either sends `lastSyncTimestamp`
+   * (measurement-time sync) or uses a server-side cursor, with optional `clientId` and `limit`.
    * @returns {function} Express middleware function
    */
   validateSyncRequest() {
     return (req, res, next) => {
-      const { lastSyncTimestamp } = req.body;
+      const { lastSyncTimestamp, clientId, limit } = req.body;
+      
+      if (lastSyncTimestamp === undefined) {
+        if (clientId !== undefined && !isValidClientId(clientId)) {
+          return next(new ValidationError(CLIENT_ID_MESSAGE, 'clientId'));
+        }
+        if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_SYNC_BATCH)) {
+          return next(new ValidationError(`limit must be a whole number between 1 and ${MAX_SYNC_BATCH}`, 'limit'));
+        }
+        return next();
+      }
       
       if (!lastSyncTimestamp) {
-        return res.status(400).json({ 
-          error: 'lastSyncTimestamp is required' 
-        });
+        return next(new ValidationError('lastSyncTimestamp is required', 'lastSyncTimestamp'));
       }
       
       // Validate ISO 8601 format
       const isoRegex = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z$/;
       if (!isoRegex.test(lastSyncTimestamp)) {
-        return res.status(400).json({ 
-          error: 'lastSyncTimestamp must be in ISO 8601 format (YYYY-MM-DDTHH:mm:ss.sssZ)' 
-        });
+        return next(new ValidationError('lastSyncTimestamp must be in ISO 8601 format (YYYY-MM-DDTHH:mm:ss.sssZ)', 'lastSyncTimestamp'));
       }
       
       // Validate timestamp is not in the future
       const timestamp = new Date(lastSyncTimestamp);
       if (timestamp > new Date()) {
-        return res.status(400).json({ 
-          error: 'lastSyncTimestamp cannot be in the future' 
-        });
+        return next(new ValidationError('lastSyncTimestamp cannot be in the future', 'lastSyncTimestamp'));
       }
       
       next();
     };
   }
+
+  /**
+   * Input validation middleware for sync acknowledgements.
+   * @returns {function} Express middleware function
+   */
+  validateSyncAck() {
+    return (req, res, next) => {
+      const { clientId, cursor } = req.body;
+
+      if (clientId !== undefined && !isValidClientId(clientId)) {
+        return next(new ValidationError(CLIENT_ID_MESSAGE, 'clientId'));
+      }
+
+      if (!Number.isInteger(cursor) || cursor < 0) {
+        return next(new ValidationError('cursor must be the cursor returned by /api/sync', 'cursor'));
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Input validation middleware for change feed queries (`since` sequence, optional `limit`).
+   * @returns {function} Express middleware function
+   */
+  validateChangesQuery() {
+    return (req, res, next) => {
+      const { since, limit } = req.query;
+
+      if (since === undefined || !/^\d+$/.test(since)) {
+        return next(new ValidationError('since must be a sequence number (0 for the start)', 'since'));
+      }
+
+      if (limit !== undefined && (!/^\d+$/.test(limit) || Number(limit) < 1 || Number(limit) > MAX_SYNC_BATCH)) {
+        return next(new ValidationError(`limit must be a whole number between 1 and ${MAX_SYNC_BATCH}`, 'limit'));
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Input validation middleware for export queries: optional `from`/`to` dates and a
+   * comma-separated `types` list.
+   * @returns {function} Express middleware function
+   */
+  validateExportQuery() {
+    return (req, res, next) => {
+      const { from, to, types } = req.query;
+      const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+      if ((from !== undefined && !dateRegex.test(from)) || (to !== undefined && !dateRegex.test(to))) {
+        return next(new ValidationError('from and to must be in YYYY-MM-DD format'));
+      }
+
+      if (from && to && from > to) {
+        return next(new ValidationError('from must be before or equal to to', 'from'));
+      }
+
+      if (types !== undefined && !/^[A-Za-z0-9_.-]+(,[A-Za-z0-9_.-]+)*$/.test(types)) {
+        return next(new ValidationError('types must be a comma-separated list of sample types', 'types'));
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Input validation middleware for sample export queries: `format`, comma-separated `columns`
+   * and `tz`, plus the `from`/`to`/`types` filters checked by `validateExportQuery`.
+   * @param {string[]} validFormats - Supported formats.
+   * @param {string[]} validColumns - Columns that can be exported.
+   * @returns {function} Express middleware function
+   */
+  validateSampleExportQuery(validFormats, validColumns) {
+    const validateFilters = this.validateExportQuery();
+    return (req, res, next) => {
+      const { format, columns, tz } = req.query;
+
+      if (format !== undefined && !validFormats.includes(format)) {
+        return next(new ValidationError(`format must be one of: ${validFormats.join(', ')}`, 'format'));
+      }
+
+      if (columns !== undefined) {
+        const invalid = columns.split(',').filter(column => !validColumns.includes(column));
+        if (invalid.length > 0) {
+          return next(new ValidationError(`Invalid columns: ${invalid.join(', ')}. Valid columns: ${validColumns.join(', ')}`, 'columns'));
+        }
+      }
+
+      if (tz !== undefined && !isValidTimeZone(tz)) {
+        return next(new ValidationError('tz must be an IANA time zone name, e.g. America/New_York', 'tz'));
+      }
+
+      validateFilters(req, res, next);
+    };
+  }
+
+  /**
+   * Input validation middleware for aggregate queries: `type`, `bucket` and `fn`, plus a required
+   * `from`/`to` range of up to 31 days for hourly buckets or about ten years otherwise.
+   * @param {string[]} validBuckets - Supported buckets.
+   * @param {string[]} validFunctions - Supported aggregate functions.
+   * @returns {function} Express middleware function
+   */
+  validateAggregateQuery(validBuckets, validFunctions) {
+    return (req, res, next) => {
+      const { type, bucket, fn } = req.query;
+
+      if (typeof type !== 'string' || !/^[A-Za-z0-9_.-]+$/.test(type)) {
+        return next(new ValidationError('type query parameter is required', 'type'));
+      }
+
+      if (bucket !== undefined && !validBuckets.includes(bucket)) {
+        return next(new ValidationError(`bucket must be one of: ${validBuckets.join(', ')}`, 'bucket'));
+      }
+
+      if (fn !== undefined && !validFunctions.includes(fn)) {
+        return next(new ValidationError(`fn must be one of: ${validFunctions.join(', ')}`, 'fn'));
+      }
+
+      this.validateDateRangeQuery(bucket === 'hour' ? 31 : 3660)(req, res, next);
+    };
+  }
+
+  /**
+   * Input validation middleware for `from`/`to` date range query parameters.
+   * @param {number} [maxDays=366] - Largest range allowed, in days.
+   * @returns {function} Express middleware function
+   */
+  validateDateRangeQuery(maxDays = 366) {
+    return (req, res, next) => {
+      const { from, to } = req.query;
+      const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+      if (!from || !to) {
+        return next(new ValidationError('from and to query parameters are required'));
+      }
+
+      if (!dateRegex.test(from) || !dateRegex.test(to)) {
+        return next(new ValidationError('from and to must be in YYYY-MM-DD format'));
+      }
+
+      if (from > to) {
+        return next(new ValidationError('from must be before or equal to to', 'from'));
+      }
+
+      const days = Math.round((new Date(to) - new Date(from)) / (1000 * 60 * 60 * 24)) + 1;
+      if (days > maxDays) {
+        return next(new ValidationError(`Date range too large. Maximum ${maxDays} days allowed, requested ${days} days`, 'to'));
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Input validation middleware for backfill job requests.
+   * @param {string[]} validSampleTypes - Sample type groups that can be requested.
+   * @returns {function} Express middleware function
+   */
+  validateBackfillRequest(validSampleTypes) {
+    return (req, res, next) => {
+      const { startDate, endDate, sampleTypes } = req.body;
+      const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+      if (!startDate || !endDate) {
+        return next(new ValidationError('startDate and endDate are required'));
+      }
+
+      if (!dateRegex.test(startDate) || !dateRegex.test(endDate)) {
+        return next(new ValidationError('startDate and endDate must be in YYYY-MM-DD format'));
+      }
+
+      if (startDate > endDate) {
+        return next(new ValidationError('startDate must be before or equal to endDate', 'startDate'));
+      }
+
+      // Validate the range does not extend into the future
+      const now = new Date();
+      const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+      if (endDate > today) {
+        return next(new ValidationError('endDate cannot be in the future', 'endDate'));
+      }
+
+      if (sampleTypes !== undefined && sampleTypes !== null) {
+        if (!Array.isArray(sampleTypes) || sampleTypes.length === 0 ||
+            !sampleTypes.every(type => validSampleTypes.includes(type))) {
+          return next(new ValidationError(`sampleTypes must be a non-empty array of: ${validSampleTypes.join(', ')}`, 'sampleTypes'));
+        }
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Input validation middleware for Takeout archive uploads, sent as the raw request body.
+   * @param {number} maxBytes - Largest upload accepted, checked against Content-Length.
+   * @returns {function} Express middleware function
+   */
+  validateTakeoutUpload(maxBytes) {
+    return (req, res, next) => {
+      const contentType = (req.headers['content-type'] || '').split(';')[0].trim();
+      const zipTypes = ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'];
+
+      if (!zipTypes.includes(contentType)) {
+        return next(new ValidationError(`Upload the Takeout zip as the request body with Content-Type ${zipTypes.join(' or ')}`));
+      }
+
+      if (req.headers['content-length'] === '0') {
+        return next(new ValidationError('The uploaded archive is empty'));
+      }
+
+      if (parseInt(req.headers['content-length']) > maxBytes) {
+        return next(new PayloadTooLargeError('The uploaded archive', maxBytes));
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Input validation middleware for retention policy updates.
+   * @returns {function} Express middleware function
+   */
+  validateRetentionPolicy() {
+    return (req, res, next) => {
+      const { sampleType } = req.params;
+      const { keepDays, archive } = req.body;
+
+      if (sampleType !== '*' && !/^[A-Za-z0-9_.-]{1,100}$/.test(sampleType)) {
+        return next(new ValidationError('sampleType must be a sample type name or *', 'sampleType'));
+      }
+
+      if (keepDays === undefined) {
+        return next(new ValidationError('keepDays is required (null keeps samples forever)', 'keepDays'));
+      }
+
+      if (keepDays !== null && (!Number.isInteger(keepDays) || keepDays < 1 || keepDays > 36500)) {
+        return next(new ValidationError('keepDays must be null or a whole number of days between 1 and 36500', 'keepDays'));
+      }
+
+      if (archive !== undefined && typeof archive !== 'boolean') {
+        return next(new ValidationError('archive must be true or false', 'archive'));
+      }
+
+      next();
+    };
+  }
 }
 
 export default ValidationMiddleware;
@@ -3,13 +3,168 @@
  * @module backend/routes/api
  */
 import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pipeline } from 'stream';
+import { AppError, ValidationError } from '../errors.js';
+import { EXPORT_FORMATS, EXPORT_COLUMNS } from '../services/sample-export-service.js';
+import { AGGREGATE_BUCKETS, AGGREGATE_FUNCTIONS } from '../services/aggregate-service.js';
+
+/**
+ * Convert a backfill job row to the API response format (camelCase).
+ * @param {object} job - Backfill job from the repository.
+ * @returns {object} Backfill job for API responses.
+ */
+function formatBackfillJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    startDate: job.start_date,
+    endDate: job.end_date,
+    sampleTypes: job.sample_types || 'all',
+    cursorDate: job.cursor_date,
+    daysCompleted: job.days_completed,
+    totalDays: job.total_days,
+    percentComplete: job.total_days > 0 ? Math.round((job.days_completed / job.total_days) * 100) : 0,
+    samplesSynced: job.samples_synced,
+    resumeAt: job.resume_at ? new Date(job.resume_at).toISOString() : null,
+    error: job.error_message,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at
+  };
+}
+
+/**
+ * Convert a sleep session row to the API response format (camelCase).
+ * @param {object} session - Sleep session from the repository.
+ * @returns {object} Sleep session for API responses.
+ */
+function formatSleepSession(session) {
+  return {
+    logId: session.log_id,
+    dateOfSleep: session.date_of_sleep,
+    startTime: session.start_time,
+    endTime: session.end_time,
+    duration: session.duration_ms,
+    minutesAsleep: session.minutes_asleep,
+    minutesAwake: session.minutes_awake,
+    timeInBed: session.time_in_bed,
+    efficiency: session.efficiency,
+    isMainSleep: session.is_main_sleep,
+    type: session.log_type,
+    summary: session.summary,
+    stages: session.stages.map(stage => ({
+      level: stage.level,
+      startTime: stage.start_time,
+      endTime: stage.end_time,
+      seconds: stage.seconds,
+      isShort: stage.is_short
+    }))
+  };
+}
+
+/**
+ * Convert a retention policy row to the API response format (camelCase).
+ * @param {object} policy - Retention policy from the repository or RetentionService.
+ * @returns {object} Retention policy for API responses.
+ */
+function formatRetentionPolicy(policy) {
+  const formatted = {
+    sampleType: policy.sample_type,
+    keepDays: policy.keep_days,
+    archive: policy.archive
+  };
+  if (policy.policy_type !== undefined) formatted.policyType = policy.policy_type;
+  if (policy.updated_at !== undefined) formatted.updatedAt = policy.updated_at;
+  if (policy.is_default !== undefined) formatted.isDefault = policy.is_default;
+  if (policy.cutoff !== undefined) {
+    formatted.cutoff = policy.cutoff;
+    formatted.count = policy.count;
+    formatted.oldest = policy.oldest;
+  }
+  return formatted;
+}
+
+/**
+ * Get the sync client a request is for: the `clientId` it names, or else the personal token the
+ * access token belongs to, so each iOS Shortcut token has its own cursor and keeps it across refreshes.
+ * @param {object} req - Express request.
+ * @param {object} authFrontendService - JWT authentication service resolving the token id.
+ * @returns {string|null} Client identifier, or null if there is neither.
+ */
+function getSyncClientId(req, authFrontendService) {
+  if (req.body.clientId) return req.body.clientId;
+  const tokenId = req.user ? authFrontendService.getTokenId(req.user) : null;
+  return tokenId ? `jwt:${tokenId}` : null;
+}
+
+/**
+ * Convert a sync client cursor to the API response format (camelCase).
+ * @param {object} client - Sync client from the repository.
+ * @returns {object} Sync client for API responses.
+ */
+function formatSyncClient(client) {
+  return {
+    clientId: client.client_id,
+    ackedCursor: client.acked_seq,
+    deliveredCursor: client.delivered_seq,
+    lastSeenAt: client.last_seen_at,
+    createdAt: client.created_at
+  };
+}
+
+/**
+ * Read the export filters from a validated query string.
+ * @param {object} query - Request query (`from`, `to`, `types`).
+ * @returns {{from: string|null, to: string|null, types: string[]|null}} Filters for the export services.
+ */
+function parseExportFilters(query) {
+  return {
+    from: query.from || null,
+    to: query.to || null,
+    types: query.types ? query.types.split(',') : null
+  };
+}
+
+/**
+ * Convert a Takeout import job to the API response format (camelCase).
+ * @param {object} job - Import job from the TakeoutImportService.
+ * @returns {object} Import job for API responses.
+ */
+function formatImportJob(job) {
+  return {
+    id: job.id,
+    fileName: job.file_name,
+    status: job.status,
+    totalEntries: job.total_entries,
+    entriesRead: job.entries_read,
+    percentComplete: job.total_entries > 0 ? Math.round((job.entries_read / job.total_entries) * 100) : 0,
+    currentFile: job.current_file,
+    filesImported: job.files_imported,
+    samplesStored: job.samples_stored,
+    sleepSessionsStored: job.sleep_sessions_stored,
+    daysSkipped: job.days_skipped,
+    error: job.error,
+    startedAt: job.started_at,
+    finishedAt: job.finished_at
+  };
+}
 
 /**
  * Create API routes for data and sync operations.
  * @param {object} params - Route dependencies.
  * @param {object} params.dataService - DataService instance for repositories.
  * @param {object} params.fitbitService - FitbitService instance.
- * @param {object} params.authFrontendService - JWT authentication service.
+ * @param {object} params.backfillService - BackfillService instance for historical imports.
+ * @param {object} params.subscriptionService - SubscriptionService instance for Fitbit push notifications.
+ * @param {object} params.retentionService - RetentionService instance for sample retention policies.
+ * @param {object} params.syncCursorService - SyncCursorService instance for per-client sync cursors.
+ * @param {object} params.healthKitExportService - HealthKitExportService instance for Apple Health archives.
+ * @param {object} params.sampleExportService - SampleExportService instance for CSV and NDJSON exports.
+ * @param {object} params.takeoutImportService - TakeoutImportService instance for Fitbit data export imports.
+ * @param {object} params.aggregateService - AggregateService instance for chart rollups.
+ * @param {object} params.authFrontendService - JWT authentication service, also enforcing token scopes.
  * @param {object} params.validationMiddleware - Validation middleware service.
  * @param {object} params.errorMiddleware - Error handling middleware service.
  * @returns {express.Router} Express router for API endpoints.
@@ -17,12 +172,23 @@ import express from 'express';
 export default function createApiRoutes({ 
   dataService, // was db
   fitbitService, 
+  backfillService,
+  subscriptionService,
+  retentionService,
+  syncCursorService,
+  healthKitExportService,
+  sampleExportService,
+  takeoutImportService,
+  aggregateService,
   authFrontendService, 
   validationMiddleware, 
   errorMiddleware 
 }) {
   const router = express.Router();
 
+  // Personal tokens reach only the routes their scopes allow; sessions reach every route
+  const requireScope = (scope) => authFrontendService.requireScope(scope);
+
   router.use((req, res, next) => {
     const authHeader = req.headers.authorization;
     if (authHeader && authHeader.startsWith('Bearer ')) {
@@ -33,6 +199,9 @@ export default function createApiRoutes({
       if (!sessionUser.id || !sessionUser.email) {
         return res.status(401).json({ error: 'Invalid session structure' });
       }
+      if (!Number.isInteger(sessionUser.userId)) {
+        return res.status(401).json({ error: 'Session predates user accounts, please login again' });
+      }
       const sessionCreatedAt = req.session.createdAt || Date.now();
       const sessionAge = Date.now() - sessionCreatedAt;
       const maxSessionAge = 7 * 24 * 60 * 60 * 1000;
@@ -40,14 +209,13 @@ export default function createApiRoutes({
         req.session.destroy();
         return res.status(401).json({ error: 'Session expired, please login again' });
       }
+      req.userId = sessionUser.userId;
       return next();
     }
     return res.status(401).json({ error: 'Authentication required - provide JWT token or valid session' });
   });
 
-  router.use(errorMiddleware.errorHandler());
-
-  router.get('/samples', async (req, res) => {
+  router.get('/samples', requireScope('samples:read'), async (req, res) => {
     try {
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 100;
@@ -55,13 +223,16 @@ export default function createApiRoutes({
       const sortColumn = req.query.sort || 'created_at';
       const sortDirection = req.query.direction || 'desc';
 
-      const result = await dataService.sample_repository.get_samples_paginated(page, limit, typeFilter, sortColumn, sortDirection);
+      const result = await dataService.sample_repository.get_samples_paginated(req.userId, page, limit, typeFilter, sortColumn, sortDirection);
       // Convert to original API format (camelCase)
       const converted_samples = result.samples.map(sample => {
         const converted = { 
           id: sample.id,
           type: sample.type, 
+          valueKind: sample.value_kind,
           value: sample.value,
+          unit: sample.unit,
+          metadata: sample.metadata,
           created_at: sample.created_at
         };
         if (sample.timestamp) converted.timestamp = sample.timestamp;
@@ -86,9 +257,101 @@ export default function createApiRoutes({
     }
   });
 
-  router.get('/sample-types', async (req, res) => {
+  // Nightly sleep sessions by date of sleep (the day each sleep ended)
+  router.get('/sleep', requireScope('samples:read'), validationMiddleware.validateDateRangeQuery(), async (req, res, next) => {
+    try {
+      const sessions = await dataService.sleep_session_repository.get_sessions(req.userId, req.query.from, req.query.to);
+      res.json({ sessions: sessions.map(formatSleepSession), count: sessions.length });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Every matching sample as CSV or NDJSON, streamed row by row
+  router.get('/export', requireScope('samples:read'), validationMiddleware.validateSampleExportQuery(Object.keys(EXPORT_FORMATS), EXPORT_COLUMNS), (req, res) => {
+    const format = req.query.format || 'csv';
+    const stream = sampleExportService.createStream({
+      userId: req.userId,
+      ...parseExportFilters(req.query),
+      format,
+      columns: req.query.columns ? req.query.columns.split(',') : null,
+      timeZone: req.query.tz || null
+    });
+    res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="fitbit-samples.${format}"`);
+    pipeline(stream, res, (error) => {
+      if (error) {
+        console.error('Sample export error:', error.message);
+      }
+    });
+  });
+
+  // Apple Health export.xml, zipped, for importing history in bulk
+  router.get('/export/healthkit', requireScope('samples:read'), validationMiddleware.validateExportQuery(), (req, res) => {
+    const archive = healthKitExportService.createArchive({ userId: req.userId, ...parseExportFilters(req.query) });
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', 'attachment; filename="apple_health_export.zip"');
+    pipeline(archive, res, (error) => {
+      if (error) {
+        console.error('HealthKit export error:', error.message);
+      }
+    });
+  });
+
+  // Takeout zip as the raw body; saved to a temporary file and imported in the background
+  router.post('/import/takeout', requireScope('samples:write'), validationMiddleware.validateTakeoutUpload(takeoutImportService.maxUploadBytes), async (req, res, next) => {
+    if (takeoutImportService.isRunning()) {
+      return next(new AppError('A Takeout import is already running', 409, 'IMPORT_IN_PROGRESS'));
+    }
+
+    const uploadPath = path.join(os.tmpdir(), `fitbit-takeout-${Date.now()}-${process.pid}.zip`);
     try {
-      const types = await dataService.sample_repository.get_sample_types();
+      await takeoutImportService.saveUpload(req, uploadPath);
+      const fileName = typeof req.query.fileName === 'string' ? req.query.fileName : 'takeout.zip';
+      const job = takeoutImportService.startImport(uploadPath, { userId: req.userId, fileName, removeFile: true });
+      res.status(202).json({
+        message: `Import of ${fileName} started`,
+        job: formatImportJob(job),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      fs.promises.unlink(uploadPath).catch(() => {});
+      console.error('Takeout upload error:', error.message);
+      next(error);
+    }
+  });
+
+  router.get('/import', requireScope('sync:read'), (req, res) => {
+    res.json({ jobs: takeoutImportService.getJobs(req.userId).map(formatImportJob) });
+  });
+
+  router.get('/import/:id', requireScope('sync:read'), (req, res) => {
+    const jobId = parseInt(req.params.id);
+    if (!Number.isInteger(jobId) || jobId <= 0) {
+      return res.status(400).json({ error: 'Invalid import job ID' });
+    }
+
+    const job = takeoutImportService.getJob(req.userId, jobId);
+    if (!job) {
+      return res.status(404).json({ error: `Import job ${jobId} not found` });
+    }
+
+    res.json({ job: formatImportJob(job) });
+  });
+
+  router.get('/aggregates', requireScope('samples:read'), validationMiddleware.validateAggregateQuery(AGGREGATE_BUCKETS, AGGREGATE_FUNCTIONS), async (req, res, next) => {
+    try {
+      const { type, from, to, bucket, fn } = req.query;
+      res.json(await aggregateService.getAggregates({ userId: req.userId, type, from, to, bucket, fn }));
+    } catch (error) {
+      console.error('Aggregates API error:', error.message);
+      next(error);
+    }
+  });
+
+  router.get('/sample-types', requireScope('samples:read'), async (req, res) => {
+    try {
+      const types = await dataService.sample_repository.get_sample_types(req.userId);
       res.json({ types });
     } catch (error) {
       console.error('Sample types API error:', error);
@@ -96,15 +359,20 @@ export default function createApiRoutes({
     }
   });
 
-  router.post('/sync', validationMiddleware.validateSyncRequest(), async (req, res) => {
+  router.post('/sync', requireScope('sync:read'), validationMiddleware.validateSyncRequest(), async (req, res, next) => {
+    if (req.body.lastSyncTimestamp === undefined) {
+      return syncWithCursor(req, res, next);
+    }
     try {
       const { lastSyncTimestamp } = req.body;
       console.log(`Sync request received. Last sync: ${lastSyncTimestamp}`);
-      const samples = await dataService.sample_repository.get_samples_since(lastSyncTimestamp);
+      const samples = await dataService.sample_repository.get_samples_since(req.userId, lastSyncTimestamp);
+      const deleted = await dataService.sample_repository.get_tombstones_since(req.userId, lastSyncTimestamp);
       const now = new Date();
       const newLastSyncTimestamp = now.toISOString();
       res.json({
         samples,
+        deleted,
         newLastSyncTimestamp,
         count: samples.length,
         syncTime: newLastSyncTimestamp,
@@ -116,24 +384,105 @@ export default function createApiRoutes({
     }
   });
 
-  router.post('/sync/trigger', async (req, res) => {
+  // Cursor sync: the next page of samples inserted or changed since the client's last acknowledgement
+  async function syncWithCursor(req, res, next) {
+    try {
+      const clientId = getSyncClientId(req, authFrontendService);
+      if (!clientId) {
+        throw new ValidationError('clientId is required when not using a token', 'clientId');
+      }
+
+      const batch = await syncCursorService.getBatch(req.userId, clientId, req.body.limit);
+      res.json({
+        clientId,
+        samples: batch.samples,
+        deleted: batch.deleted,
+        count: batch.samples.length,
+        cursor: batch.cursor,
+        hasMore: batch.hasMore,
+        syncTime: new Date().toISOString()
+      });
+      console.log(`Cursor sync for ${clientId}: ${batch.samples.length} samples and ${batch.deleted.length} deletions up to ${batch.cursor}`);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Confirms a client stored everything up to a cursor, so the next sync starts after it
+  router.post('/sync/ack', requireScope('sync:read'), validationMiddleware.validateSyncAck(), async (req, res, next) => {
+    try {
+      const clientId = getSyncClientId(req, authFrontendService);
+      if (!clientId) {
+        throw new ValidationError('clientId is required when not using a token', 'clientId');
+      }
+
+      const client = await syncCursorService.acknowledge(req.userId, clientId, req.body.cursor);
+      res.json({ client: formatSyncClient(client) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Change feed: inserts, updates and deletes after a sequence number, for mirrors
+  router.get('/changes', requireScope('sync:read'), validationMiddleware.validateChangesQuery(), async (req, res, next) => {
+    try {
+      const since = parseInt(req.query.since);
+      const limit = req.query.limit ? parseInt(req.query.limit) : 1000;
+      const rows = await dataService.sample_repository.get_changes_after_sequence(req.userId, since, limit + 1);
+      const changes = rows.slice(0, limit);
+      res.json({
+        changes,
+        count: changes.length,
+        next: changes.length > 0 ? changes[changes.length - 1].sequence : since,
+        hasMore: rows.length > limit
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/sync/clients', requireScope('sync:read'), async (req, res, next) => {
+    try {
+      const clients = await syncCursorService.getClients(req.userId);
+      res.json({ clients: clients.map(formatSyncClient) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Forget a client's cursor so its next sync redelivers every sample
+  router.delete('/sync/clients/:clientId', requireScope('sync:trigger'), async (req, res, next) => {
+    try {
+      const deleted = await syncCursorService.resetClient(req.userId, req.params.clientId);
+      if (!deleted) {
+        return res.status(404).json({ error: `Sync client ${req.params.clientId} not found` });
+      }
+      res.json({ message: `Sync cursor for ${req.params.clientId} reset` });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/sync/trigger', requireScope('sync:trigger'), async (req, res, next) => {
     try {
       const { date, startDate, endDate, sampleTypes } = req.body;
+      // Manual syncs refetch whole days unless the client opts into incremental cursors
+      const syncOptions = { userId: req.userId, priority: 'interactive', force: req.body.force !== false };
       
       let results;
       let message;
       
       if (startDate && endDate) {
         console.log(`Manual date range sync triggered: ${startDate} to ${endDate}`, sampleTypes ? `for sample types: ${sampleTypes.join(', ')}` : 'for all sample types');
-        results = await fitbitService.syncDateRange(startDate, endDate, sampleTypes);
+        results = await fitbitService.syncDateRange(startDate, endDate, sampleTypes, syncOptions);
         message = `Date range sync completed for ${startDate} to ${endDate}`;
       } else if (date) {
         console.log(`Manual date sync triggered for: ${date}`, sampleTypes ? `for sample types: ${sampleTypes.join(', ')}` : 'for all sample types');
-        results = await fitbitService.syncAllData(date, sampleTypes);
+        results = await fitbitService.syncAllData(date, sampleTypes, syncOptions);
         message = `Date sync completed for ${date}`;
       } else {
         console.log('Manual sync triggered', sampleTypes ? `for sample types: ${sampleTypes.join(', ')}` : 'for all sample types');
-        results = await fitbitService.syncAllData(null, sampleTypes);
+        results = await fitbitService.syncAllData(null, sampleTypes, syncOptions);
         message = 'Manual sync completed';
       }
       
@@ -143,128 +492,199 @@ export default function createApiRoutes({
         timestamp: new Date().toISOString(),
       });
     } catch (error) {
-      console.error('Manual sync error:', error);
-      
-      console.error('Full error object:', {
-        message: error.message,
-        stack: error.stack,
-        response: error.response?.data,
-        status: error.response?.status,
-        headers: error.response?.headers
+      console.error('Manual sync error:', error.message);
+      next(error);
+    }
+  });
+
+  router.post('/backfill', requireScope('sync:trigger'), validationMiddleware.validateBackfillRequest(fitbitService.providers.getGroups()), async (req, res, next) => {
+    try {
+      const { startDate, endDate, sampleTypes } = req.body;
+      console.log(`Backfill requested: ${startDate} to ${endDate}`, sampleTypes ? `for sample types: ${sampleTypes.join(', ')}` : 'for all sample types');
+
+      const job = await backfillService.createJob(req.userId, startDate, endDate, sampleTypes || null);
+      res.status(202).json({
+        message: `Backfill job created for ${startDate} to ${endDate}`,
+        job: formatBackfillJob(job),
+        timestamp: new Date().toISOString()
       });
-      
-      const isDevelopment = process.env.NODE_ENV === 'development';
-      
-      const errorResponse = {
-        error: 'Error processing request',
+    } catch (error) {
+      console.error('Create backfill error:', error.message);
+      next(error);
+    }
+  });
+
+  router.get('/backfill', requireScope('sync:read'), async (req, res) => {
+    try {
+      const jobs = await backfillService.getJobs(req.userId);
+      res.json({ jobs: jobs.map(formatBackfillJob) });
+    } catch (error) {
+      console.error('List backfill error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/backfill/:id', requireScope('sync:read'), async (req, res) => {
+    try {
+      const jobId = parseInt(req.params.id);
+      if (!Number.isInteger(jobId) || jobId <= 0) {
+        return res.status(400).json({ error: 'Invalid backfill job ID' });
+      }
+
+      const job = await backfillService.getJob(req.userId, jobId);
+      if (!job) {
+        return res.status(404).json({ error: `Backfill job ${jobId} not found` });
+      }
+
+      res.json({ job: formatBackfillJob(job) });
+    } catch (error) {
+      console.error('Get backfill error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.delete('/backfill/:id', requireScope('sync:trigger'), async (req, res) => {
+    try {
+      const jobId = parseInt(req.params.id);
+      if (!Number.isInteger(jobId) || jobId <= 0) {
+        return res.status(400).json({ error: 'Invalid backfill job ID' });
+      }
+
+      const existing = await backfillService.getJob(req.userId, jobId);
+      if (!existing) {
+        return res.status(404).json({ error: `Backfill job ${jobId} not found` });
+      }
+      if (!['pending', 'running', 'paused'].includes(existing.status)) {
+        return res.status(409).json({ error: `Backfill job ${jobId} is already ${existing.status}` });
+      }
+
+      const job = await backfillService.cancelJob(req.userId, jobId);
+      res.json({
+        message: `Backfill job ${jobId} cancelled`,
+        job: formatBackfillJob(job),
         timestamp: new Date().toISOString()
-      };
-      
-      if (isDevelopment) {
-        errorResponse.message = error.message;
-        
-        if (error.response) {
-          errorResponse.httpStatus = error.response.status;
-          
-          if (error.response.data?.errors) {
-            errorResponse.errorTypes = Array.isArray(error.response.data.errors) ? 
-              error.response.data.errors.map(e => e.type || e.code) : 
-              [error.response.data.errors.type || error.response.data.errors.code];
-          }
-        }
+      });
+    } catch (error) {
+      console.error('Cancel backfill error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/subscriptions', requireScope('sync:read'), async (req, res, next) => {
+    try {
+      const subscriptions = await subscriptionService.listSubscriptions({ userId: req.userId, priority: 'interactive' });
+      res.json({
+        enabled: subscriptionService.isEnabled(),
+        subscriptions
+      });
+    } catch (error) {
+      console.error('List subscriptions error:', error.message);
+      next(error);
+    }
+  });
+
+  router.post('/subscriptions', requireScope('sync:trigger'), async (req, res, next) => {
+    try {
+      if (!subscriptionService.isEnabled()) {
+        return res.status(409).json({ error: 'Fitbit subscriptions are not configured. Set FITBIT_SUBSCRIBER_VERIFY_CODE first.' });
       }
-      
-      const statusCode = error.response?.status === 429 ? 429 : 
-                        error.response?.status === 401 ? 401 : 
-                        error.message.includes('Rate limit') ? 429 : 500;
-      
-      if (statusCode === 429) {
-        let rateLimitMatch = error.message.match(/Used (\d+)\/(\d+) requests\. (\d+) remaining\. Resets in (\d+) seconds/);
-        
-        if (rateLimitMatch) {
-          const [, used, total, remaining, resetTime] = rateLimitMatch;
-          const resetDate = new Date(Date.now() + parseInt(resetTime) * 1000);
-          errorResponse.error = `Rate limit exceeded: ${used}/${total} requests used, ${remaining} remaining. Resets in ${resetTime} seconds (${resetDate.toLocaleString()})`;
-          errorResponse.rateLimitInfo = {
-            used: parseInt(used),
-            total: parseInt(total),
-            remaining: parseInt(remaining),
-            resetTime: parseInt(resetTime),
-            resetDate: resetDate.toISOString()
-          };
-        } else {
-          const simpleLimitMatch = error.message.match(/Rate limit too low: (\d+) requests remaining.*?resets in (\d+) seconds at (.+)/);
-          const rangeLimitMatch = error.message.match(/Rate limit too low: (\d+) requests remaining, need approximately (\d+).*?resets in (\d+) seconds at (.+)/);
-          
-          if (rangeLimitMatch) {
-            const [, remaining, needed, resetTime, resetDateStr] = rangeLimitMatch;
-            const resetDate = new Date(resetDateStr);
-            errorResponse.error = `Rate limit too low: ${remaining} requests remaining, need ${needed}. Resets in ${resetTime} seconds (${resetDate.toLocaleString()})`;
-            errorResponse.rateLimitInfo = {
-              used: 150 - parseInt(remaining),
-              total: 150,
-              remaining: parseInt(remaining),
-              needed: parseInt(needed),
-              resetTime: parseInt(resetTime),
-              resetDate: resetDate.toISOString()
-            };
-          } else if (simpleLimitMatch) {
-            const [, remaining, resetTime, resetDateStr] = simpleLimitMatch;
-            const resetDate = new Date(resetDateStr);
-            errorResponse.error = `Rate limit too low: ${remaining} requests remaining (need at least 10). Resets in ${resetTime} seconds (${resetDate.toLocaleString()})`;
-            errorResponse.rateLimitInfo = {
-              used: 150 - parseInt(remaining),
-              total: 150,
-              remaining: parseInt(remaining),
-              resetTime: parseInt(resetTime),
-              resetDate: resetDate.toISOString()
-            };
-          } else {
-            errorResponse.error = 'Rate limit exceeded, please try again later';
-          }
-        }
-      } else if (statusCode === 401) {
-        errorResponse.error = 'Authentication required or credentials expired';
+
+      const subscriptions = await subscriptionService.registerSubscriptions({ userId: req.userId, priority: 'interactive' });
+      res.status(201).json({
+        message: 'Fitbit subscriptions registered',
+        subscriptions,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Register subscriptions error:', error.message);
+      next(error);
+    }
+  });
+
+  // Retention policies: the user's policies and server defaults, plus the one in effect for each of the user's sample types
+  router.get('/retention', requireScope('samples:read'), async (req, res, next) => {
+    try {
+      const policies = await retentionService.getPolicies(req.userId);
+      const effective = await retentionService.getEffectivePolicies(req.userId);
+      res.json({
+        policies: policies.map(formatRetentionPolicy),
+        sampleTypes: effective.map(formatRetentionPolicy)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // What the next retention run would delete
+  router.get('/retention/preview', requireScope('samples:read'), async (req, res, next) => {
+    try {
+      const preview = await retentionService.preview(req.userId);
+      res.json({
+        preview: preview.map(formatRetentionPolicy),
+        totalCount: preview.reduce((sum, item) => sum + item.count, 0),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.put('/retention/:sampleType', requireScope('samples:delete'), validationMiddleware.validateRetentionPolicy(), async (req, res, next) => {
+    try {
+      const { keepDays, archive } = req.body;
+      const policy = await retentionService.setPolicy(req.userId, req.params.sampleType, { keepDays, archive });
+      res.json({ policy: formatRetentionPolicy(policy) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/retention/:sampleType', requireScope('samples:delete'), async (req, res, next) => {
+    try {
+      const deleted = await retentionService.deletePolicy(req.userId, req.params.sampleType);
+      if (!deleted) {
+        return res.status(404).json({ error: `You have no retention policy for ${req.params.sampleType}` });
       }
-      
-      res.status(statusCode).json(errorResponse);
+      res.json({ message: `Retention policy for ${req.params.sampleType} removed; the default policy applies` });
+    } catch (error) {
+      next(error);
     }
   });
 
-  router.get('/status', async (req, res) => {
+  router.get('/status', requireScope('sync:read'), async (req, res) => {
     try {
-      const rateLimitStatus = await dataService.sync_log_repository.get_rate_limit_status();
-      const tokens = await dataService.token_repository.get_tokens();
-      
-      const now = Date.now();
-      const resetTimestamp = rateLimitStatus.rate_limit_reset > 0 ? 
-        now + (rateLimitStatus.rate_limit_reset * 1000) : null;
+      const rateLimitBudget = fitbitService.getRateLimitBudget(req.userId);
+      await rateLimitBudget.load();
+      const budget = rateLimitBudget.getStatus();
+      const tokens = await dataService.token_repository.get_tokens(req.userId);
       
       const enhancedRateLimit = {
-        remaining: rateLimitStatus.rate_limit_remaining,
-        used: 150 - rateLimitStatus.rate_limit_remaining,
-        total: 150,
-        percentageUsed: Math.round(((150 - rateLimitStatus.rate_limit_remaining) / 150) * 100),
-        resetIn: rateLimitStatus.rate_limit_reset,
-        resetDate: resetTimestamp ? new Date(resetTimestamp).toISOString() : null,
-        resetDateFormatted: resetTimestamp ? new Date(resetTimestamp).toLocaleString() : null,
-        status: rateLimitStatus.rate_limit_remaining > 50 ? 'healthy' : 
-                rateLimitStatus.rate_limit_remaining > 20 ? 'warning' : 'critical',
-        isStale: rateLimitStatus.rate_limit_reset === 0
+        remaining: budget.remaining,
+        used: budget.used,
+        total: budget.limit,
+        reserve: budget.reserve,
+        queued: budget.queued,
+        percentageUsed: Math.round((budget.used / budget.limit) * 100),
+        resetIn: budget.resetIn,
+        resetDate: new Date(budget.resetAt).toISOString(),
+        resetDateFormatted: new Date(budget.resetAt).toLocaleString(),
+        status: budget.remaining > budget.limit / 3 ? 'healthy' : 
+                budget.remaining > budget.reserve ? 'warning' : 'critical',
+        isStale: budget.isStale
       };
       
-      console.log(`📊 Status endpoint called - Rate limit: ${enhancedRateLimit.remaining}/150 (${enhancedRateLimit.percentageUsed}% used, ${enhancedRateLimit.status})${enhancedRateLimit.isStale ? ' [STALE DATA]' : ''}`);
+      console.log(`📊 Status endpoint called - Rate limit: ${enhancedRateLimit.remaining}/${enhancedRateLimit.total} (${enhancedRateLimit.percentageUsed}% used, ${enhancedRateLimit.status})${enhancedRateLimit.isStale ? ' [STALE DATA]' : ''}`);
+      
+      const lastSync = {};
+      for (const provider of fitbitService.providers.getAll()) {
+        lastSync[provider.id] = await dataService.sync_log_repository.get_latest_sync_time(req.userId, provider.syncLogKey);
+      }
       
       res.json({
         rateLimit: enhancedRateLimit,
         tokenExpiry: tokens ? new Date(tokens.expires_at).toISOString() : null,
         scopes: fitbitService.scopes,
-        lastSync: {
-          activity: await dataService.sync_log_repository.get_latest_sync_time('activity'),
-          heartrate: await dataService.sync_log_repository.get_latest_sync_time('heartrate'),
-          sleep: await dataService.sync_log_repository.get_latest_sync_time('sleep'),
-          other: await dataService.sync_log_repository.get_latest_sync_time('other_health_data'),
-        },
+        lastSync,
       });
     } catch (error) {
       console.error('Status error:', error);
@@ -272,7 +692,7 @@ export default function createApiRoutes({
     }
   });
 
-  router.delete('/samples', async (req, res) => {
+  router.delete('/samples', requireScope('samples:delete'), async (req, res) => {
     try {
       const { samples } = req.body;
       
@@ -288,7 +708,7 @@ export default function createApiRoutes({
       
       if (sampleIds.length === samples.length) {
         console.log(`Deleting ${sampleIds.length} samples by ID: [${sampleIds.join(', ')}]`);
-        deletedCount = await dataService.sample_repository.delete_samples_by_ids(sampleIds);
+        deletedCount = await dataService.sample_repository.delete_samples_by_ids(req.userId, sampleIds);
       } else {
         console.log(`Deleting ${samples.length} samples by field matching`);
         
@@ -298,7 +718,7 @@ export default function createApiRoutes({
           }
         }
         
-        deletedCount = await dataService.sample_repository.delete_samples(samples);
+        deletedCount = await dataService.sample_repository.delete_samples(req.userId, samples);
       }
       
       console.log(`Successfully deleted ${deletedCount} samples`);
@@ -315,7 +735,7 @@ export default function createApiRoutes({
     }
   });
 
-  router.delete('/samples/ids', async (req, res) => {
+  router.delete('/samples/ids', requireScope('samples:delete'), async (req, res) => {
     try {
       const { ids } = req.body;
       
@@ -329,7 +749,7 @@ export default function createApiRoutes({
       }
 
       console.log(`Deleting samples with IDs: ${validIds.join(', ')}`);
-      const deletedCount = await dataService.sample_repository.delete_samples_by_ids(validIds);
+      const deletedCount = await dataService.sample_repository.delete_samples_by_ids(req.userId, validIds);
       
       res.json({
         message: `Successfully deleted ${deletedCount} samples`,
@@ -343,7 +763,7 @@ export default function createApiRoutes({
     }
   });
 
-  router.delete('/samples/type/:type', async (req, res) => {
+  router.delete('/samples/type/:type', requireScope('samples:delete'), async (req, res) => {
     try {
       const { type } = req.params;
       
@@ -352,7 +772,7 @@ export default function createApiRoutes({
       }
 
       console.log(`Deleting all samples of type: ${type}`);
-      const deletedCount = await dataService.sample_repository.delete_samples_by_type(type);
+      const deletedCount = await dataService.sample_repository.delete_samples_by_type(req.userId, type);
       
       res.json({
         message: `Successfully deleted ${deletedCount} samples of type '${type}'`,
@@ -366,7 +786,7 @@ export default function createApiRoutes({
     }
   });
 
-  router.delete('/samples/all', async (req, res) => {
+  router.delete('/samples/all', requireScope('samples:delete'), async (req, res) => {
     try {
       const { confirm } = req.body;
       
@@ -377,7 +797,7 @@ export default function createApiRoutes({
       }
 
       console.log('Deleting all samples');
-      const deletedCount = await dataService.sample_repository.delete_all_samples();
+      const deletedCount = await dataService.sample_repository.delete_all_samples(req.userId);
       
       res.json({
         message: `Successfully deleted all ${deletedCount} samples`,
@@ -390,7 +810,7 @@ export default function createApiRoutes({
     }
   });
 
-  router.delete('/samples/date/:date', async (req, res) => {
+  router.delete('/samples/date/:date', requireScope('samples:delete'), async (req, res) => {
     try {
       const { date } = req.params;
       const { types } = req.body;
@@ -408,7 +828,7 @@ export default function createApiRoutes({
         return res.status(400).json({ error: 'Types must be a non-empty array when provided' });
       }
 
-      const countInfo = await dataService.sample_repository.get_sample_count_by_date(date, types);
+      const countInfo = await dataService.sample_repository.get_sample_count_by_date(req.userId, date, types);
       
       console.log(`Deleting samples for date ${date}:`, countInfo);
 
@@ -424,7 +844,7 @@ export default function createApiRoutes({
         });
       }
 
-      const result = await dataService.sample_repository.delete_samples_by_date(date, types);
+      const result = await dataService.sample_repository.delete_samples_by_date(req.userId, date, types);
       
       res.json({
         message: types 
@@ -442,7 +862,7 @@ export default function createApiRoutes({
     }
   });
 
-  router.get('/samples/date/:date/count', async (req, res) => {
+  router.get('/samples/date/:date/count', requireScope('samples:read'), async (req, res) => {
     try {
       const { date } = req.params;
       const { types } = req.query;
@@ -464,7 +884,7 @@ export default function createApiRoutes({
         }
       }
 
-      const countInfo = await dataService.sample_repository.get_sample_count_by_date(date, typesArray);
+      const countInfo = await dataService.sample_repository.get_sample_count_by_date(req.userId, date, typesArray);
       
       res.json({
         date,
@@ -479,5 +899,8 @@ export default function createApiRoutes({
     }
   });
 
+  // Must be registered after the routes so errors passed to next() reach it
+  router.use(errorMiddleware.errorHandler());
+
   return router;
 }
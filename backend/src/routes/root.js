@@ -16,7 +16,7 @@ export default function createRootRoutes() {
   const router = express.Router();
   router.use(express.static(path.join(__dirname, '../public')));
   router.get('/', (req, res) => {
-    if (!req.session?.user?.authenticated) {
+    if (!req.session?.user?.authenticated || !Number.isInteger(req.session.user.userId)) {
       return res.sendFile(path.join(__dirname, '../public/login.html'));
     }
     res.sendFile(path.join(__dirname, '../public/index.html'));
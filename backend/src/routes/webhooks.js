@@ -0,0 +1,35 @@
+/**
+ * Webhook endpoints called by external services.
+ * @module backend/routes/webhooks
+ */
+import express from 'express';
+
+/**
+ * Create webhook routes. These are called by Fitbit, not by users, so they sit outside
+ * the authenticated API and rely on the subscriber verification code and request signature.
+ * @param {object} params - Route dependencies.
+ * @param {object} params.subscriptionService - SubscriptionService instance.
+ * @param {object} params.securityMiddleware - Security middleware service.
+ * @returns {express.Router} Express router for webhook endpoints.
+ */
+export default function createWebhookRoutes({ subscriptionService, securityMiddleware }) {
+  const router = express.Router();
+
+  // Subscriber verification: Fitbit expects 204 for the correct code and 404 otherwise
+  router.get('/fitbit', (req, res) => {
+    if (subscriptionService.verify(req.query.verify)) {
+      console.log('Fitbit subscriber endpoint verified');
+      return res.sendStatus(204);
+    }
+    res.sendStatus(404);
+  });
+
+  // Notifications must be acknowledged within a few seconds, so syncs run after responding
+  router.post('/fitbit', securityMiddleware.verifyFitbitSignature(), (req, res) => {
+    const queued = subscriptionService.handleNotifications(req.body);
+    console.log(`Fitbit notification received: ${Array.isArray(req.body) ? req.body.length : 0} updates, ${queued} syncs queued`);
+    res.sendStatus(204);
+  });
+
+  return router;
+}
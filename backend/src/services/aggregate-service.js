@@ -0,0 +1,86 @@
+/**
+ * Service rolling samples up into time buckets for charts.
+ * @module backend/services/aggregate-service
+ */
+import { ValidationError } from '../errors.js';
+
+/** Aggregate buckets, smallest first. */
+export const AGGREGATE_BUCKETS = ['hour', 'day', 'week', 'month'];
+
+/** Aggregate functions. */
+export const AGGREGATE_FUNCTIONS = ['sum', 'avg', 'min', 'max'];
+
+/**
+ * Sample types holding amounts over a period (step and calorie blocks, zone minutes), which add
+ * up to a total. Every other type is a reading, such as heart rate or SpO2, where only the
+ * average, minimum and maximum make sense.
+ */
+export const SUMMED_TYPES = [
+  'steps',
+  'activeCalories',
+  'heartRateZoneOutOfRange',
+  'heartRateZoneFatBurn',
+  'heartRateZoneCardio',
+  'heartRateZonePeak'
+];
+
+/**
+ * Aggregates numeric samples of one type by hour, day, week (starting Monday) or month, in the server's local time, which
+ * the providers build each sample's day in.
+ * Day, week and month buckets are read from the daily summaries that `store_samples` maintains,
+ * unless AGGREGATE_DAILY_SUMMARIES is `false`; hour buckets always read the samples.
+ */
+class AggregateService {
+  /**
+   * Create an AggregateService instance.
+   * @param {object} dataService - DataService instance providing repositories.
+   * @param {object} [options] - Service options.
+   * @param {boolean} [options.useDailySummaries] - Read day, week and month buckets from the daily
+   *   summaries (default: true unless AGGREGATE_DAILY_SUMMARIES is `false`).
+   */
+  constructor(dataService, { useDailySummaries = process.env.AGGREGATE_DAILY_SUMMARIES !== 'false' } = {}) {
+    this.dataService = dataService;
+    this.useDailySummaries = useDailySummaries;
+  }
+
+  /**
+   * Get the aggregate functions that make sense for a sample type.
+   * @param {string} type - Sample type.
+   * @returns {string[]} `['sum']` for summed types, otherwise `['avg', 'min', 'max']`.
+   */
+  getFunctions(type) {
+    return SUMMED_TYPES.includes(type) ? ['sum'] : ['avg', 'min', 'max'];
+  }
+
+  /**
+   * Aggregate one of a user's sample types over a date range.
+   * @param {object} query - Aggregate query.
+   * @param {number} query.userId - User whose samples to aggregate.
+   * @param {string} query.type - Sample type.
+   * @param {string} query.from - First local date (YYYY-MM-DD).
+   * @param {string} query.to - Last local date (YYYY-MM-DD).
+   * @param {string} [query.bucket='day'] - `hour`, `day`, `week` or `month`.
+   * @param {string} [query.fn] - `sum`, `avg`, `min` or `max` (default: the type's first function).
+   * @returns {Promise<object>} The query, the `source` read (`daily_summaries` or `samples`) and
+   *   `buckets`: `{ bucket, value, count }` for each bucket with samples, in time order.
+   * @throws {ValidationError} If the function does not suit the type.
+   */
+  async getAggregates({ userId, type, from, to, bucket = 'day', fn = null }) {
+    const functions = this.getFunctions(type);
+    const aggregate = fn || functions[0];
+    if (!functions.includes(aggregate)) {
+      throw new ValidationError(`fn for ${type} must be one of: ${functions.join(', ')}`, 'fn');
+    }
+
+    const query = { type, from, to, bucket, fn: aggregate };
+    const useSummaries = this.useDailySummaries && bucket !== 'hour';
+    const sampleRepository = this.dataService.sample_repository;
+    const buckets = useSummaries
+      ? await sampleRepository.get_daily_summary_aggregates(userId, query)
+      : await sampleRepository.get_aggregates(userId, query);
+
+    return { ...query, source: useSummaries ? 'daily_summaries' : 'samples', buckets };
+  }
+}
+
+export default AggregateService;
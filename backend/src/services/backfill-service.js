@@ -0,0 +1,271 @@
+/**
+ * Service for persistent, resumable historical backfill jobs.
+ * @module backend/services/backfill-service
+ */
+import { RateLimitError, FitbitAuthError, ValidationError } from '../errors.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const RESUME_BUFFER_MS = 5000; // Wait a little past the reset so Fitbit has rolled the window over
+const RETRY_DELAY_MS = 5 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Runs backfill jobs stored in SQLite one day at a time within the hourly Fitbit rate limit.
+ * Jobs spend the background share of their user's rate limit budget, pause when it runs out,
+ * resume after the rate limit resets, and pick up from their cursor after a server restart.
+ */
+class BackfillService {
+  /**
+   * Create a BackfillService instance.
+   * @param {object} dataService - DataService instance providing repositories.
+   * @param {object} fitbitService - FitbitService instance used to sync each day.
+   */
+  constructor(dataService, fitbitService) {
+    this.dataService = dataService;
+    this.fitbitService = fitbitService;
+    this.timer = null;
+    this.processing = false;
+    this.rerunRequested = false;
+  }
+
+  /**
+   * Resume any unfinished jobs left over from a previous run.
+   */
+  start() {
+    console.log('Starting backfill worker...');
+    this.scheduleRun(0);
+  }
+
+  /**
+   * Stop the worker timer. A day that is already syncing finishes in the background.
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Create a backfill job for a user and start processing it.
+   * @param {number} userId - User to sync.
+   * @param {string} startDate - First date to sync (YYYY-MM-DD).
+   * @param {string} endDate - Last date to sync (YYYY-MM-DD).
+   * @param {string[]} [sampleTypes] - Sample type groups to sync, or null for all.
+   * @returns {Promise<object>} The created job.
+   * @throws {ValidationError} If the date range is reversed.
+   */
+  async createJob(userId, startDate, endDate, sampleTypes = null) {
+    const totalDays = this.countDays(startDate, endDate);
+    if (totalDays < 1) {
+      throw new ValidationError('Start date must be before or equal to end date', 'startDate');
+    }
+
+    const jobId = await this.dataService.backfill_job_repository.create_job(userId, startDate, endDate, sampleTypes, totalDays);
+    this.scheduleRun(0);
+    return this.dataService.backfill_job_repository.get_job(jobId);
+  }
+
+  /**
+   * Get one of a user's backfill jobs by ID.
+   * @param {number} userId - User id.
+   * @param {number} jobId - The job ID.
+   * @returns {Promise<object|null>} The job or null if not found or owned by another user.
+   */
+  async getJob(userId, jobId) {
+    const job = await this.dataService.backfill_job_repository.get_job(jobId);
+    return job && job.user_id === userId ? job : null;
+  }
+
+  /**
+   * Get a user's most recent backfill jobs.
+   * @param {number} userId - User id.
+   * @returns {Promise<object[]>} Jobs, newest first.
+   */
+  async getJobs(userId) {
+    return this.dataService.backfill_job_repository.get_jobs(userId);
+  }
+
+  /**
+   * Cancel one of a user's backfill jobs. A day that is already syncing is allowed to finish.
+   * @param {number} userId - User id.
+   * @param {number} jobId - The job ID.
+   * @returns {Promise<object|null>} The job after cancellation, or null if not found or owned by another user.
+   */
+  async cancelJob(userId, jobId) {
+    if (!await this.getJob(userId, jobId)) {
+      return null;
+    }
+
+    const cancelled = await this.dataService.backfill_job_repository.cancel_job(jobId);
+    if (cancelled) {
+      console.log(`Backfill job ${jobId} cancelled`);
+    }
+    return this.dataService.backfill_job_repository.get_job(jobId);
+  }
+
+  /**
+   * Schedule the worker to run after a delay.
+   * @param {number} delayMs - Delay in milliseconds.
+   */
+  scheduleRun(delayMs) {
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.processJobs();
+    }, Math.max(0, delayMs));
+    this.timer.unref?.();
+  }
+
+  /**
+   * Process runnable jobs in creation order until none are left or all are paused.
+   * @returns {Promise<void>}
+   */
+  async processJobs() {
+    if (this.processing) {
+      this.rerunRequested = true;
+      return;
+    }
+
+    this.processing = true;
+    this.rerunRequested = false;
+
+    try {
+      while (true) {
+        const jobs = await this.dataService.backfill_job_repository.get_active_jobs();
+        if (jobs.length === 0) {
+          return;
+        }
+
+        const now = Date.now();
+        const job = jobs.find(j => j.status !== 'paused' || !j.resume_at || j.resume_at <= now);
+
+        if (!job) {
+          const nextResume = Math.min(...jobs.map(j => j.resume_at));
+          console.log(`All backfill jobs paused, resuming at ${new Date(nextResume).toLocaleString()}`);
+          this.scheduleRun(nextResume - now);
+          return;
+        }
+
+        await this.processJob(job);
+      }
+    } catch (error) {
+      console.error('Backfill worker error:', error);
+      this.scheduleRun(RETRY_DELAY_MS);
+    } finally {
+      this.processing = false;
+      if (this.rerunRequested) {
+        this.scheduleRun(0);
+      }
+    }
+  }
+
+  /**
+   * Sync a job day by day until it completes, pauses, fails or is cancelled.
+   * @param {object} job - The job to process.
+   * @returns {Promise<void>}
+   */
+  async processJob(job) {
+    const repository = this.dataService.backfill_job_repository;
+    const requestsPerDay = Math.max(1, this.fitbitService.estimateRequestCount(job.sample_types));
+    let cursorDate = job.cursor_date;
+    let attempts = job.attempts;
+
+    await repository.mark_running(job.id);
+    console.log(`Backfill job ${job.id}: resuming at ${cursorDate} (${job.days_completed}/${job.total_days} days done)`);
+
+    while (cursorDate <= job.end_date) {
+      const current = await repository.get_job(job.id);
+      if (!current || current.status === 'cancelled') {
+        console.log(`Backfill job ${job.id}: stopped after cancellation`);
+        return;
+      }
+
+      const budget = this.fitbitService.getRateLimitBudget(job.user_id);
+      await budget.load();
+      if (!budget.canAfford(requestsPerDay, 'background')) {
+        const resumeAt = this.getResumeTime(job.user_id);
+        await repository.pause_job(job.id, resumeAt, `Waiting for rate limit reset: ${budget.available('background')} requests available, need ${requestsPerDay} per day`);
+        console.log(`Backfill job ${job.id}: paused at ${cursorDate} until ${new Date(resumeAt).toLocaleString()}`);
+        return;
+      }
+
+      try {
+        const dayResults = await this.fitbitService.syncDataForDate(cursorDate, job.sample_types, { userId: job.user_id, priority: 'background' });
+        const sampleCount = Object.values(dayResults).reduce((sum, count) => sum + count, 0);
+        const nextDate = this.addDays(cursorDate, 1);
+
+        await repository.record_day(job.id, nextDate, sampleCount);
+        console.log(`Backfill job ${job.id}: synced ${cursorDate} (${sampleCount} samples)`);
+
+        cursorDate = nextDate;
+        attempts = 0;
+      } catch (error) {
+        if (error instanceof RateLimitError) {
+          const resumeAt = this.getResumeTime(job.user_id);
+          await repository.pause_job(job.id, resumeAt, error.message);
+          console.log(`Backfill job ${job.id}: rate limited at ${cursorDate}, resuming at ${new Date(resumeAt).toLocaleString()}`);
+          return;
+        }
+
+        if (error instanceof FitbitAuthError) {
+          // Retrying cannot help until the Fitbit account is reconnected
+          await repository.finish_job(job.id, 'failed', `Failed on ${cursorDate}: ${error.message}`);
+          console.error(`Backfill job ${job.id}: Fitbit authorization failed on ${cursorDate}:`, error.message);
+          return;
+        }
+
+        attempts++;
+        if (attempts >= MAX_ATTEMPTS) {
+          await repository.finish_job(job.id, 'failed', `Failed on ${cursorDate}: ${error.message}`);
+          console.error(`Backfill job ${job.id}: failed on ${cursorDate} after ${attempts} attempts:`, error.message);
+          return;
+        }
+
+        await repository.pause_job(job.id, Date.now() + RETRY_DELAY_MS, `Retrying ${cursorDate}: ${error.message}`, true);
+        console.warn(`Backfill job ${job.id}: error on ${cursorDate}, retrying in ${RETRY_DELAY_MS / 1000}s:`, error.message);
+        return;
+      }
+    }
+
+    await repository.finish_job(job.id, 'completed');
+    console.log(`Backfill job ${job.id}: completed ${job.start_date} to ${job.end_date}`);
+  }
+
+  /**
+   * Work out when a paused job may resume from its user's rate limit budget.
+   * @param {number} userId - User the job syncs.
+   * @returns {number} Epoch milliseconds to resume at.
+   */
+  getResumeTime(userId) {
+    return this.fitbitService.getRateLimitBudget(userId).getResetTime() + RESUME_BUFFER_MS;
+  }
+
+  /**
+   * Add days to a YYYY-MM-DD date string.
+   * @param {string} dateStr - Date string (YYYY-MM-DD).
+   * @param {number} days - Number of days to add.
+   * @returns {string} Resulting date string.
+   */
+  addDays(dateStr, days) {
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+  }
+
+  /**
+   * Count the days in an inclusive date range.
+   * @param {string} startDate - Start date (YYYY-MM-DD).
+   * @param {string} endDate - End date (YYYY-MM-DD).
+   * @returns {number} Number of days, or 0 if the range is reversed.
+   */
+  countDays(startDate, endDate) {
+    const start = new Date(`${startDate}T00:00:00Z`);
+    const end = new Date(`${endDate}T00:00:00Z`);
+    return Math.max(0, Math.round((end - start) / MS_PER_DAY) + 1);
+  }
+}
+
+export default BackfillService;
@@ -3,10 +3,22 @@
  * @module backend/services/fitbit-service
  */
 import axios from 'axios';
+import RateLimitBudget from './rate-limit-budget.js';
+import { createDefaultRegistry } from './providers/index.js';
+import { RateLimitError, FitbitAuthError, ValidationError } from '../errors.js';
+
+/**
+ * Days after which a closed day is given up on: a daily-summary day with no data, or an intraday day
+ * whose next day has no data either. Until then it is fetched again, since the device may not have
+ * synced it to Fitbit yet.
+ */
+const DAILY_SYNC_GRACE_DAYS = 3;
 
 /**
  * Fitbit API integration and token management.
  * Handles OAuth tokens, API requests, and data synchronization for Fitbit user data.
+ * Every request and sync is made for one user, given as `options.userId`, with that user's
+ * tokens and rate limit budget.
  */
 class FitbitService {
   /**
@@ -17,6 +29,8 @@ class FitbitService {
     this.dataService = dataService;
     this.baseURL = 'https://api.fitbit.com';
     this.scopes = this.loadScopes();
+    this.rateLimitBudgets = new Map();
+    this.providers = createDefaultRegistry();
   }
 
   /**
@@ -43,36 +57,51 @@ class FitbitService {
   }
 
   /**
-   * Ensure a valid access token is available, refreshing if needed.
+   * Get a user's rate limit budget. Fitbit limits requests per user, so each user has their own.
+   * @param {number} userId - User id.
+   * @returns {RateLimitBudget} The user's budget.
+   */
+  getRateLimitBudget(userId) {
+    if (!this.rateLimitBudgets.has(userId)) {
+      this.rateLimitBudgets.set(userId, new RateLimitBudget(this.dataService, { userId }));
+    }
+    return this.rateLimitBudgets.get(userId);
+  }
+
+  /**
+   * Ensure a valid access token is available for a user, refreshing if needed.
+   * @param {number} userId - User id.
    * @returns {Promise<string>} Access token.
-   * @throws {Error} If no tokens are found or refresh fails.
+   * @throws {FitbitAuthError} If no tokens are found or refresh is rejected.
    */
-  async ensureValidToken() {
-    const tokens = await this.dataService.token_repository.get_tokens();
+  async ensureValidToken(userId) {
+    const tokens = await this.dataService.token_repository.get_tokens(userId);
     
     if (!tokens) {
-      throw new Error('No tokens found. Please complete OAuth flow first.');
+      throw new FitbitAuthError('No tokens found. Please complete OAuth flow first.');
     }
 
     // Refresh if expires within 1 hour (3600 seconds)
     if ((tokens.expires_at - Date.now()) < 3600000) {
       console.log('Token expires soon, refreshing...');
-      return await this.refreshToken();
+      return await this.refreshToken(userId);
     }
     
     return tokens.access_token;
   }
 
   /**
-   * Refresh the Fitbit OAuth token using the refresh token.
+   * Refresh a user's Fitbit OAuth token using the refresh token.
+   * @param {number} userId - User id.
    * @returns {Promise<string>} New access token.
-   * @throws {Error} If refresh token is missing or refresh fails.
+   * @throws {FitbitAuthError} If refresh token is missing or rejected by Fitbit.
+   * @throws {Error} On other refresh failures.
    */
-  async refreshToken() {
-    const tokens = await this.dataService.token_repository.get_tokens();
+  async refreshToken(userId) {
+    const tokens = await this.dataService.token_repository.get_tokens(userId);
     
     if (!tokens || !tokens.refresh_token) {
-      throw new Error('No refresh token available');
+      throw new FitbitAuthError('No refresh token available');
     }
 
     try {
@@ -89,15 +118,20 @@ class FitbitService {
       );
       
       await this.dataService.token_repository.store_tokens(
+        userId,
         response.data.access_token,
         response.data.refresh_token,
-        response.data.expires_in
+        response.data.expires_in,
+        response.data.user_id
       );
       
       console.log('Token refreshed successfully');
       return response.data.access_token;
     } catch (error) {
       console.error('Token refresh failed:', error.response?.data || error.message);
+      if (error.response?.status === 400 || error.response?.status === 401) {
+        throw new FitbitAuthError('Fitbit rejected the refresh token. Please complete OAuth flow again.');
+      }
       throw error;
     }
   }
@@ -115,86 +149,100 @@ class FitbitService {
   }
 
   /**
-   * Extract Fitbit API rate limit information from a response.
+   * Extract Fitbit API rate limit information from a response and update the user's budget.
    * @param {object} response - Axios response object.
+   * @param {number} userId - User id the request was made for.
    * @returns {object} Rate limit info.
    */
-  extractRateLimitInfo(response) {
-    const remaining = parseInt(response.headers['fitbit-rate-limit-remaining']) || 0;
-    const resetIn = parseInt(response.headers['fitbit-rate-limit-reset']) || 0;
-    const limit = parseInt(response.headers['fitbit-rate-limit-limit']) || 150;
-    
-    // Calculate the actual reset time (top of next hour)
-    const now = new Date();
-    const resetTime = new Date(now);
-    resetTime.setHours(now.getHours() + 1, 0, 0, 0); // Next hour at :00:00
-    
+  extractRateLimitInfo(response, userId) {
+    const status = this.getRateLimitBudget(userId).record(response.headers);
     return {
-      remaining,
-      resetIn, // Seconds until reset (from Fitbit)
-      limit,
-      resetTime: resetTime.getTime(), // Actual timestamp when it resets
-      used: limit - remaining
+      remaining: status.remaining,
+      resetIn: status.resetIn, // Seconds until reset (from Fitbit)
+      limit: status.limit,
+      resetTime: status.resetAt, // Actual timestamp when it resets
+      used: status.used
     };
   }
 
   /**
-   * Make an authenticated GET request to the Fitbit API.
+   * Make an authenticated request to the Fitbit API (GET unless `options.method` is set).
+   * Every request draws from the user's rate limit budget. Interactive requests fail fast when
+   * the budget is spent; background requests wait for the rate limit window to reset.
    * Handles token refresh and rate limit errors.
    * @param {string} endpoint - Fitbit API endpoint (e.g., '/1/user/-/activities/steps/date/...').
    * @param {object} [params] - Query parameters.
+   * @param {object} options - Request options.
+   * @param {number} options.userId - User whose tokens and budget the request uses.
+   * @param {string} [options.priority='background'] - 'interactive' or 'background'.
+   * @param {string} [options.method='get'] - HTTP method.
+   * @param {object} [options.headers] - Extra request headers.
    * @returns {Promise<{data: object, rateLimitInfo: object}>} API response data and rate limit info.
-   * @throws {Error} On request failure or rate limit exceeded.
+   * @throws {RateLimitError} If an interactive request exceeds the rate limit.
+   * @throws {FitbitAuthError} If Fitbit still rejects the access token after a refresh.
+   * @throws {Error} On other request failures.
    */
-  async makeAPIRequest(endpoint, params = {}) {
-    const accessToken = await this.ensureValidToken();
+  async makeAPIRequest(endpoint, params = {}, options = {}) {
+    const { userId } = options;
+    const priority = options.priority || 'background';
+    const budget = this.getRateLimitBudget(userId);
+    await budget.acquire(priority);
+    const accessToken = await this.ensureValidToken(userId);
     
     try {
-      const response = await axios.get(`${this.baseURL}${endpoint}`, {
+      const response = await axios.request({
+        method: options.method || 'get',
+        url: `${this.baseURL}${endpoint}`,
         headers: {
           'Authorization': `Bearer ${accessToken}`,
-          'Accept-Language': 'en_US' // For US units
+          'Accept-Language': 'en_US', // For US units
+          ...options.headers
         },
         params
       });
 
-      const rateLimitInfo = this.extractRateLimitInfo(response);
+      const rateLimitInfo = this.extractRateLimitInfo(response, userId);
       
       // Log detailed rate limit status
       console.log(`API Request to ${endpoint} - Rate Limit Status: ${rateLimitInfo.remaining}/${rateLimitInfo.limit} remaining (${rateLimitInfo.used} used), resets in ${rateLimitInfo.resetIn}s at ${new Date(rateLimitInfo.resetTime).toLocaleString()}`);
       
-      if (rateLimitInfo.remaining < 20) {
+      if (rateLimitInfo.remaining < budget.reserve) {
         console.warn(`WARNING: Rate limit getting low: ${rateLimitInfo.remaining}/${rateLimitInfo.limit} remaining (${rateLimitInfo.used} used), resets in ${rateLimitInfo.resetIn}s at ${new Date(rateLimitInfo.resetTime).toLocaleString()}`);
       }
 
       return { data: response.data, rateLimitInfo };
     } catch (error) {
       if (error.response?.status === 429) {
-        const rateLimitHeaders = {
-          remaining: parseInt(error.response.headers['fitbit-rate-limit-remaining']) || 0,
-          limit: parseInt(error.response.headers['fitbit-rate-limit-limit']) || 150,
-          resetIn: parseInt(error.response.headers['fitbit-rate-limit-reset']) || 0
-        };
-        
-        const used = rateLimitHeaders.limit - rateLimitHeaders.remaining;
-        const now = new Date();
-        const resetTime = new Date(now);
-        resetTime.setHours(now.getHours() + 1, 0, 0, 0);
+        const status = budget.exhaust(error.response.headers);
+        const resetTime = new Date(status.resetAt);
         
         console.error(`🚫 Rate limit exceeded on ${endpoint}:`);
-        console.error(`   Current usage: ${used}/${rateLimitHeaders.limit} requests used`);
-        console.error(`   Remaining: ${rateLimitHeaders.remaining} requests`);
-        console.error(`   Reset in: ${rateLimitHeaders.resetIn} seconds`);
+        console.error(`   Current usage: ${status.used}/${status.limit} requests used`);
+        console.error(`   Remaining: ${status.remaining} requests`);
+        console.error(`   Reset in: ${status.resetIn} seconds`);
         console.error(`   Reset at: ${resetTime.toLocaleString()}`);
+
+        if (priority === 'background') {
+          // Wait for the window to reset and try again instead of failing the whole sync
+          return this.makeAPIRequest(endpoint, params, options);
+        }
         
-        throw new Error(`Rate limit exceeded. Used ${used}/${rateLimitHeaders.limit} requests. ${rateLimitHeaders.remaining} remaining. Resets in ${rateLimitHeaders.resetIn} seconds (${resetTime.toLocaleString()})`);
+        throw new RateLimitError(`Rate limit exceeded: ${status.used}/${status.limit} requests used. Resets at ${resetTime.toLocaleString()}`, {
+          used: status.used,
+          limit: status.limit,
+          remaining: status.remaining,
+          resetAt: status.resetAt
+        });
       }
       
       if (error.response?.status === 401) {
+        if (options.retriedAuth) {
+          throw new FitbitAuthError('Fitbit rejected the access token. Please complete OAuth flow again.');
+        }
         console.log('Token expired, attempting refresh...');
-        await this.refreshToken();
+        await this.refreshToken(userId);
         // Retry the request once with new token
-        return this.makeAPIRequest(endpoint, params);
+        return this.makeAPIRequest(endpoint, params, { ...options, retriedAuth: true });
       }
       
       throw error;
@@ -202,591 +250,255 @@ class FitbitService {
   }
 
   /**
-   * Synchronize activity data (steps, calories) for a given date.
-   * @param {string} [dateStr] - Date string (YYYY-MM-DD). Defaults to today.
-   * @returns {Promise<number>} Number of samples processed.
-   * @throws {Error} On sync failure.
+   * Check that an operation fits in the rate limit budget before starting it.
+   * Interactive operations fail fast; background operations start anyway and wait for resets as needed.
+   * @param {number} requiredRequests - Approximate number of requests the operation needs.
+   * @param {string} priority - 'interactive' or 'background'.
+   * @param {string} description - Operation description for log messages.
+   * @param {number} userId - User whose budget the operation spends.
+   * @returns {Promise<void>}
+   * @throws {RateLimitError} If an interactive operation does not fit in the remaining budget.
    */
-  async syncActivityData(dateStr = null) {
-    console.log('Syncing activity data...');
-    const samples = [];
-    const now = new Date();
-    const today = dateStr || this.getLocalDateString(now);
-    
-    try {
-      const stepsResponse = await this.makeAPIRequest(
-        `/1/user/-/activities/steps/date/${today}/1d/1min.json`
-      );
-
-      const stepsSamples = this.processStepsData(stepsResponse.data['activities-steps-intraday'].dataset, today);
-      
-      samples.push(...stepsSamples);
-
-      const caloriesResponse = await this.makeAPIRequest(
-        `/1/user/-/activities/calories/date/${today}/1d/1min.json`
-      );
+  async checkRateLimitBudget(requiredRequests, priority, description, userId) {
+    const budget = this.getRateLimitBudget(userId);
+    await budget.load();
+    const status = budget.getStatus();
 
-      const bmrData = caloriesResponse.data['activities-calories'][0];
-      const dailyBMR = bmrData ? bmrData.value : 0;
-      const bmrPerMinute = dailyBMR / (24 * 60);
+    console.log(`📊 Pre-sync rate limit check for ${description}: ${status.remaining}/${status.limit} requests remaining, estimated required: ${requiredRequests} (${priority})`);
 
-      const caloriesSamples = this.processCaloriesData(
-        caloriesResponse.data['activities-calories-intraday'].dataset,
-        bmrPerMinute,
-        today
-      );
-
-      samples.push(...caloriesSamples);
-
-      if (samples.length > 0) {
-        await this.dataService.sample_repository.store_samples(samples);
-      }
-
-      await this.dataService.sync_log_repository.update_sync_log(
-        'activity',
-        now.toISOString(),
-        'success',
-        stepsResponse.rateLimitInfo
-      );
-
-      console.log(`Activity sync completed: ${samples.length} samples processed`);
-      
-      return samples.length;
-    } catch (error) {
-      await this.dataService.sync_log_repository.update_sync_log(
-        'activity',
-        now.toISOString(),
-        'error',
-        {},
-        error.message
-      );
+    if (budget.canAfford(requiredRequests, priority)) {
+      return;
+    }
 
-      throw error;
+    if (priority === 'background') {
+      console.log(`Rate limit budget too low for ${description}, background requests will wait for the reset`);
+      return;
     }
+
+    const resetDate = new Date(status.resetAt);
+    const shortfall = requiredRequests - status.remaining;
+
+    console.error(`🚫 Rate limit too low for ${description}:`);
+    console.error(`   Current remaining: ${status.remaining} requests`);
+    console.error(`   Required for operation: ${requiredRequests} requests`);
+    console.error(`   Shortfall: ${shortfall} requests`);
+    console.error(`   Reset in: ${status.resetIn} seconds`);
+    console.error(`   Reset at: ${resetDate.toLocaleString()}`);
+
+    throw new RateLimitError(`Rate limit too low: ${status.remaining} requests remaining, need approximately ${requiredRequests} for ${description}. Resets at ${resetDate.toLocaleString()}`, {
+      used: status.used,
+      limit: status.limit,
+      remaining: status.remaining,
+      resetAt: status.resetAt,
+      needed: requiredRequests
+    });
   }
 
   /**
-   * Process intraday steps data into sample blocks.
-   * @param {object[]} dataset - Fitbit steps dataset.
+   * Get the first intraday minute still to fetch for a date, based on the stored cursor.
+   * @param {string} cursorType - Sync log data type holding the cursor (e.g. 'steps_intraday').
    * @param {string} dateStr - Date string (YYYY-MM-DD).
-   * @returns {object[]} Array of step sample objects.
+   * @param {object} options - Sync options.
+   * @param {number} options.userId - User whose cursor to read.
+   * @param {boolean} [options.force=false] - Ignore the cursor and refetch the whole day.
+   * @returns {Promise<string|null>} Start time (HH:mm), or null if the day is already complete.
    */
-  processStepsData(dataset, dateStr) {
-    const samples = [];
-    let currentBlock = null;
-    const maxBlockMinutes = 15;
-    const inactiveThresholdMinutes = 10;
-    
-    for (let i = 0; i < dataset.length; i++) {
-      const dataPoint = dataset[i];
-      const steps = parseInt(dataPoint.value);
-      const timestamp = new Date(`${dateStr}T${dataPoint.time}`);
-      
-      if (steps > 0) {
-        if (!currentBlock) {
-          // Start new block
-          currentBlock = {
-            startTime: timestamp,
-            endTime: timestamp,
-            totalSteps: steps,
-            minutes: 1
-          };
-        } else {
-          // Add to current block
-          currentBlock.endTime = timestamp;
-          currentBlock.totalSteps += steps;
-          currentBlock.minutes++;
-          
-          // Check if block should be split (max 15 minutes)
-          if (currentBlock.minutes >= maxBlockMinutes) {
-            samples.push({
-              type: 'steps',
-              value: currentBlock.totalSteps,
-              datetime: currentBlock.endTime.toISOString()
-            });
-            
-            // Start new block
-            currentBlock = {
-              startTime: timestamp,
-              endTime: timestamp,
-              totalSteps: steps,
-              minutes: 1
-            };
-          }
-        }
-      } else {
-        // Zero steps - check if we should end current block
-        if (currentBlock) {
-          // Count consecutive zero minutes
-          let zeroCount = 0;
-
-          for (let j = i; j < Math.min(i + inactiveThresholdMinutes, dataset.length); j++) {
-            if (parseInt(dataset[j].value) === 0) {
-              zeroCount++;
-            } else {
-              break;
-            }
-          }
-          
-          // End block if 10+ minutes of inactivity ahead
-          if (zeroCount >= inactiveThresholdMinutes) {
-            samples.push({
-              type: 'steps',
-              value: currentBlock.totalSteps,
-              datetime: currentBlock.endTime.toISOString()
-            });
-            currentBlock = null;
-          }
-        }
-      }
+  async getIntradayStartTime(cursorType, dateStr, options = {}) {
+    if (options.force) {
+      return '00:00';
     }
-    
-    // Don't forget the last block
-    if (currentBlock) {
-      samples.push({
-        type: 'steps',
-        value: currentBlock.totalSteps,
-        datetime: currentBlock.endTime.toISOString()
-      });
+
+    const cursor = await this.dataService.sync_log_repository.get_sync_cursor(options.userId, cursorType, dateStr);
+    if (!cursor) {
+      return '00:00';
     }
-    
-    return samples;
+    if (cursor >= '23:59') {
+      return null;
+    }
+
+    const [hours, minutes] = cursor.split(':').map(Number);
+    const next = hours * 60 + minutes + 1;
+    return `${String(Math.floor(next / 60)).padStart(2, '0')}:${String(next % 60).padStart(2, '0')}`;
   }
 
   /**
-   * Process intraday calories data into active calorie samples.
-   * @param {object[]} dataset - Fitbit calories dataset.
-   * @param {number} bmrPerMinute - Basal metabolic rate per minute.
+   * Get the cursor to store after an intraday sync.
+   * The cursor is the last minute with real activity, so minutes the device has not uploaded yet
+   * are fetched again next time; a fetch without any keeps the stored cursor. A closed day is only
+   * marked complete once its next day has data, since the device uploads in order, or once it is
+   * `DAILY_SYNC_GRACE_DAYS` old.
+   * @param {import('./providers/registry.js').SampleProvider} provider - Provider synced.
    * @param {string} dateStr - Date string (YYYY-MM-DD).
-   * @returns {object[]} Array of active calorie sample objects.
+   * @param {string|null} lastActiveTime - Last minute with real activity in the response (HH:mm), if any.
+   * @param {Date} now - Time of the sync.
+   * @param {object} options - Sync options.
+   * @param {number} options.userId - User whose cursors to read.
+   * @returns {Promise<string|null>} Cursor (HH:mm), or null if there is nothing to record.
    */
-  processCaloriesData(dataset, bmrPerMinute, dateStr) {
-    const samples = [];
-    const blockSizes = [30, 15]; // in minutes
-    let i = 0;
-    while (i < dataset.length) {
-      let blockSize = blockSizes[0];
-      let block = dataset.slice(i, i + blockSize);
-      // Calculate active calories for the block (remove BMR per minute)
-      const activeCaloriesArr = block.map(dataPoint => Math.max(0, parseFloat(dataPoint.value) - bmrPerMinute));
-      // Calculate total and standard deviation
-      const total = activeCaloriesArr.reduce((a, b) => a + b, 0);
-      const avg = total / activeCaloriesArr.length;
-      const stddev = Math.sqrt(activeCaloriesArr.reduce((a, b) => a + Math.pow(b - avg, 2), 0) / activeCaloriesArr.length);
-      // Heuristic: if stddev > 20% of avg and blockSize > 15, split into 15-min blocks
-      if (blockSize === 30 && stddev > 0.2 * avg) {
-        // Split into two 15-min blocks
-        for (let j = 0; j < 2; j++) {
-          const subBlock = dataset.slice(i + j * 15, i + (j + 1) * 15);
-          const subActiveArr = subBlock.map(dataPoint => Math.max(0, parseFloat(dataPoint.value) - bmrPerMinute));
-          const subTotal = subActiveArr.reduce((a, b) => a + b, 0);
-          if (subTotal > 0) {
-            const subTimestamp = new Date(`${dateStr}T${subBlock[subBlock.length - 1].time}`);
-            samples.push({
-              type: 'activeCalories',
-              value: subTotal,
-              datetime: subTimestamp.toISOString()
-            });
-          }
-        }
-        i += 30;
-      } else {
-        // Use the block as is
-        if (total > 0) {
-          const timestamp = new Date(`${dateStr}T${block[block.length - 1].time}`);
-          samples.push({
-            type: 'activeCalories',
-            value: total,
-            datetime: timestamp.toISOString()
-          });
-        }
-        i += blockSize;
+  async getIntradayCursor(provider, dateStr, lastActiveTime, now, options = {}) {
+    if (dateStr < this.getLocalDateString(now)) {
+      const graceEnd = new Date(now);
+      graceEnd.setDate(graceEnd.getDate() - DAILY_SYNC_GRACE_DAYS);
+      const nextDay = new Date(`${dateStr}T12:00:00`);
+      nextDay.setDate(nextDay.getDate() + 1);
+      const nextDayCursor = await this.dataService.sync_log_repository.get_sync_cursor(
+        options.userId, provider.syncLogKey, this.getLocalDateString(nextDay)
+      );
+      if (nextDayCursor || dateStr <= this.getLocalDateString(graceEnd)) {
+        return '23:59';
       }
     }
-    return samples;
+    return lastActiveTime;
   }
 
   /**
-   * Synchronize heart rate data for a given date.
-   * @param {string} [dateStr] - Date string (YYYY-MM-DD). Defaults to today.
-   * @returns {Promise<number>} Number of samples processed.
-   * @throws {Error} On sync failure.
+   * Get the last minute with real activity in an intraday response, from the provider's
+   * `lastActiveTime()` or else the latest sample.
+   * @param {import('./providers/registry.js').SampleProvider} provider - Provider synced.
+   * @param {object} data - Response data.
+   * @param {object} context - Provider context (`dateStr`, `startTime`, `cursorData`).
+   * @param {object[]} samples - Samples produced from the response.
+   * @returns {string|null} Time (HH:mm), or null if the response has no activity.
    */
-  async syncHeartRateData(dateStr = null) {
-    console.log('Syncing heart rate data...');
-    const samples = [];
-    const now = new Date();
-    const today = dateStr || this.getLocalDateString(now);
-    
-    try {
-      const response = await this.makeAPIRequest(
-        `/1/user/-/activities/heart/date/${today}/1d/1min.json`
-      );
-      
-      const dataset = response.data['activities-heart-intraday']?.dataset || [];
-      
-      const heartRateSamples = this.processHeartRateData(dataset, today);
-      samples.push(...heartRateSamples);
-      
-      if (samples.length > 0) {
-        await this.dataService.sample_repository.store_samples(samples);
-      }
-
-      await this.dataService.sync_log_repository.update_sync_log(
-        'heartrate',
-        now.toISOString(),
-        'success',
-        response.rateLimitInfo
-      );
-
-      console.log(`Heart rate sync completed: ${samples.length} samples processed`);
-      return samples.length;
-    } catch (error) {
-      await this.dataService.sync_log_repository.update_sync_log(
-        'heartrate',
-        now.toISOString(),
-        'error',
-        {},
-        error.message
-      );
-      throw error;
+  getLastActiveTime(provider, data, context, samples) {
+    if (provider.lastActiveTime) {
+      return provider.lastActiveTime(data, context);
     }
+    if (samples.length === 0) {
+      return null;
+    }
+    const latest = new Date(Math.max(...samples.map(sample => new Date(sample.datetime).getTime())));
+    return `${String(latest.getHours()).padStart(2, '0')}:${String(latest.getMinutes()).padStart(2, '0')}`;
   }
 
   /**
-   * Process intraday heart rate data into sample blocks using exertion detection.
-   * @param {object[]} dataset - Fitbit heart rate dataset.
+   * Check whether a daily-summary type has already been synced for a closed day.
+   * @param {string} dataType - Sync log data type (e.g. 'sleep', 'spo2').
    * @param {string} dateStr - Date string (YYYY-MM-DD).
-   * @returns {object[]} Array of heart rate sample objects.
+   * @param {object} options - Sync options.
+   * @param {number} options.userId - User whose sync log to read.
+   * @param {boolean} [options.force=false] - Ignore earlier syncs.
+   * @returns {Promise<boolean>} True if the type can be skipped.
    */
-  processHeartRateData(dataset, dateStr) {
-    const samples = [];
-    let currentBlock = null;
-    const normalBlockMinutes = 30; // 30 minutes for stable periods
-    const exertionBlockMinutes = 5; // 5 minutes during exertion
-    const deviationThreshold = 15; // BPM threshold for detecting exertion
-    const minBlockMinutes = 3; // Minimum block size to avoid too small blocks
-    
-    // First pass: calculate rolling baseline to detect exertion periods
-    const rollingWindow = 10; // 10-minute window for baseline calculation
-    const baselines = [];
-    
-    for (let i = 0; i < dataset.length; i++) {
-      const dataPoint = dataset[i];
-      const heartRate = parseInt(dataPoint.value);
-      
-      if (heartRate > 0) {
-        // Calculate baseline from surrounding data
-        const windowStart = Math.max(0, i - rollingWindow);
-        const windowEnd = Math.min(dataset.length, i + rollingWindow);
-        
-        let sum = 0;
-        let count = 0;
-        
-        for (let j = windowStart; j < windowEnd; j++) {
-          const hr = parseInt(dataset[j].value);
-          if (hr > 0) {
-            sum += hr;
-            count++;
-          }
-        }
-        
-        const baseline = count > 0 ? sum / count : heartRate;
-        baselines[i] = { heartRate, baseline, isExertion: Math.abs(heartRate - baseline) > deviationThreshold };
-      } else {
-        baselines[i] = { heartRate: 0, baseline: 0, isExertion: false };
-      }
+  async isDailySyncComplete(dataType, dateStr, options = {}) {
+    if (options.force || dateStr >= this.getLocalDateString()) {
+      return false;
     }
-    
-    // Second pass: create blocks based on exertion detection
-    for (let i = 0; i < dataset.length; i++) {
-      const dataPoint = dataset[i];
-      const analysis = baselines[i];
-      const timestamp = new Date(`${dateStr}T${dataPoint.time}`);
-      
-      if (analysis.heartRate > 0) {
-        const targetBlockSize = analysis.isExertion ? exertionBlockMinutes : normalBlockMinutes;
-        
-        if (!currentBlock) {
-          // Start new block
-          currentBlock = {
-            startTime: timestamp,
-            endTime: timestamp,
-            heartRates: [analysis.heartRate],
-            minutes: 1,
-            isExertionBlock: analysis.isExertion,
-            targetSize: targetBlockSize
-          };
-        } else {
-          // Check if we should continue current block or start new one
-          const blockTypeChanged = (currentBlock.isExertionBlock !== analysis.isExertion);
-          const blockSizeReached = currentBlock.minutes >= currentBlock.targetSize;
-          const minSizeReached = currentBlock.minutes >= minBlockMinutes;
-          
-          if (blockTypeChanged && minSizeReached) {
-            // Block type changed (exertion <-> normal), finish current block
-            const averageHR = Math.round(currentBlock.heartRates.reduce((sum, hr) => sum + hr, 0) / currentBlock.heartRates.length);
-            samples.push({
-              type: 'heartRate',
-              value: averageHR,
-              datetime: currentBlock.endTime.toISOString()
-            });
-            
-            // Start new block with current type
-            currentBlock = {
-              startTime: timestamp,
-              endTime: timestamp,
-              heartRates: [analysis.heartRate],
-              minutes: 1,
-              isExertionBlock: analysis.isExertion,
-              targetSize: targetBlockSize
-            };
-          } else if (blockSizeReached) {
-            // Block size reached, finish current block
-            const averageHR = Math.round(currentBlock.heartRates.reduce((sum, hr) => sum + hr, 0) / currentBlock.heartRates.length);
-            samples.push({
-              type: 'heartRate',
-              value: averageHR,
-              datetime: currentBlock.endTime.toISOString()
-            });
-            
-            // Start new block
-            currentBlock = {
-              startTime: timestamp,
-              endTime: timestamp,
-              heartRates: [analysis.heartRate],
-              minutes: 1,
-              isExertionBlock: analysis.isExertion,
-              targetSize: targetBlockSize
-            };
-          } else {
-            // Continue current block
-            currentBlock.endTime = timestamp;
-            currentBlock.heartRates.push(analysis.heartRate);
-            currentBlock.minutes++;
-            
-            // Update block type if we're transitioning and haven't reached min size yet
-            if (!minSizeReached) {
-              currentBlock.isExertionBlock = analysis.isExertion;
-              currentBlock.targetSize = targetBlockSize;
-            }
-          }
-        }
-      } else {
-        // Zero/invalid heart rate - check if we should end current block
-        if (currentBlock) {
-          // Count consecutive zero readings
-          let zeroCount = 0;
-          const gapThreshold = 5; // 5 minutes of missing data ends a block
-          
-          for (let j = i; j < Math.min(i + gapThreshold, dataset.length); j++) {
-            if (parseInt(dataset[j].value) === 0) {
-              zeroCount++;
-            } else {
-              break;
-            }
-          }
-          
-          // End block if significant gap ahead and minimum size reached
-          if (zeroCount >= gapThreshold && currentBlock.minutes >= minBlockMinutes) {
-            const averageHR = Math.round(currentBlock.heartRates.reduce((sum, hr) => sum + hr, 0) / currentBlock.heartRates.length);
-            samples.push({
-              type: 'heartRate',
-              value: averageHR,
-              datetime: currentBlock.endTime.toISOString()
-            });
-            currentBlock = null;
-          }
-        }
-      }
-    }
-    
-    // Don't forget the last block
-    if (currentBlock && currentBlock.minutes >= minBlockMinutes) {
-      const averageHR = Math.round(currentBlock.heartRates.reduce((sum, hr) => sum + hr, 0) / currentBlock.heartRates.length);
-      samples.push({
-        type: 'heartRate',
-        value: averageHR,
-        datetime: currentBlock.endTime.toISOString()
-      });
-    }
-    
-    return samples;
+    const cursor = await this.dataService.sync_log_repository.get_sync_cursor(options.userId, dataType, dateStr);
+    return cursor === 'complete';
   }
 
   /**
-   * Synchronize sleep data for a given date (previous night if not specified).
-   * @param {string} [dateStr] - Date string (YYYY-MM-DD). Defaults to previous night.
-   * @returns {Promise<number>} Number of samples processed.
-   * @throws {Error} On sync failure.
+   * Get the cursor to store after a daily-summary sync. A closed day is marked complete once
+   * samples came back for it, or once it is `DAILY_SYNC_GRACE_DAYS` old without any.
+   * @param {string} dateStr - Date string (YYYY-MM-DD).
+   * @param {object[]} samples - Samples produced from the response.
+   * @param {Date} now - Time of the sync.
+   * @returns {string|null} 'complete', or null while the day is open or may still receive data.
    */
-  async syncSleepData(dateStr = null) {
-    console.log('Syncing sleep data...');
-    const samples = [];
-    const now = new Date();
-    let targetDate;
-    
-    if (dateStr) {
-      targetDate = dateStr;
-    } else {
-      const yesterday = new Date(now);
-      yesterday.setDate(yesterday.getDate() - 1);
-      targetDate = this.getLocalDateString(yesterday);
+  getDailyCursor(dateStr, samples, now) {
+    if (dateStr >= this.getLocalDateString(now)) {
+      return null;
     }
-    
-    try {
-      const response = await this.makeAPIRequest(
-        `/1.2/user/-/sleep/date/${targetDate}.json`
-      );
-      
-      const sleepLogs = response.data.sleep || [];
-      
-      for (const sleepLog of sleepLogs) {
-        if (sleepLog.levels && sleepLog.levels.data) {
-          // Process main sleep stages
-          for (const stage of sleepLog.levels.data) {
-            samples.push({
-              type: 'sleepAnalysis',
-              value: stage.level, // 'awake', 'light', 'deep', 'rem'
-              datetime: new Date(new Date(stage.dateTime).getTime() + (stage.seconds * 1000)).toISOString()
-            });
-          }
-          
-          // Process short wake periods (override sleep stages)
-          if (sleepLog.levels.shortData) {
-            for (const shortWake of sleepLog.levels.shortData) {
-              if (shortWake.level === 'wake') {
-                samples.push({
-                  type: 'sleepAnalysis',
-                  value: 'awake',
-                  datetime: new Date(new Date(shortWake.dateTime).getTime() + (shortWake.seconds * 1000)).toISOString()
-                });
-              }
-            }
-          }
-        }
-      }
-      
-      if (samples.length > 0) {
-        await this.dataService.sample_repository.store_samples(samples);
-      }
-
-      await this.dataService.sync_log_repository.update_sync_log(
-        'sleep',
-        now.toISOString(),
-        'success',
-        response.rateLimitInfo
-      );
+    const graceEnd = new Date(now);
+    graceEnd.setDate(graceEnd.getDate() - DAILY_SYNC_GRACE_DAYS);
+    return samples.length > 0 || dateStr <= this.getLocalDateString(graceEnd) ? 'complete' : null;
+  }
 
-      console.log(`Sleep sync completed: ${samples.length} samples processed`);
-      return samples.length;
-    } catch (error) {
-      await this.dataService.sync_log_repository.update_sync_log(
-        'sleep',
-        now.toISOString(),
-        'error',
-        {},
-        error.message
-      );
-      throw error;
-    }
+  /**
+   * Add a sample type provider, e.g. a third-party provider loaded at startup.
+   * @param {import('./providers/registry.js').SampleProvider} provider - Provider definition.
+   * @returns {void}
+   * @throws {Error} If the provider is invalid or already registered.
+   */
+  registerProvider(provider) {
+    this.providers.register(provider);
   }
 
   /**
-   * Synchronize other health data (SpO2, respiratory rate, temperature) for a given date.
-   * @param {string} [dateStr] - Date string (YYYY-MM-DD). Defaults to today.
+   * Synchronize one provider for a given date.
+   * Intraday providers fetch only minutes after the stored cursor, and daily providers skip
+   * closed days already synced, unless `options.force` is set.
+   * @param {import('./providers/registry.js').SampleProvider} provider - Provider to sync.
+   * @param {string} [dateStr] - Date string (YYYY-MM-DD). Defaults to today, offset by the provider's `defaultDayOffset`.
+   * @param {object} options - Request options passed to makeAPIRequest (userId, priority), plus `force`.
    * @returns {Promise<number>} Number of samples processed.
-   * @throws {Error} On sync failure.
+   * @throws {Error} On sync failure of a provider that is not optional.
    */
-  async syncOtherData(dateStr = null) {
-    console.log('Syncing other health data...');
-    const samples = [];
+  async syncProvider(provider, dateStr = null, options = {}) {
     const now = new Date();
-    const today = dateStr || this.getLocalDateString(now);
-    
+    let targetDate = dateStr;
+
+    if (!targetDate) {
+      const target = new Date(now);
+      target.setDate(target.getDate() + (provider.defaultDayOffset || 0));
+      targetDate = this.getLocalDateString(target);
+    }
+
     try {
-      if (this.scopes.includes('oxygen_saturation')) {
-        try {
-          const spo2Response = await this.makeAPIRequest(`/1/user/-/spo2/date/${today}.json`);
-          const spo2Data = spo2Response.data.value || [];
-          
-          for (const reading of spo2Data) {
-            if (reading.value && reading.value.avg) {
-              samples.push({
-                type: 'oxygenSaturation',
-                value: reading.value.avg,
-                datetime: reading.dateTime
-              });
-            }
-          }
-        } catch (error) {
-          console.log('SpO2 data not available or error:', error.message);
+      let startTime = null;
+      let cursorData = null;
+      if (provider.cursor === 'intraday') {
+        startTime = await this.getIntradayStartTime(provider.syncLogKey, targetDate, options);
+        if (!startTime) {
+          console.log(`${provider.id} for ${targetDate} already synced, skipping`);
+          return 0;
         }
-      }
-
-      if (this.scopes.includes('respiratory_rate')) {
-        try {
-          const brResponse = await this.makeAPIRequest(`/1/user/-/br/date/${today}.json`);
-          const brData = brResponse.data.br || [];
-          
-          for (const reading of brData) {
-            if (reading.value && reading.value.breathingRate) {
-              samples.push({
-                type: 'respiratoryRate',
-                value: reading.value.breathingRate,
-                datetime: reading.dateTime
-              });
-            }
-          }
-        } catch (error) {
-          console.log('Respiratory rate data not available or error:', error.message);
+        if (provider.cursorData && startTime !== '00:00') {
+          cursorData = await this.dataService.sync_log_repository.get_sync_cursor_data(options.userId, provider.syncLogKey, targetDate);
+          // Without the data kept from the first fetch, the window cannot be processed on its own
+          startTime = cursorData ? startTime : '00:00';
         }
+      } else if (await this.isDailySyncComplete(provider.syncLogKey, targetDate, options)) {
+        console.log(`${provider.id} for ${targetDate} already synced, skipping`);
+        return 0;
       }
 
-      if (this.scopes.includes('temperature')) {
-        try {
-          const tempResponse = await this.makeAPIRequest(`/1/user/-/temp/skin/date/${today}.json`);
-          const tempData = tempResponse.data.tempSkin || [];
-          
-          for (const reading of tempData) {
-            if (reading.value && reading.value.nightlyRelative) {
-              // Convert relative temperature to approximate absolute value
-              const baselineTemp = 98.6; // Fahrenheit baseline
-              const absoluteTemp = baselineTemp + reading.value.nightlyRelative;
-              
-              samples.push({
-                type: 'bodyTemperature',
-                value: absoluteTemp,
-                datetime: reading.dateTime
-              });
-            }
-          }
-        } catch (error) {
-          console.log('Temperature data not available or error:', error.message);
-        }
-      }
-      
+      const context = { dateStr: targetDate, startTime, cursorData, userId: options.userId };
+      const response = await this.makeAPIRequest(provider.endpoint(context), {}, options);
+      const samples = provider.process(response.data, context);
+
       if (samples.length > 0) {
-        await this.dataService.sample_repository.store_samples(samples);
+        await this.dataService.sample_repository.store_samples(options.userId, samples);
       }
+      if (provider.save) {
+        await provider.save(this.dataService, response.data, context);
+      }
+
+      const cursor = provider.cursor === 'intraday'
+        ? await this.getIntradayCursor(provider, targetDate, this.getLastActiveTime(provider, response.data, context, samples), now, options)
+        : this.getDailyCursor(targetDate, samples, now);
+      const cursorInfo = cursor
+        ? { sync_date: targetDate, cursor, cursor_data: provider.cursorData?.(response.data, context) }
+        : {};
 
       await this.dataService.sync_log_repository.update_sync_log(
-        'other_health_data',
+        options.userId,
+        provider.syncLogKey,
         now.toISOString(),
         'success',
-        {}
+        response.rateLimitInfo,
+        null,
+        cursorInfo
       );
 
-      console.log(`Other health data sync completed: ${samples.length} samples processed`);
+      console.log(`${provider.id} sync completed: ${samples.length} samples processed`);
       return samples.length;
     } catch (error) {
       await this.dataService.sync_log_repository.update_sync_log(
-        'other_health_data',
+        options.userId,
+        provider.syncLogKey,
         now.toISOString(),
         'error',
         {},
         error.message
       );
+
+      // Rate limit and auth failures affect every provider, so they always stop the sync
+      if (provider.optional && !(error instanceof RateLimitError) && !(error instanceof FitbitAuthError)) {
+        console.log(`${provider.id} data not available or error:`, error.message);
+        return 0;
+      }
       throw error;
     }
   }
@@ -794,57 +506,23 @@ class FitbitService {
   /**
    * Synchronize all available data types for a given date.
    * @param {string} [dateStr] - Date string (YYYY-MM-DD). Defaults to today.
-   * @param {string[]} [sampleTypes] - Array of sample types to sync (activity, heartrate, sleep, other).
+   * @param {string[]} [sampleTypes] - Sample type groups to sync (see `providers.getGroups()`), or null for all.
+   * @param {object} options - Sync options.
+   * @param {number} options.userId - User to sync.
+   * @param {string} [options.priority='background'] - 'interactive' for user-triggered syncs, 'background' otherwise.
+   * @param {boolean} [options.force=false] - Refetch whole days, ignoring incremental sync cursors.
    * @returns {Promise<object>} Results object with sample counts per type.
    * @throws {Error} On sync failure.
    */
-  async syncAllData(dateStr = null, sampleTypes = null) {
-    console.log('Starting full data sync...');
-    const results = {};
+  async syncAllData(dateStr = null, sampleTypes = null, options = {}) {
+    console.log(`Starting full data sync for user ${options.userId}...`);
+    const priority = options.priority || 'background';
     
     try {
       // Check rate limit before starting
-      const rateLimitStatus = await this.dataService.sync_log_repository.get_rate_limit_status();
-      
-      console.log(`📊 Pre-sync rate limit check: ${rateLimitStatus.rate_limit_remaining} requests remaining`);
-      
-      if (rateLimitStatus.rate_limit_remaining < 10) {
-        const resetTime = rateLimitStatus.rate_limit_reset;
-        const resetDate = resetTime > 0 ? new Date(Date.now() + resetTime * 1000) : new Date();
-        resetDate.setHours(resetDate.getHours() + 1, 0, 0, 0); // Next hour if no specific reset time
-        
-        console.error(`🚫 Rate limit too low for sync operation:`);
-        console.error(`   Current remaining: ${rateLimitStatus.rate_limit_remaining} requests`);
-        console.error(`   Minimum required: 10 requests`);
-        console.error(`   Reset time: ${resetTime} seconds`);
-        console.error(`   Reset at: ${resetDate.toLocaleString()}`);
-        
-        throw new Error(`Rate limit too low: ${rateLimitStatus.rate_limit_remaining} requests remaining (need at least 10). Rate limit resets in ${resetTime} seconds at ${resetDate.toLocaleString()}`);
-      }
-
-      // Determine which data types to sync
-      const shouldSyncActivity = !sampleTypes || sampleTypes.includes('activity');
-      const shouldSyncHeartrate = !sampleTypes || sampleTypes.includes('heartrate');
-      const shouldSyncSleep = !sampleTypes || sampleTypes.includes('sleep');
-      const shouldSyncOther = !sampleTypes || sampleTypes.includes('other');
+      await this.checkRateLimitBudget(this.estimateRequestCount(sampleTypes), priority, dateStr || 'today', options.userId);
 
-      // Sync each data type based on selection
-      if (shouldSyncActivity && this.scopes.includes('activity')) {
-        results.activity = await this.syncActivityData(dateStr);
-      }
-      
-      if (shouldSyncHeartrate && this.scopes.includes('heartrate')) {
-        results.heartrate = await this.syncHeartRateData(dateStr);
-      }
-      
-      if (shouldSyncSleep && this.scopes.includes('sleep')) {
-        results.sleep = await this.syncSleepData(dateStr);
-      }
-      
-      // Sync other health data
-      if (shouldSyncOther) {
-        results.other = await this.syncOtherData(dateStr);
-      }
+      const results = await this.syncDataForDate(dateStr, sampleTypes, { ...options, priority });
       
       console.log('Full sync completed:', results);
       return results;
@@ -854,82 +532,68 @@ class FitbitService {
     }
   }
 
+  /**
+   * Synchronize the selected data types for a single date without a rate limit pre-check.
+   * Callers are expected to check the rate limit budget first.
+   * @param {string} [dateStr] - Date string (YYYY-MM-DD). Defaults to today.
+   * @param {string[]} [sampleTypes] - Sample type groups to sync (see `providers.getGroups()`), or null for all.
+   * @param {object} options - Request options passed to makeAPIRequest (userId, priority), plus `force`.
+   * @returns {Promise<object>} Results object with sample counts per group.
+   * @throws {Error} On sync failure.
+   */
+  async syncDataForDate(dateStr = null, sampleTypes = null, options = {}) {
+    const results = {};
+
+    for (const provider of this.providers.select(sampleTypes, this.scopes)) {
+      const count = await this.syncProvider(provider, dateStr, options);
+      results[provider.group] = (results[provider.group] || 0) + count;
+    }
+
+    return results;
+  }
+
+  /**
+   * Estimate how many Fitbit API requests one day of syncing will use.
+   * @param {string[]} [sampleTypes] - Sample type groups to sync, or null for all.
+   * @returns {number} Approximate number of requests per date.
+   */
+  estimateRequestCount(sampleTypes = null) {
+    return this.providers.select(sampleTypes, this.scopes)
+      .reduce((count, provider) => count + provider.cost, 0);
+  }
+
   /**
    * Synchronize all available data types for a date range.
    * @param {string} startDate - Start date (YYYY-MM-DD).
    * @param {string} endDate - End date (YYYY-MM-DD).
    * @param {string[]} [sampleTypes] - Array of sample types to sync.
+   * @param {object} options - Sync options.
+   * @param {number} options.userId - User to sync.
+   * @param {string} [options.priority='background'] - 'interactive' for user-triggered syncs, 'background' otherwise.
+   * @param {boolean} [options.force=false] - Refetch whole days, ignoring incremental sync cursors.
    * @returns {Promise<{results: object, totalSamples: number, datesProcessed: number}>} Sync results.
    * @throws {Error} On sync failure or excessive date range.
    */
-  async syncDateRange(startDate, endDate, sampleTypes = null) {
+  async syncDateRange(startDate, endDate, sampleTypes = null, options = {}) {
     console.log(`Starting date range sync from ${startDate} to ${endDate}...`);
+    const priority = options.priority || 'background';
     const results = {};
     const dates = this.getDateRange(startDate, endDate);
     
     try {
       // Check rate limit before starting
-      const rateLimitStatus = await this.dataService.sync_log_repository.get_rate_limit_status();
-      const requiredRequests = dates.length * 4; // Approximate requests per date
-      
-      console.log(`📊 Pre-sync rate limit check for date range:`);
-      console.log(`   Date range: ${startDate} to ${endDate} (${dates.length} days)`);
-      console.log(`   Current remaining: ${rateLimitStatus.rate_limit_remaining} requests`);
-      console.log(`   Estimated required: ${requiredRequests} requests`);
-
-      if (rateLimitStatus.rate_limit_remaining < requiredRequests) {
-        const resetTime = rateLimitStatus.rate_limit_reset;
-        const resetDate = resetTime > 0 ? new Date(Date.now() + resetTime * 1000) : new Date();
-        resetDate.setHours(resetDate.getHours() + 1, 0, 0, 0); // Next hour if no specific reset time
-        
-        console.error(`🚫 Rate limit too low for date range sync operation:`);
-        console.error(`   Current remaining: ${rateLimitStatus.rate_limit_remaining} requests`);
-        console.error(`   Required for operation: ${requiredRequests} requests`);
-        console.error(`   Shortfall: ${requiredRequests - rateLimitStatus.rate_limit_remaining} requests`);
-        console.error(`   Reset time: ${resetTime} seconds`);
-        console.error(`   Reset at: ${resetDate.toLocaleString()}`);
-        
-        throw new Error(`Rate limit too low: ${rateLimitStatus.rate_limit_remaining} requests remaining, need approximately ${requiredRequests} for ${dates.length} days. Shortfall: ${requiredRequests - rateLimitStatus.rate_limit_remaining} requests. Rate limit resets in ${resetTime} seconds at ${resetDate.toLocaleString()}`);
-      }
-
-      // Determine which data types to sync
-      const shouldSyncActivity = !sampleTypes || sampleTypes.includes('activity');
-      const shouldSyncHeartrate = !sampleTypes || sampleTypes.includes('heartrate');
-      const shouldSyncSleep = !sampleTypes || sampleTypes.includes('sleep');
-      const shouldSyncOther = !sampleTypes || sampleTypes.includes('other');
+      const requiredRequests = dates.length * this.estimateRequestCount(sampleTypes);
+      await this.checkRateLimitBudget(requiredRequests, priority, `${dates.length} days (${startDate} to ${endDate})`, options.userId);
 
       let totalSamples = 0;
       
       for (const dateStr of dates) {
         console.log(`Syncing data for ${dateStr}...`);
         
-        const dayResults = {};
-        
-        // Sync each data type for this date based on selection
-        if (shouldSyncActivity && this.scopes.includes('activity')) {
-          dayResults.activity = await this.syncActivityData(dateStr);
-          totalSamples += dayResults.activity;
-        }
-        
-        if (shouldSyncHeartrate && this.scopes.includes('heartrate')) {
-          dayResults.heartrate = await this.syncHeartRateData(dateStr);
-          totalSamples += dayResults.heartrate;
-        }
-        
-        if (shouldSyncSleep && this.scopes.includes('sleep')) {
-          dayResults.sleep = await this.syncSleepData(dateStr);
-          totalSamples += dayResults.sleep;
-        }
-        
-        if (shouldSyncOther) {
-          dayResults.other = await this.syncOtherData(dateStr);
-          totalSamples += dayResults.other;
-        }
+        const dayResults = await this.syncDataForDate(dateStr, sampleTypes, { ...options, priority });
+        totalSamples += Object.values(dayResults).reduce((sum, count) => sum + count, 0);
         
         results[dateStr] = dayResults;
-        
-        // Small delay to avoid hitting rate limits
-        await new Promise(resolve => setTimeout(resolve, 100));
       }
       
       console.log(`Date range sync completed: ${totalSamples} total samples processed across ${dates.length} days`);
@@ -944,25 +608,25 @@ class FitbitService {
    * Get an array of date strings for a date range (inclusive).
    * @param {string} startDate - Start date (YYYY-MM-DD).
    * @param {string} endDate - End date (YYYY-MM-DD).
+   * @param {number|null} [maxDays=30] - Maximum number of days allowed, or null for no limit.
    * @returns {string[]} Array of date strings.
-   * @throws {Error} If start date is after end date or range is too large.
+   * @throws {ValidationError} If start date is after end date or range is too large.
    */
-  getDateRange(startDate, endDate) {
+  getDateRange(startDate, endDate, maxDays = 30) {
     const dates = [];
     const start = new Date(startDate);
     const end = new Date(endDate);
     
     // Validate dates
     if (start > end) {
-      throw new Error('Start date must be before or equal to end date');
+      throw new ValidationError('Start date must be before or equal to end date', 'startDate');
     }
     
-    // Limit to prevent excessive API calls
-    const maxDays = 30;
+    // Limit to prevent excessive API calls in a single request; longer ranges go through backfill jobs
     const daysDiff = Math.ceil((end - start) / (1000 * 60 * 60 * 24)) + 1;
     
-    if (daysDiff > maxDays) {
-      throw new Error(`Date range too large. Maximum ${maxDays} days allowed, requested ${daysDiff} days`);
+    if (maxDays && daysDiff > maxDays) {
+      throw new ValidationError(`Date range too large. Maximum ${maxDays} days allowed, requested ${daysDiff} days. Use a backfill job for longer ranges`, 'endDate');
     }
     
     const current = new Date(start);
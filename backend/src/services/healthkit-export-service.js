@@ -0,0 +1,182 @@
+/**
+ * Service producing Apple Health export archives.
+ * @module backend/services/healthkit-export-service
+ */
+import { Readable } from 'stream';
+import yazl from 'yazl';
+
+const SOURCE_NAME = 'Fitbit';
+const EXPORT_PATH = 'apple_health_export/export.xml';
+
+/**
+ * HealthKit record type, unit and value scale for each internal sample type.
+ * HealthKit stores percentages as fractions, so `%` values are scaled by 0.01.
+ */
+export const HEALTHKIT_QUANTITY_TYPES = {
+  steps: { identifier: 'HKQuantityTypeIdentifierStepCount', unit: 'count' },
+  heartRate: { identifier: 'HKQuantityTypeIdentifierHeartRate', unit: 'count/min' },
+  restingHeartRate: { identifier: 'HKQuantityTypeIdentifierRestingHeartRate', unit: 'count/min' },
+  activeCalories: { identifier: 'HKQuantityTypeIdentifierActiveEnergyBurned', unit: 'kcal' },
+  oxygenSaturation: { identifier: 'HKQuantityTypeIdentifierOxygenSaturation', unit: '%', scale: 0.01 },
+  respiratoryRate: { identifier: 'HKQuantityTypeIdentifierRespiratoryRate', unit: 'count/min' },
+  bodyTemperature: { identifier: 'HKQuantityTypeIdentifierBodyTemperature', unit: 'degF' },
+  bodyMass: { identifier: 'HKQuantityTypeIdentifierBodyMass', unit: 'lb' },
+  bodyMassIndex: { identifier: 'HKQuantityTypeIdentifierBodyMassIndex', unit: 'count' },
+  bodyFatPercentage: { identifier: 'HKQuantityTypeIdentifierBodyFatPercentage', unit: '%', scale: 0.01 }
+};
+
+/**
+ * HealthKit sleep analysis values for Fitbit sleep levels (stages and classic logs).
+ */
+export const HEALTHKIT_SLEEP_VALUES = {
+  wake: 'HKCategoryValueSleepAnalysisAwake',
+  awake: 'HKCategoryValueSleepAnalysisAwake',
+  restless: 'HKCategoryValueSleepAnalysisAwake',
+  light: 'HKCategoryValueSleepAnalysisAsleepCore',
+  deep: 'HKCategoryValueSleepAnalysisAsleepDeep',
+  rem: 'HKCategoryValueSleepAnalysisAsleepREM',
+  asleep: 'HKCategoryValueSleepAnalysisAsleepUnspecified'
+};
+
+const SLEEP_IDENTIFIER = 'HKCategoryTypeIdentifierSleepAnalysis';
+
+/**
+ * Escape a value for an XML attribute.
+ * @param {*} value - Attribute value.
+ * @returns {string} Escaped string.
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a date the way Apple Health exports do: `yyyy-MM-dd HH:mm:ss ±hhmm`, in server local time.
+ * @param {Date} date - Date to format.
+ * @returns {string} Formatted date.
+ */
+export function formatHealthKitDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  const offset = -date.getTimezoneOffset();
+  const sign = offset >= 0 ? '+' : '-';
+  const abs = Math.abs(offset);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())} ` +
+    `${sign}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+}
+
+/**
+ * Writes samples as an Apple Health `export.xml`, zipped like the archive the Health app exports,
+ * so history can be imported in bulk. Samples without a HealthKit equivalent are left out.
+ */
+class HealthKitExportService {
+  /**
+   * Create a HealthKitExportService instance.
+   * @param {object} dataService - DataService instance providing repositories.
+   */
+  constructor(dataService) {
+    this.dataService = dataService;
+  }
+
+  /**
+   * Get the internal sample types that can be exported.
+   * @returns {string[]} Sample types with a HealthKit mapping.
+   */
+  getExportableTypes() {
+    return [...Object.keys(HEALTHKIT_QUANTITY_TYPES), 'sleepAnalysis'];
+  }
+
+  /**
+   * Create a zip archive stream holding a user's `apple_health_export/export.xml`.
+   * @param {object} filters - Export filters.
+   * @param {number} filters.userId - User whose samples to export.
+   * @param {string} [filters.from] - First date (YYYY-MM-DD).
+   * @param {string} [filters.to] - Last date (YYYY-MM-DD).
+   * @param {string[]} [filters.types] - Internal sample types; defaults to every exportable type.
+   * @returns {Readable} Zip archive stream. Errors while reading samples are emitted on it.
+   */
+  createArchive(filters) {
+    const zipfile = new yazl.ZipFile();
+    const xml = Readable.from(this.generateXml(filters));
+    xml.on('error', error => zipfile.outputStream.destroy(error));
+    zipfile.addReadStream(xml, EXPORT_PATH, { mtime: new Date() });
+    zipfile.end();
+    return zipfile.outputStream;
+  }
+
+  /**
+   * Generate `export.xml` in chunks, one record per sample.
+   * @param {object} filters - Export filters, as for `createArchive`.
+   * @returns {AsyncGenerator<string>} XML text.
+   */
+  async *generateXml({ userId, from = null, to = null, types = null }) {
+    const exportable = this.getExportableTypes();
+    const selected = types ? types.filter(type => exportable.includes(type)) : exportable;
+    const now = formatHealthKitDate(new Date());
+
+    yield '<?xml version="1.0" encoding="UTF-8"?>\n';
+    yield '<HealthData locale="en_US">\n';
+    yield ` <ExportDate value="${now}"/>\n`;
+
+    if (selected.length > 0) {
+      let count = 0;
+      for await (const sample of this.dataService.sample_repository.iterate_samples(userId, { from, to, types: selected })) {
+        const record = this.toRecord(sample);
+        if (record) {
+          count++;
+          yield record;
+        }
+      }
+      console.log(`HealthKit export wrote ${count} records`);
+    }
+
+    yield '</HealthData>\n';
+  }
+
+  /**
+   * Convert a sample to a `<Record>` element.
+   * @param {object} sample - Sample from the repository.
+   * @returns {string|null} XML element, or null if the sample has no HealthKit equivalent.
+   */
+  toRecord(sample) {
+    const start = new Date(sample.start_time || sample.timestamp);
+    const end = new Date(sample.end_time || sample.timestamp || sample.start_time);
+    if (isNaN(start) || isNaN(end)) {
+      return null;
+    }
+
+    let type;
+    let unit = null;
+    let value;
+    if (sample.type === 'sleepAnalysis') {
+      type = SLEEP_IDENTIFIER;
+      value = HEALTHKIT_SLEEP_VALUES[sample.value] || 'HKCategoryValueSleepAnalysisAsleepUnspecified';
+    } else {
+      const mapping = HEALTHKIT_QUANTITY_TYPES[sample.type];
+      if (!mapping || sample.value_kind !== 'numeric') {
+        return null;
+      }
+      type = mapping.identifier;
+      unit = mapping.unit;
+      value = Number((sample.value * (mapping.scale || 1)).toFixed(4));
+    }
+
+    // created_at is SQLite's UTC "YYYY-MM-DD HH:MM:SS"
+    const created = sample.created_at ? new Date(`${sample.created_at.replace(' ', 'T')}Z`) : end;
+    const attributes = [
+      `type="${type}"`,
+      `sourceName="${SOURCE_NAME}"`,
+      unit ? `unit="${escapeXml(unit)}"` : null,
+      `creationDate="${formatHealthKitDate(created)}"`,
+      `startDate="${formatHealthKitDate(start)}"`,
+      `endDate="${formatHealthKitDate(end)}"`,
+      `value="${escapeXml(value)}"`
+    ].filter(Boolean);
+    return ` <Record ${attributes.join(' ')}/>\n`;
+  }
+}
+
+export default HealthKitExportService;
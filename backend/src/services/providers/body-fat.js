@@ -0,0 +1,35 @@
+/**
+ * Body fat percentage from the body fat log.
+ * @module backend/services/providers/body-fat
+ */
+
+/**
+ * Process body fat log entries into body fat percentage samples at their logged time.
+ * Each sample carries the log id, so an edited log updates its sample instead of adding a new one.
+ * @param {object[]} logs - Fitbit body fat log entries.
+ * @returns {object[]} Array of body fat percentage sample objects.
+ */
+export function processBodyFatData(logs) {
+  return logs
+    .filter(log => log.fat)
+    .map(log => ({
+      type: 'bodyFatPercentage',
+      value: log.fat,
+      unit: '%',
+      datetime: new Date(`${log.date}T${log.time || '00:00:00'}`).toISOString(),
+      metadata: log.source ? { source: log.source } : null,
+      source_id: String(log.logId)
+    }));
+}
+
+export default {
+  id: 'bodyFat',
+  group: 'body',
+  scope: 'weight',
+  collection: 'body',
+  syncLogKey: 'body_fat',
+  cursor: 'daily',
+  cost: 1,
+  endpoint: ({ dateStr }) => `/1/user/-/body/log/fat/date/${dateStr}.json`,
+  process: data => processBodyFatData(data.fat || [])
+};
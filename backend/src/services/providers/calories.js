@@ -0,0 +1,105 @@
+/**
+ * Intraday calories, stored as active calorie blocks with the basal rate removed.
+ * @module backend/services/providers/calories
+ */
+import { getIntradayEndpoint, getLastActiveTime } from './intraday.js';
+
+/**
+ * Process intraday calories data into active calorie samples.
+ * @param {object[]} dataset - Fitbit calories dataset.
+ * @param {number} bmrPerMinute - Basal metabolic rate per minute.
+ * @param {string} dateStr - Date string (YYYY-MM-DD).
+ * @returns {object[]} Array of active calorie sample objects.
+ */
+export function processCaloriesData(dataset, bmrPerMinute, dateStr) {
+  const samples = [];
+  const blockSizes = [30, 15]; // in minutes
+  let i = 0;
+  while (i < dataset.length) {
+    let blockSize = blockSizes[0];
+    let block = dataset.slice(i, i + blockSize);
+    // Calculate active calories for the block (remove BMR per minute)
+    const activeCaloriesArr = block.map(dataPoint => Math.max(0, parseFloat(dataPoint.value) - bmrPerMinute));
+    // Calculate total and standard deviation
+    const total = activeCaloriesArr.reduce((a, b) => a + b, 0);
+    const avg = total / activeCaloriesArr.length;
+    const stddev = Math.sqrt(activeCaloriesArr.reduce((a, b) => a + Math.pow(b - avg, 2), 0) / activeCaloriesArr.length);
+    // Heuristic: if stddev > 20% of avg and blockSize > 15, split into 15-min blocks
+    if (blockSize === 30 && stddev > 0.2 * avg) {
+      // Split into two 15-min blocks
+      for (let j = 0; j < 2; j++) {
+        const subBlock = dataset.slice(i + j * 15, i + (j + 1) * 15);
+        const subActiveArr = subBlock.map(dataPoint => Math.max(0, parseFloat(dataPoint.value) - bmrPerMinute));
+        const subTotal = subActiveArr.reduce((a, b) => a + b, 0);
+        if (subTotal > 0) {
+          const subTimestamp = new Date(`${dateStr}T${subBlock[subBlock.length - 1].time}`);
+          samples.push({
+            type: 'activeCalories',
+            value: subTotal,
+            unit: 'kcal',
+            datetime: subTimestamp.toISOString()
+          });
+        }
+      }
+      i += 30;
+    } else {
+      // Use the block as is
+      if (total > 0) {
+        const timestamp = new Date(`${dateStr}T${block[block.length - 1].time}`);
+        samples.push({
+          type: 'activeCalories',
+          value: total,
+          unit: 'kcal',
+          datetime: timestamp.toISOString()
+        });
+      }
+      i += blockSize;
+    }
+  }
+  return samples;
+}
+
+/**
+ * Get the basal rate per minute from a whole-day response, whose summary value covers all 1440 minutes.
+ * @param {object} data - Fitbit calories response for a whole day.
+ * @returns {number} Basal calories per minute.
+ */
+export function getBMRPerMinute(data) {
+  const bmrData = data['activities-calories']?.[0];
+  const dailyBMR = bmrData ? parseFloat(bmrData.value) : 0;
+  return dailyBMR / (24 * 60);
+}
+
+/**
+ * Get the basal rate per minute for a fetch: from the response for a whole day, or else the rate
+ * kept from the day's first fetch.
+ * @param {object} data - Fitbit calories response.
+ * @param {object} context - Provider context with `startTime` and `cursorData`.
+ * @returns {number} Basal calories per minute.
+ */
+function getFetchBMRPerMinute(data, { startTime, cursorData }) {
+  return startTime === '00:00' ? getBMRPerMinute(data) : cursorData.bmrPerMinute;
+}
+
+export default {
+  id: 'calories',
+  group: 'activity',
+  scope: 'activity',
+  collection: 'activities',
+  syncLogKey: 'calories_intraday',
+  cursor: 'intraday',
+  cost: 1,
+  endpoint: ({ dateStr, startTime }) => getIntradayEndpoint('calories', dateStr, startTime),
+  // A time-range response only sums the requested minutes, so the rate from the day's first fetch is reused
+  cursorData: (data, { startTime, cursorData }) =>
+    startTime === '00:00' ? { bmrPerMinute: getBMRPerMinute(data) } : cursorData,
+  process: (data, context) => {
+    const dataset = data['activities-calories-intraday']?.dataset || [];
+    return processCaloriesData(dataset, getFetchBMRPerMinute(data, context), context.dateStr);
+  },
+  // Minutes the device has not uploaded yet are filled with the basal rate, so only burns above it count
+  lastActiveTime: (data, context) => {
+    const bmrPerMinute = getFetchBMRPerMinute(data, context);
+    return getLastActiveTime(data['activities-calories-intraday']?.dataset || [], calories => calories > bmrPerMinute);
+  }
+};
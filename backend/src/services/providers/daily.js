@@ -0,0 +1,21 @@
+/**
+ * Shared helpers for providers that store one value per day.
+ * @module backend/services/providers/daily
+ */
+
+/**
+ * Get the times for a sample that summarizes a whole local day.
+ * The timestamp is the end of the day, so `/api/sync` hands the sample out once, after the
+ * day is over and its value has settled.
+ * @param {string} dateStr - Date string (YYYY-MM-DD).
+ * @returns {{datetime: string, start_time: string, end_time: string}} ISO timestamps for the sample.
+ */
+export function getDailySampleTimes(dateStr) {
+  const start = new Date(`${dateStr}T00:00:00`);
+  const end = new Date(`${dateStr}T23:59:59`);
+  return {
+    datetime: end.toISOString(),
+    start_time: start.toISOString(),
+    end_time: end.toISOString()
+  };
+}
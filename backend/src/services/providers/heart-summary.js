@@ -0,0 +1,57 @@
+/**
+ * Daily resting heart rate and heart rate zone minutes.
+ * These come from the daily summary rather than the intraday provider's response, because
+ * time-range intraday responses only summarize the requested window.
+ * @module backend/services/providers/heart-summary
+ */
+import { getDailySampleTimes } from './daily.js';
+
+/** Sample type for each of Fitbit's default heart rate zones. */
+export const HEART_RATE_ZONE_TYPES = {
+  'Out of Range': 'heartRateZoneOutOfRange',
+  'Fat Burn': 'heartRateZoneFatBurn',
+  'Cardio': 'heartRateZoneCardio',
+  'Peak': 'heartRateZonePeak'
+};
+
+/**
+ * Process a daily heart rate summary into resting heart rate and zone minute samples.
+ * @param {object[]} days - Fitbit `activities-heart` entries.
+ * @param {string} dateStr - Date string (YYYY-MM-DD).
+ * @returns {object[]} Array of daily heart rate sample objects.
+ */
+export function processHeartSummaryData(days, dateStr) {
+  const samples = [];
+  const summary = days.find(day => day.dateTime === dateStr)?.value;
+
+  if (!summary) {
+    return samples;
+  }
+
+  const times = getDailySampleTimes(dateStr);
+
+  if (summary.restingHeartRate) {
+    samples.push({ type: 'restingHeartRate', value: summary.restingHeartRate, unit: 'count/min', ...times });
+  }
+
+  for (const zone of summary.heartRateZones || []) {
+    const type = HEART_RATE_ZONE_TYPES[zone.name];
+    if (type && typeof zone.minutes === 'number') {
+      samples.push({ type, value: zone.minutes, unit: 'min', metadata: { caloriesOut: zone.caloriesOut }, ...times });
+    }
+  }
+
+  return samples;
+}
+
+export default {
+  id: 'heartSummary',
+  group: 'heartrate',
+  scope: 'heartrate',
+  collection: 'activities',
+  syncLogKey: 'heartrate_summary',
+  cursor: 'daily',
+  cost: 1,
+  endpoint: ({ dateStr }) => `/1/user/-/activities/heart/date/${dateStr}/1d.json`,
+  process: (data, { dateStr }) => processHeartSummaryData(data['activities-heart'] || [], dateStr)
+};
@@ -0,0 +1,188 @@
+/**
+ * Intraday heart rate, stored as blocks sized by exertion.
+ * @module backend/services/providers/heartrate
+ */
+import { getIntradayEndpoint, getLastActiveTime } from './intraday.js';
+
+/**
+ * Process intraday heart rate data into sample blocks using exertion detection.
+ * Each block records whether it is an exertion block as `metadata.isExertion`.
+ * @param {object[]} dataset - Fitbit heart rate dataset.
+ * @param {string} dateStr - Date string (YYYY-MM-DD).
+ * @returns {object[]} Array of heart rate sample objects.
+ */
+export function processHeartRateData(dataset, dateStr) {
+  const samples = [];
+  let currentBlock = null;
+  const normalBlockMinutes = 30; // 30 minutes for stable periods
+  const exertionBlockMinutes = 5; // 5 minutes during exertion
+  const deviationThreshold = 15; // BPM threshold for detecting exertion
+  const minBlockMinutes = 3; // Minimum block size to avoid too small blocks
+  
+  // First pass: calculate rolling baseline to detect exertion periods
+  const rollingWindow = 10; // 10-minute window for baseline calculation
+  const baselines = [];
+  
+  for (let i = 0; i < dataset.length; i++) {
+    const dataPoint = dataset[i];
+    const heartRate = parseInt(dataPoint.value);
+    
+    if (heartRate > 0) {
+      // Calculate baseline from surrounding data
+      const windowStart = Math.max(0, i - rollingWindow);
+      const windowEnd = Math.min(dataset.length, i + rollingWindow);
+      
+      let sum = 0;
+      let count = 0;
+      
+      for (let j = windowStart; j < windowEnd; j++) {
+        const hr = parseInt(dataset[j].value);
+        if (hr > 0) {
+          sum += hr;
+          count++;
+        }
+      }
+      
+      const baseline = count > 0 ? sum / count : heartRate;
+      baselines[i] = { heartRate, baseline, isExertion: Math.abs(heartRate - baseline) > deviationThreshold };
+    } else {
+      baselines[i] = { heartRate: 0, baseline: 0, isExertion: false };
+    }
+  }
+  
+  // Second pass: create blocks based on exertion detection
+  for (let i = 0; i < dataset.length; i++) {
+    const dataPoint = dataset[i];
+    const analysis = baselines[i];
+    const timestamp = new Date(`${dateStr}T${dataPoint.time}`);
+    
+    if (analysis.heartRate > 0) {
+      const targetBlockSize = analysis.isExertion ? exertionBlockMinutes : normalBlockMinutes;
+      
+      if (!currentBlock) {
+        // Start new block
+        currentBlock = {
+          startTime: timestamp,
+          endTime: timestamp,
+          heartRates: [analysis.heartRate],
+          minutes: 1,
+          isExertionBlock: analysis.isExertion,
+          targetSize: targetBlockSize
+        };
+      } else {
+        // Check if we should continue current block or start new one
+        const blockTypeChanged = (currentBlock.isExertionBlock !== analysis.isExertion);
+        const blockSizeReached = currentBlock.minutes >= currentBlock.targetSize;
+        const minSizeReached = currentBlock.minutes >= minBlockMinutes;
+        
+        if (blockTypeChanged && minSizeReached) {
+          // Block type changed (exertion <-> normal), finish current block
+          const averageHR = Math.round(currentBlock.heartRates.reduce((sum, hr) => sum + hr, 0) / currentBlock.heartRates.length);
+          samples.push({
+            type: 'heartRate',
+            value: averageHR,
+            unit: 'count/min',
+            datetime: currentBlock.endTime.toISOString(),
+            metadata: { isExertion: currentBlock.isExertionBlock }
+          });
+          
+          // Start new block with current type
+          currentBlock = {
+            startTime: timestamp,
+            endTime: timestamp,
+            heartRates: [analysis.heartRate],
+            minutes: 1,
+            isExertionBlock: analysis.isExertion,
+            targetSize: targetBlockSize
+          };
+        } else if (blockSizeReached) {
+          // Block size reached, finish current block
+          const averageHR = Math.round(currentBlock.heartRates.reduce((sum, hr) => sum + hr, 0) / currentBlock.heartRates.length);
+          samples.push({
+            type: 'heartRate',
+            value: averageHR,
+            unit: 'count/min',
+            datetime: currentBlock.endTime.toISOString(),
+            metadata: { isExertion: currentBlock.isExertionBlock }
+          });
+          
+          // Start new block
+          currentBlock = {
+            startTime: timestamp,
+            endTime: timestamp,
+            heartRates: [analysis.heartRate],
+            minutes: 1,
+            isExertionBlock: analysis.isExertion,
+            targetSize: targetBlockSize
+          };
+        } else {
+          // Continue current block
+          currentBlock.endTime = timestamp;
+          currentBlock.heartRates.push(analysis.heartRate);
+          currentBlock.minutes++;
+          
+          // Update block type if we're transitioning and haven't reached min size yet
+          if (!minSizeReached) {
+            currentBlock.isExertionBlock = analysis.isExertion;
+            currentBlock.targetSize = targetBlockSize;
+          }
+        }
+      }
+    } else {
+      // Zero/invalid heart rate - check if we should end current block
+      if (currentBlock) {
+        // Count consecutive zero readings
+        let zeroCount = 0;
+        const gapThreshold = 5; // 5 minutes of missing data ends a block
+        
+        for (let j = i; j < Math.min(i + gapThreshold, dataset.length); j++) {
+          if (parseInt(dataset[j].value) === 0) {
+            zeroCount++;
+          } else {
+            break;
+          }
+        }
+        
+        // End block if significant gap ahead and minimum size reached
+        if (zeroCount >= gapThreshold && currentBlock.minutes >= minBlockMinutes) {
+          const averageHR = Math.round(currentBlock.heartRates.reduce((sum, hr) => sum + hr, 0) / currentBlock.heartRates.length);
+          samples.push({
+            type: 'heartRate',
+            value: averageHR,
+            unit: 'count/min',
+            datetime: currentBlock.endTime.toISOString(),
+            metadata: { isExertion: currentBlock.isExertionBlock }
+          });
+          currentBlock = null;
+        }
+      }
+    }
+  }
+  
+  // Don't forget the last block
+  if (currentBlock && currentBlock.minutes >= minBlockMinutes) {
+    const averageHR = Math.round(currentBlock.heartRates.reduce((sum, hr) => sum + hr, 0) / currentBlock.heartRates.length);
+    samples.push({
+      type: 'heartRate',
+      value: averageHR,
+      unit: 'count/min',
+      datetime: currentBlock.endTime.toISOString(),
+      metadata: { isExertion: currentBlock.isExertionBlock }
+    });
+  }
+  
+  return samples;
+}
+
+export default {
+  id: 'heartrate',
+  group: 'heartrate',
+  scope: 'heartrate',
+  collection: 'activities', // Heart rate is delivered with the activities collection
+  syncLogKey: 'heartrate_intraday',
+  cursor: 'intraday',
+  cost: 1,
+  endpoint: ({ dateStr, startTime }) => getIntradayEndpoint('heart', dateStr, startTime),
+  process: (data, { dateStr }) => processHeartRateData(data['activities-heart-intraday']?.dataset || [], dateStr),
+  lastActiveTime: data => getLastActiveTime(data['activities-heart-intraday']?.dataset || [], heartRate => heartRate > 0)
+};
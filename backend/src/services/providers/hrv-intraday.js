@@ -0,0 +1,50 @@
+/**
+ * Heart rate variability (RMSSD) readings for each 5-minute window of the main sleep.
+ * @module backend/services/providers/hrv-intraday
+ */
+
+const READING_MINUTES = 5;
+
+/**
+ * Process intraday HRV data into RMSSD samples covering each 5-minute window.
+ * @param {object[]} days - Fitbit `hrv` entries with per-window `minutes`.
+ * @returns {object[]} Array of HRV reading sample objects.
+ */
+export function processHrvIntradayData(days) {
+  const samples = [];
+
+  for (const day of days) {
+    for (const reading of day.minutes || []) {
+      if (!reading.value || !reading.value.rmssd) {
+        continue;
+      }
+
+      // Fitbit timestamps each reading with the local start of its window
+      const start = new Date(reading.minute);
+      const end = new Date(start.getTime() + READING_MINUTES * 60 * 1000);
+      samples.push({
+        type: 'heartRateVariabilityRMSSD',
+        value: reading.value.rmssd,
+        unit: 'ms',
+        metadata: { coverage: reading.value.coverage, hf: reading.value.hf, lf: reading.value.lf },
+        datetime: end.toISOString(),
+        start_time: start.toISOString(),
+        end_time: end.toISOString()
+      });
+    }
+  }
+
+  return samples;
+}
+
+export default {
+  id: 'hrvIntraday',
+  group: 'other',
+  scope: 'heartrate',
+  syncLogKey: 'hrv_intraday',
+  cursor: 'daily',
+  cost: 1,
+  optional: true,
+  endpoint: ({ dateStr }) => `/1/user/-/hrv/date/${dateStr}/all.json`,
+  process: data => processHrvIntradayData(data.hrv || [])
+};
@@ -0,0 +1,42 @@
+/**
+ * Daily heart rate variability (RMSSD) from the main sleep.
+ * Fitbit only reports RMSSD, which is a different statistic from HealthKit's SDNN, so it is
+ * stored and exported as RMSSD only.
+ * @module backend/services/providers/hrv
+ */
+import { getDailySampleTimes } from './daily.js';
+
+/**
+ * Process daily HRV summaries into daily and deep-sleep RMSSD samples.
+ * @param {object[]} days - Fitbit `hrv` entries.
+ * @returns {object[]} Array of HRV sample objects.
+ */
+export function processHrvData(days) {
+  const samples = [];
+
+  for (const day of days) {
+    const times = getDailySampleTimes(day.dateTime);
+    const { dailyRmssd, deepRmssd } = day.value || {};
+
+    if (dailyRmssd) {
+      samples.push({ type: 'heartRateVariabilityDailyRMSSD', value: dailyRmssd, unit: 'ms', ...times });
+    }
+    if (deepRmssd) {
+      samples.push({ type: 'heartRateVariabilityDeepRMSSD', value: deepRmssd, unit: 'ms', ...times });
+    }
+  }
+
+  return samples;
+}
+
+export default {
+  id: 'hrv',
+  group: 'other',
+  scope: 'heartrate',
+  syncLogKey: 'hrv',
+  cursor: 'daily',
+  cost: 1,
+  optional: true,
+  endpoint: ({ dateStr }) => `/1/user/-/hrv/date/${dateStr}.json`,
+  process: data => processHrvData(data.hrv || [])
+};
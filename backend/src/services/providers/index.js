@@ -0,0 +1,38 @@
+/**
+ * Sample type providers - exports the registry and the built-in providers.
+ * @module backend/services/providers
+ */
+import ProviderRegistry from './registry.js';
+import steps from './steps.js';
+import calories from './calories.js';
+import heartrate from './heartrate.js';
+import heartSummary from './heart-summary.js';
+import sleep from './sleep.js';
+import spo2 from './spo2.js';
+import respiratoryRate from './respiratory-rate.js';
+import temperature from './temperature.js';
+import hrv from './hrv.js';
+import hrvIntraday from './hrv-intraday.js';
+import weight from './weight.js';
+import bodyFat from './body-fat.js';
+
+/** Built-in providers, in the order they are synced. */
+export const BUILT_IN_PROVIDERS = [
+  steps, calories, heartrate, heartSummary, sleep, spo2, respiratoryRate, temperature, hrv, hrvIntraday,
+  weight, bodyFat
+];
+
+/**
+ * Create a registry holding the built-in providers.
+ * @returns {ProviderRegistry} New registry.
+ */
+export function createDefaultRegistry() {
+  const registry = new ProviderRegistry();
+  for (const provider of BUILT_IN_PROVIDERS) {
+    registry.register(provider);
+  }
+  return registry;
+}
+
+export { ProviderRegistry };
+export { getIntradayEndpoint } from './intraday.js';
@@ -0,0 +1,31 @@
+/**
+ * Shared helpers for intraday providers.
+ * @module backend/services/providers/intraday
+ */
+
+/**
+ * Build an intraday endpoint, using Fitbit's time-range form when only part of the day is needed.
+ * @param {string} resource - Activity resource (steps, calories, heart).
+ * @param {string} dateStr - Date string (YYYY-MM-DD).
+ * @param {string} startTime - First minute to fetch (HH:mm).
+ * @returns {string} Fitbit API endpoint.
+ */
+export function getIntradayEndpoint(resource, dateStr, startTime) {
+  const base = `/1/user/-/activities/${resource}/date/${dateStr}/1d/1min`;
+  return startTime === '00:00' ? `${base}.json` : `${base}/time/${startTime}/23:59.json`;
+}
+
+/**
+ * Find the last minute of an intraday dataset with real activity.
+ * @param {object[]} dataset - Fitbit intraday dataset of `{ time, value }` points.
+ * @param {function(number): boolean} isActive - Whether a minute's value is real activity.
+ * @returns {string|null} Time (HH:mm), or null if no minute is active.
+ */
+export function getLastActiveTime(dataset, isActive) {
+  for (let i = dataset.length - 1; i >= 0; i--) {
+    if (isActive(parseFloat(dataset[i].value))) {
+      return dataset[i].time.slice(0, 5);
+    }
+  }
+  return null;
+}
@@ -0,0 +1,174 @@
+/**
+ * Registry of sample type providers.
+ * @module backend/services/providers/registry
+ */
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * A provider describes one Fitbit resource and how it becomes samples.
+ * @typedef {object} SampleProvider
+ * @property {string} id - Unique provider id (e.g. 'steps'), used as the key in status output.
+ * @property {string} group - Sample type group that selects the provider in sync requests (e.g. 'activity').
+ * @property {string} scope - Fitbit OAuth scope the provider needs.
+ * @property {string} syncLogKey - sync_log data type holding the provider's status and cursors.
+ * @property {number} cost - Approximate Fitbit API requests per synced date.
+ * @property {string} cursor - 'intraday' to resume from the last stored minute, 'daily' to skip closed days already synced.
+ * @property {function(object): string} endpoint - Builds the endpoint from `{ dateStr, startTime }`.
+ * @property {function(object, object): object[]} process - Turns response data into samples, given `{ dateStr, startTime }`.
+ * @property {string} [collection] - Fitbit subscription collection that announces changes (activities, sleep, body).
+ * @property {number} [defaultDayOffset=0] - Days from today to sync when no date is given (-1 for last night).
+ * @property {boolean} [optional=false] - Log failures and carry on instead of failing the sync.
+ * @property {function(object, object): object|null} [cursorData] - Intraday only: data to keep with the cursor,
+ *   given `(data, { dateStr, startTime, cursorData })`. Later fetches of the same day get it back as `cursorData`;
+ *   if none was kept, the whole day is fetched again.
+ * @property {function(object, object): string|null} [lastActiveTime] - Intraday only: the last minute with real
+ *   activity in the response (HH:mm), given `(data, { dateStr, startTime, cursorData })`, which becomes the cursor.
+ *   Without it the latest sample's time is used.
+ * @property {function(object, object, object): Promise<*>} [save] - Stores records other than samples, given
+ *   `(dataService, data, { dateStr, startTime, userId })`; store them for `userId`.
+ */
+
+const CURSOR_KINDS = ['intraday', 'daily'];
+
+/**
+ * Holds the providers the sync loops iterate, in registration order.
+ */
+class ProviderRegistry {
+  /**
+   * Create an empty registry.
+   */
+  constructor() {
+    this.providers = new Map();
+  }
+
+  /**
+   * Add a provider.
+   * @param {SampleProvider} provider - Provider definition.
+   * @returns {ProviderRegistry} This registry, for chaining.
+   * @throws {Error} If the provider is incomplete or its id is already registered.
+   */
+  register(provider) {
+    this.validate(provider);
+    if (this.providers.has(provider.id)) {
+      throw new Error(`Sample provider "${provider.id}" is already registered`);
+    }
+    this.providers.set(provider.id, provider);
+    return this;
+  }
+
+  /**
+   * Check that a provider has everything the sync loop needs.
+   * @param {SampleProvider} provider - Provider definition.
+   * @throws {Error} If a required field is missing or invalid.
+   */
+  validate(provider) {
+    if (!provider || typeof provider !== 'object') {
+      throw new Error('Sample provider must be an object');
+    }
+
+    const name = provider.id || '(unnamed)';
+    for (const field of ['id', 'group', 'scope', 'syncLogKey']) {
+      if (typeof provider[field] !== 'string' || !provider[field]) {
+        throw new Error(`Sample provider ${name} is missing "${field}"`);
+      }
+    }
+    if (typeof provider.cost !== 'number' || provider.cost < 0) {
+      throw new Error(`Sample provider ${name} needs a non-negative "cost"`);
+    }
+    if (!CURSOR_KINDS.includes(provider.cursor)) {
+      throw new Error(`Sample provider ${name} has an unknown cursor "${provider.cursor}"`);
+    }
+    for (const field of ['endpoint', 'process']) {
+      if (typeof provider[field] !== 'function') {
+        throw new Error(`Sample provider ${name} is missing the "${field}" function`);
+      }
+    }
+    if (provider.save !== undefined && typeof provider.save !== 'function') {
+      throw new Error(`Sample provider ${name} has a "save" that is not a function`);
+    }
+    if (provider.cursorData !== undefined && typeof provider.cursorData !== 'function') {
+      throw new Error(`Sample provider ${name} has a "cursorData" that is not a function`);
+    }
+    if (provider.lastActiveTime !== undefined && typeof provider.lastActiveTime !== 'function') {
+      throw new Error(`Sample provider ${name} has a "lastActiveTime" that is not a function`);
+    }
+  }
+
+  /**
+   * Get a provider by id.
+   * @param {string} id - Provider id.
+   * @returns {SampleProvider|undefined} The provider, if registered.
+   */
+  get(id) {
+    return this.providers.get(id);
+  }
+
+  /**
+   * Get all providers in registration order.
+   * @returns {SampleProvider[]} Registered providers.
+   */
+  getAll() {
+    return [...this.providers.values()];
+  }
+
+  /**
+   * Get the sample type groups that can be requested.
+   * @returns {string[]} Unique group names.
+   */
+  getGroups() {
+    return [...new Set(this.getAll().map(provider => provider.group))];
+  }
+
+  /**
+   * Get the providers to run for a sync request.
+   * @param {string[]|null} sampleTypes - Requested groups, or null for all.
+   * @param {string[]} scopes - Granted Fitbit scopes.
+   * @returns {SampleProvider[]} Providers that are requested and authorized.
+   */
+  select(sampleTypes, scopes) {
+    return this.getAll().filter(provider =>
+      (!sampleTypes || sampleTypes.includes(provider.group)) && scopes.includes(provider.scope)
+    );
+  }
+
+  /**
+   * Get the groups to sync when a Fitbit subscription collection changes.
+   * @param {string} collection - Fitbit collection (activities, sleep, body).
+   * @returns {string[]} Groups with at least one provider in the collection.
+   */
+  getGroupsForCollection(collection) {
+    const groups = this.getAll()
+      .filter(provider => provider.collection === collection)
+      .map(provider => provider.group);
+    return [...new Set(groups)];
+  }
+
+  /**
+   * Import provider modules and register their default exports (a provider or an array of providers).
+   * @param {string[]} specifiers - Module paths (relative to `baseDir`) or package names.
+   * @param {string} baseDir - Directory relative paths are resolved against.
+   * @returns {Promise<string[]>} Ids of the providers registered.
+   * @throws {Error} If a module cannot be loaded or exports an invalid provider.
+   */
+  async loadModules(specifiers, baseDir) {
+    const registered = [];
+
+    for (const specifier of specifiers) {
+      const isPath = specifier.startsWith('.') || path.isAbsolute(specifier);
+      const url = isPath ? pathToFileURL(path.resolve(baseDir, specifier)).href : specifier;
+      const module = await import(url);
+      const exported = module.default;
+      const providers = Array.isArray(exported) ? exported : [exported];
+
+      for (const provider of providers) {
+        this.register(provider);
+        registered.push(provider.id);
+      }
+    }
+
+    return registered;
+  }
+}
+
+export default ProviderRegistry;
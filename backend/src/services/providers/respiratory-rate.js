@@ -0,0 +1,38 @@
+/**
+ * Nightly breathing rate.
+ * @module backend/services/providers/respiratory-rate
+ */
+
+/**
+ * Process breathing rate summaries into respiratory rate samples.
+ * @param {object[]} readings - Fitbit breathing rate summaries.
+ * @returns {object[]} Array of respiratory rate sample objects.
+ */
+export function processRespiratoryRateData(readings) {
+  const samples = [];
+
+  for (const reading of readings) {
+    if (reading.value && reading.value.breathingRate) {
+      samples.push({
+        type: 'respiratoryRate',
+        value: reading.value.breathingRate,
+        unit: 'count/min',
+        datetime: reading.dateTime
+      });
+    }
+  }
+
+  return samples;
+}
+
+export default {
+  id: 'respiratoryRate',
+  group: 'other',
+  scope: 'respiratory_rate',
+  syncLogKey: 'respiratory_rate',
+  cursor: 'daily',
+  cost: 1,
+  optional: true,
+  endpoint: ({ dateStr }) => `/1/user/-/br/date/${dateStr}.json`,
+  process: data => processRespiratoryRateData(data.br || [])
+};
@@ -0,0 +1,106 @@
+/**
+ * Sleep stages and sessions from the nightly sleep log.
+ * @module backend/services/providers/sleep
+ */
+
+/**
+ * Process sleep logs into sleep stage samples, each timestamped at the end of its stage.
+ * @param {object[]} sleepLogs - Fitbit sleep log entries.
+ * @returns {object[]} Array of sleep analysis sample objects.
+ */
+export function processSleepData(sleepLogs) {
+  const samples = [];
+
+  for (const sleepLog of sleepLogs) {
+    if (sleepLog.levels && sleepLog.levels.data) {
+      // Process main sleep stages
+      for (const stage of sleepLog.levels.data) {
+        samples.push({
+          type: 'sleepAnalysis',
+          value: stage.level, // 'awake', 'light', 'deep', 'rem'
+          metadata: { seconds: stage.seconds, logId: sleepLog.logId },
+          datetime: new Date(new Date(stage.dateTime).getTime() + (stage.seconds * 1000)).toISOString()
+        });
+      }
+
+      // Process short wake periods (override sleep stages)
+      if (sleepLog.levels.shortData) {
+        for (const shortWake of sleepLog.levels.shortData) {
+          if (shortWake.level === 'wake') {
+            samples.push({
+              type: 'sleepAnalysis',
+              value: 'awake',
+              metadata: { seconds: shortWake.seconds, logId: sleepLog.logId, short: true },
+              datetime: new Date(new Date(shortWake.dateTime).getTime() + (shortWake.seconds * 1000)).toISOString()
+            });
+          }
+        }
+      }
+    }
+  }
+
+  return samples;
+}
+
+/**
+ * Convert a Fitbit local timestamp (no offset) to an ISO timestamp.
+ * @param {string} localTime - Local time such as '2024-01-01T23:10:30.000'.
+ * @param {number} [offsetSeconds=0] - Seconds to add.
+ * @returns {string} ISO timestamp.
+ */
+function toISOTime(localTime, offsetSeconds = 0) {
+  return new Date(new Date(localTime).getTime() + (offsetSeconds * 1000)).toISOString();
+}
+
+/**
+ * Process sleep logs into sessions with their stage intervals and summary minutes.
+ * Short wake periods are kept as their own intervals, flagged `is_short`, as they overlap the main stages.
+ * @param {object[]} sleepLogs - Fitbit sleep log entries.
+ * @returns {object[]} Sessions for the sleep session repository.
+ */
+export function processSleepSessions(sleepLogs) {
+  return sleepLogs.map(sleepLog => {
+    const levels = sleepLog.levels || {};
+    const stages = [
+      ...(levels.data || []).map(stage => ({ ...stage, is_short: false })),
+      ...(levels.shortData || []).map(stage => ({ ...stage, is_short: true }))
+    ].map(stage => ({
+      level: stage.level,
+      start_time: toISOTime(stage.dateTime),
+      end_time: toISOTime(stage.dateTime, stage.seconds),
+      seconds: stage.seconds,
+      is_short: stage.is_short
+    }));
+
+    return {
+      log_id: String(sleepLog.logId),
+      date_of_sleep: sleepLog.dateOfSleep,
+      start_time: toISOTime(sleepLog.startTime),
+      end_time: toISOTime(sleepLog.endTime),
+      duration_ms: sleepLog.duration,
+      minutes_asleep: sleepLog.minutesAsleep,
+      minutes_awake: sleepLog.minutesAwake,
+      time_in_bed: sleepLog.timeInBed,
+      efficiency: sleepLog.efficiency,
+      is_main_sleep: sleepLog.isMainSleep,
+      log_type: sleepLog.type, // 'stages' or 'classic'
+      summary: levels.summary || {},
+      stages
+    };
+  });
+}
+
+export default {
+  id: 'sleep',
+  group: 'sleep',
+  scope: 'sleep',
+  collection: 'sleep',
+  syncLogKey: 'sleep',
+  cursor: 'daily',
+  cost: 1,
+  defaultDayOffset: -1, // Without a date, sync the previous night
+  endpoint: ({ dateStr }) => `/1.2/user/-/sleep/date/${dateStr}.json`,
+  process: data => processSleepData(data.sleep || []),
+  save: (dataService, data, context) =>
+    dataService.sleep_session_repository.store_sessions(context.userId, processSleepSessions(data.sleep || []))
+};
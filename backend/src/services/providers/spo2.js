@@ -0,0 +1,38 @@
+/**
+ * Daily average blood oxygen saturation.
+ * @module backend/services/providers/spo2
+ */
+
+/**
+ * Process SpO2 summaries into oxygen saturation samples.
+ * @param {object[]} readings - Fitbit SpO2 summaries.
+ * @returns {object[]} Array of oxygen saturation sample objects.
+ */
+export function processSpO2Data(readings) {
+  const samples = [];
+
+  for (const reading of readings) {
+    if (reading.value && reading.value.avg) {
+      samples.push({
+        type: 'oxygenSaturation',
+        value: reading.value.avg,
+        unit: '%',
+        datetime: reading.dateTime
+      });
+    }
+  }
+
+  return samples;
+}
+
+export default {
+  id: 'spo2',
+  group: 'other',
+  scope: 'oxygen_saturation',
+  syncLogKey: 'spo2',
+  cursor: 'daily',
+  cost: 1,
+  optional: true,
+  endpoint: ({ dateStr }) => `/1/user/-/spo2/date/${dateStr}.json`,
+  process: data => processSpO2Data(data.value || [])
+};
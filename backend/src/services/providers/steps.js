@@ -0,0 +1,109 @@
+/**
+ * Intraday steps, stored as activity blocks.
+ * @module backend/services/providers/steps
+ */
+import { getIntradayEndpoint, getLastActiveTime } from './intraday.js';
+
+/**
+ * Process intraday steps data into sample blocks.
+ * @param {object[]} dataset - Fitbit steps dataset.
+ * @param {string} dateStr - Date string (YYYY-MM-DD).
+ * @returns {object[]} Array of step sample objects.
+ */
+export function processStepsData(dataset, dateStr) {
+  const samples = [];
+  let currentBlock = null;
+  const maxBlockMinutes = 15;
+  const inactiveThresholdMinutes = 10;
+  
+  for (let i = 0; i < dataset.length; i++) {
+    const dataPoint = dataset[i];
+    const steps = parseInt(dataPoint.value);
+    const timestamp = new Date(`${dateStr}T${dataPoint.time}`);
+    
+    if (steps > 0) {
+      if (!currentBlock) {
+        // Start new block
+        currentBlock = {
+          startTime: timestamp,
+          endTime: timestamp,
+          totalSteps: steps,
+          minutes: 1
+        };
+      } else {
+        // Add to current block
+        currentBlock.endTime = timestamp;
+        currentBlock.totalSteps += steps;
+        currentBlock.minutes++;
+        
+        // Check if block should be split (max 15 minutes)
+        if (currentBlock.minutes >= maxBlockMinutes) {
+          samples.push({
+            type: 'steps',
+            value: currentBlock.totalSteps,
+            unit: 'count',
+            datetime: currentBlock.endTime.toISOString()
+          });
+          
+          // Start new block
+          currentBlock = {
+            startTime: timestamp,
+            endTime: timestamp,
+            totalSteps: steps,
+            minutes: 1
+          };
+        }
+      }
+    } else {
+      // Zero steps - check if we should end current block
+      if (currentBlock) {
+        // Count consecutive zero minutes
+        let zeroCount = 0;
+
+        for (let j = i; j < Math.min(i + inactiveThresholdMinutes, dataset.length); j++) {
+          if (parseInt(dataset[j].value) === 0) {
+            zeroCount++;
+          } else {
+            break;
+          }
+        }
+        
+        // End block if 10+ minutes of inactivity ahead
+        if (zeroCount >= inactiveThresholdMinutes) {
+          samples.push({
+            type: 'steps',
+            value: currentBlock.totalSteps,
+            unit: 'count',
+            datetime: currentBlock.endTime.toISOString()
+          });
+          currentBlock = null;
+        }
+      }
+    }
+  }
+  
+  // Don't forget the last block
+  if (currentBlock) {
+    samples.push({
+      type: 'steps',
+      value: currentBlock.totalSteps,
+      unit: 'count',
+      datetime: currentBlock.endTime.toISOString()
+    });
+  }
+  
+  return samples;
+}
+
+export default {
+  id: 'steps',
+  group: 'activity',
+  scope: 'activity',
+  collection: 'activities',
+  syncLogKey: 'steps_intraday',
+  cursor: 'intraday',
+  cost: 1,
+  endpoint: ({ dateStr, startTime }) => getIntradayEndpoint('steps', dateStr, startTime),
+  process: (data, { dateStr }) => processStepsData(data['activities-steps-intraday']?.dataset || [], dateStr),
+  lastActiveTime: data => getLastActiveTime(data['activities-steps-intraday']?.dataset || [], steps => steps > 0)
+};
@@ -0,0 +1,43 @@
+/**
+ * Nightly skin temperature.
+ * @module backend/services/providers/temperature
+ */
+
+/**
+ * Process skin temperature summaries into body temperature samples.
+ * Fitbit reports temperature relative to the user's baseline, so it is offset from 98.6°F.
+ * @param {object[]} readings - Fitbit skin temperature summaries.
+ * @returns {object[]} Array of body temperature sample objects.
+ */
+export function processTemperatureData(readings) {
+  const samples = [];
+
+  for (const reading of readings) {
+    if (reading.value && reading.value.nightlyRelative) {
+      // Convert relative temperature to approximate absolute value
+      const baselineTemp = 98.6; // Fahrenheit baseline
+      const absoluteTemp = baselineTemp + reading.value.nightlyRelative;
+
+      samples.push({
+        type: 'bodyTemperature',
+        value: absoluteTemp,
+        unit: 'degF',
+        datetime: reading.dateTime
+      });
+    }
+  }
+
+  return samples;
+}
+
+export default {
+  id: 'temperature',
+  group: 'other',
+  scope: 'temperature',
+  syncLogKey: 'temperature',
+  cursor: 'daily',
+  cost: 1,
+  optional: true,
+  endpoint: ({ dateStr }) => `/1/user/-/temp/skin/date/${dateStr}.json`,
+  process: data => processTemperatureData(data.tempSkin || [])
+};
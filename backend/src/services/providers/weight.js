@@ -0,0 +1,41 @@
+/**
+ * Weight and BMI from the body weight log (e.g. an Aria scale).
+ * @module backend/services/providers/weight
+ */
+
+/**
+ * Process weight log entries into body mass and BMI samples at their logged time.
+ * Each sample carries the log id, so an edited log updates its samples instead of adding new ones.
+ * @param {object[]} logs - Fitbit weight log entries.
+ * @returns {object[]} Array of body mass and BMI sample objects.
+ */
+export function processWeightData(logs) {
+  const samples = [];
+
+  for (const log of logs) {
+    const datetime = new Date(`${log.date}T${log.time || '00:00:00'}`).toISOString();
+    const source_id = String(log.logId);
+    const metadata = log.source ? { source: log.source } : null;
+
+    if (log.weight) {
+      samples.push({ type: 'bodyMass', value: log.weight, unit: 'lb', metadata, datetime, source_id });
+    }
+    if (log.bmi) {
+      samples.push({ type: 'bodyMassIndex', value: log.bmi, unit: 'count', metadata, datetime, source_id });
+    }
+  }
+
+  return samples;
+}
+
+export default {
+  id: 'weight',
+  group: 'body',
+  scope: 'weight',
+  collection: 'body',
+  syncLogKey: 'weight',
+  cursor: 'daily',
+  cost: 1,
+  endpoint: ({ dateStr }) => `/1/user/-/body/log/weight/date/${dateStr}.json`,
+  process: data => processWeightData(data.weight || [])
+};
@@ -0,0 +1,223 @@
+/**
+ * Per-user hourly Fitbit API request budget.
+ * @module backend/services/rate-limit-budget
+ */
+import { RateLimitError } from '../errors.js';
+
+const DEFAULT_LIMIT = 150;
+const DEFAULT_RESERVE = 20;
+const RESET_BUFFER_MS = 2000;
+
+/**
+ * Tracks the Fitbit hourly rate limit for every API request made by the app for one user.
+ *
+ * State comes from the `fitbit-rate-limit-*` response headers. Part of the budget is
+ * held back as a reserve for interactive (manual) syncs; background callers (scheduler,
+ * backfill) are queued until the window resets instead of failing.
+ */
+class RateLimitBudget {
+  /**
+   * Create a RateLimitBudget instance.
+   * @param {object} dataService - DataService instance, used to restore the last known state.
+   * @param {object} [options] - Budget options.
+   * @param {number} [options.userId] - User whose requests the budget covers.
+   * @param {number} [options.reserve] - Requests held back for interactive syncs.
+   */
+  constructor(dataService, options = {}) {
+    this.dataService = dataService;
+    this.userId = options.userId ?? null;
+    this.reserve = options.reserve ?? this.loadReserve();
+    this.limit = DEFAULT_LIMIT;
+    this.remaining = DEFAULT_LIMIT;
+    this.resetAt = null;
+    this.hasHeaderData = false;
+    this.loaded = false;
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * Load the interactive reserve from the environment.
+   * @returns {number} Number of requests held back for interactive syncs.
+   */
+  loadReserve() {
+    const reserve = parseInt(process.env.FITBIT_RATE_LIMIT_RESERVE);
+    return Number.isInteger(reserve) && reserve >= 0 ? reserve : DEFAULT_RESERVE;
+  }
+
+  /**
+   * Restore the last known budget from the sync log so a restart does not forget usage.
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    const status = await this.dataService.sync_log_repository.get_rate_limit_status(this.userId);
+    this.remaining = status.rate_limit_remaining;
+    this.resetAt = status.rate_limit_reset > 0 ? Date.now() + (status.rate_limit_reset * 1000) : null;
+  }
+
+  /**
+   * Refill the budget if the current window has reset.
+   * @private
+   */
+  _rollover() {
+    if (this.resetAt && Date.now() >= this.resetAt) {
+      this.remaining = this.limit;
+      this.resetAt = null;
+      this.hasHeaderData = false;
+    }
+  }
+
+  /**
+   * Number of requests a caller of the given priority may still make this window.
+   * @param {string} [priority='background'] - 'interactive' or 'background'.
+   * @returns {number} Requests available.
+   */
+  available(priority = 'background') {
+    this._rollover();
+    const held = priority === 'interactive' ? 0 : this.reserve;
+    return Math.max(0, this.remaining - held);
+  }
+
+  /**
+   * Check whether a number of requests fits in the budget.
+   * @param {number} count - Number of requests needed.
+   * @param {string} [priority='background'] - 'interactive' or 'background'.
+   * @returns {boolean} Whether the requests fit.
+   */
+  canAfford(count, priority = 'background') {
+    return this.available(priority) >= count;
+  }
+
+  /**
+   * Reserve one request from the budget.
+   * Interactive callers get an error when the budget is exhausted; background callers wait.
+   * @param {string} [priority='background'] - 'interactive' or 'background'.
+   * @returns {Promise<void>} Resolves when the request may be made.
+   * @throws {RateLimitError} If an interactive request cannot be made before the reset.
+   */
+  async acquire(priority = 'background') {
+    await this.load();
+
+    // Interactive requests jump ahead of queued background requests
+    const queueClear = priority === 'interactive' || this.queue.length === 0;
+    if (queueClear && this.available(priority) > 0) {
+      this.remaining--;
+      return;
+    }
+
+    if (priority === 'interactive') {
+      const status = this.getStatus();
+      throw new RateLimitError(`Rate limit exceeded: ${status.used}/${status.limit} requests used. Resets at ${new Date(status.resetAt).toLocaleString()}`, {
+        used: status.used,
+        limit: status.limit,
+        remaining: status.remaining,
+        resetAt: status.resetAt
+      });
+    }
+
+    console.log(`Rate limit budget low (${this.remaining}/${this.limit}, reserve ${this.reserve}), queueing background request until ${new Date(this.getResetTime()).toLocaleString()}`);
+    return new Promise(resolve => {
+      this.queue.push(resolve);
+      this._scheduleDrain();
+    });
+  }
+
+  /**
+   * Update the budget from Fitbit rate limit response headers.
+   * @param {object} headers - Response headers.
+   * @returns {object} Parsed rate limit info.
+   */
+  record(headers = {}) {
+    const limit = parseInt(headers['fitbit-rate-limit-limit']);
+    const remaining = parseInt(headers['fitbit-rate-limit-remaining']);
+    const resetIn = parseInt(headers['fitbit-rate-limit-reset']);
+
+    if (Number.isInteger(limit)) this.limit = limit;
+    if (Number.isInteger(remaining)) this.remaining = remaining;
+    if (Number.isInteger(resetIn)) this.resetAt = Date.now() + (resetIn * 1000);
+    this.hasHeaderData = Number.isInteger(remaining);
+
+    this._drain();
+    return this.getStatus();
+  }
+
+  /**
+   * Record a 429 response: the window is spent until it resets.
+   * @param {object} headers - Response headers.
+   * @returns {object} Parsed rate limit info.
+   */
+  exhaust(headers = {}) {
+    this.record(headers);
+    this.remaining = 0;
+    return this.getStatus();
+  }
+
+  /**
+   * Time at which the current window resets (top of the next hour if unknown).
+   * @returns {number} Epoch milliseconds.
+   */
+  getResetTime() {
+    if (this.resetAt) {
+      return this.resetAt;
+    }
+    const nextHour = new Date();
+    nextHour.setHours(nextHour.getHours() + 1, 0, 0, 0);
+    return nextHour.getTime();
+  }
+
+  /**
+   * Current budget snapshot.
+   * @returns {{limit: number, remaining: number, used: number, reserve: number, resetIn: number, resetAt: number, queued: number, isStale: boolean}}
+   */
+  getStatus() {
+    this._rollover();
+    const resetAt = this.getResetTime();
+    return {
+      limit: this.limit,
+      remaining: this.remaining,
+      used: this.limit - this.remaining,
+      reserve: this.reserve,
+      resetIn: Math.max(0, Math.ceil((resetAt - Date.now()) / 1000)),
+      resetAt,
+      queued: this.queue.length,
+      isStale: !this.hasHeaderData
+    };
+  }
+
+  /**
+   * Release queued background requests that now fit in the budget.
+   * @private
+   */
+  _drain() {
+    while (this.queue.length > 0 && this.available('background') > 0) {
+      this.remaining--;
+      this.queue.shift()();
+    }
+    if (this.queue.length > 0) {
+      this._scheduleDrain();
+    }
+  }
+
+  /**
+   * Wake up after the window resets to release queued requests.
+   * @private
+   */
+  _scheduleDrain() {
+    if (this.timer) return;
+    const delay = Math.max(0, this.getResetTime() - Date.now()) + RESET_BUFFER_MS;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      if (!this.resetAt || Date.now() >= this.resetAt) {
+        // Window is over even if no headers told us so
+        this.resetAt = Date.now() - 1;
+      }
+      this._drain();
+    }, delay);
+    this.timer.unref?.();
+  }
+}
+
+export default RateLimitBudget;
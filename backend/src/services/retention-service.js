@@ -0,0 +1,195 @@
+/**
+ * Service applying per-type sample retention policies.
+ * @module backend/services/retention-service
+ */
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createGzip } from 'zlib';
+import { fileURLToPath } from 'url';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const ARCHIVE_BATCH_SIZE = 1000;
+const DEFAULT_POLICY_TYPE = '*';
+const DEFAULT_ARCHIVE_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../archive');
+
+/**
+ * Deletes samples once they are older than their type's retention policy, measured from when the
+ * sample was taken rather than when it was stored, so backfilled history is kept as long as
+ * recent data. Types without a policy use the `*` default. Policies with `archive` set write the
+ * samples to a gzipped NDJSON file before deleting them.
+ * Each user sets policies for their own samples only. Server defaults, stored without a user,
+ * apply to the types a user has not set.
+ */
+class RetentionService {
+  /**
+   * Create a RetentionService instance.
+   * @param {object} dataService - DataService instance providing repositories.
+   * @param {object} [options] - Service options.
+   * @param {string} [options.archiveDir] - Directory for archive files (default: RETENTION_ARCHIVE_DIR or backend/archive).
+   */
+  constructor(dataService, { archiveDir = process.env.RETENTION_ARCHIVE_DIR || DEFAULT_ARCHIVE_DIR } = {}) {
+    this.dataService = dataService;
+    this.archiveDir = archiveDir;
+  }
+
+  /**
+   * Get the policies that apply to a user, including the default.
+   * @param {number} userId - User id.
+   * @returns {Promise<object[]>} Policies, `*` first; `is_default` marks server defaults.
+   */
+  async getPolicies(userId) {
+    return this.dataService.retention_policy_repository.get_policies(userId);
+  }
+
+  /**
+   * Get the policy that applies to each of a user's sample types.
+   * @param {number} userId - User id.
+   * @returns {Promise<object[]>} One entry per sample type: `{ sample_type, policy_type, keep_days, archive }`,
+   *   where `policy_type` is the type itself or `*` if the default applies.
+   */
+  async getEffectivePolicies(userId) {
+    const policies = await this.getPolicies(userId);
+    const byType = new Map(policies.map(policy => [policy.sample_type, policy]));
+    const fallback = byType.get(DEFAULT_POLICY_TYPE) || { sample_type: DEFAULT_POLICY_TYPE, keep_days: null, archive: false };
+    const types = await this.dataService.sample_repository.get_sample_types(userId);
+
+    return types.map(type => {
+      const policy = byType.get(type) || fallback;
+      return {
+        sample_type: type,
+        policy_type: policy.sample_type,
+        keep_days: policy.keep_days,
+        archive: policy.archive
+      };
+    });
+  }
+
+  /**
+   * Create or replace a user's policy for a sample type.
+   * @param {number} userId - User id.
+   * @param {string} sampleType - Sample type, or `*` for the user's default.
+   * @param {object} policy - Policy settings.
+   * @param {number|null} policy.keepDays - Days to keep, or null to keep forever.
+   * @param {boolean} [policy.archive=false] - Archive samples before deleting them.
+   * @returns {Promise<object>} The stored policy.
+   */
+  async setPolicy(userId, sampleType, { keepDays, archive = false }) {
+    const policy = await this.dataService.retention_policy_repository.upsert_policy(userId, sampleType, keepDays, archive);
+    console.log(`Retention policy of user ${userId} for ${sampleType}: ${keepDays === null ? 'keep forever' : `keep ${keepDays} days`}${archive ? ', archive first' : ''}`);
+    return policy;
+  }
+
+  /**
+   * Remove a user's policy for a sample type so the user's default, or the server default, applies again.
+   * @param {number} userId - User id.
+   * @param {string} sampleType - Sample type, or `*` to fall back to the server default.
+   * @returns {Promise<boolean>} True if a policy was removed; server defaults cannot be.
+   */
+  async deletePolicy(userId, sampleType) {
+    return this.dataService.retention_policy_repository.delete_policy(userId, sampleType);
+  }
+
+  /**
+   * Work out what a user's policies would delete now, without deleting anything.
+   * @param {number} userId - User id.
+   * @param {Date} [now=new Date()] - Time the cutoffs are measured from.
+   * @returns {Promise<object[]>} Sample types with something to delete: the effective policy plus
+   *   `cutoff` (ISO), `count` and `oldest` (earliest measurement time).
+   */
+  async preview(userId, now = new Date()) {
+    const preview = [];
+
+    for (const policy of await this.getEffectivePolicies(userId)) {
+      if (policy.keep_days === null) continue;
+
+      const cutoff = new Date(now.getTime() - policy.keep_days * MS_PER_DAY).toISOString();
+      const { count, oldest } = await this.dataService.sample_repository.count_samples_before(userId, policy.sample_type, cutoff);
+      if (count > 0) {
+        preview.push({ ...policy, cutoff, count, oldest });
+      }
+    }
+
+    return preview;
+  }
+
+  /**
+   * Apply every user's policies: archive where requested, then delete expired samples.
+   * A type whose archive fails is left untouched, and a user whose policies cannot be read is
+   * skipped; the other types and users are still processed.
+   * @param {Date} [now=new Date()] - Time the cutoffs are measured from.
+   * @returns {Promise<object[]>} One entry per user and sample type processed:
+   *   `{ user_id, sample_type, cutoff, deleted, archive_file, error }`.
+   */
+  async apply(now = new Date()) {
+    const results = [];
+
+    for (const user of await this.dataService.user_repository.get_users()) {
+      let items;
+      try {
+        items = await this.preview(user.id, now);
+      } catch (error) {
+        console.error(`Retention failed to list expired samples of user ${user.id}:`, error.message);
+        continue;
+      }
+
+      for (const item of items) {
+        const result = { user_id: user.id, sample_type: item.sample_type, cutoff: item.cutoff, deleted: 0, archive_file: null, error: null };
+        try {
+          let maxId = null;
+          if (item.archive) {
+            const archived = await this.archiveSamples(user.id, item.sample_type, item.cutoff, now);
+            result.archive_file = archived.file;
+            maxId = archived.maxId;
+          }
+          result.deleted = await this.dataService.sample_repository.delete_samples_before(user.id, item.sample_type, item.cutoff, maxId);
+        } catch (error) {
+          console.error(`Retention failed for ${item.sample_type} of user ${user.id}:`, error.message);
+          result.error = error.message;
+        }
+        results.push(result);
+      }
+    }
+
+    const deleted = results.reduce((sum, result) => sum + result.deleted, 0);
+    console.log(`Retention run deleted ${deleted} samples across ${results.length} sample types`);
+    return results;
+  }
+
+  /**
+   * Write a user's samples of one type measured before the cutoff to a gzipped NDJSON file.
+   * @param {number} userId - User id.
+   * @param {string} sampleType - Sample type.
+   * @param {string} cutoff - ISO timestamp; samples measured before it are archived.
+   * @param {Date} now - Time of the retention run, used in the file name.
+   * @returns {Promise<{file: string, count: number, maxId: number}>} Archive path, samples written and
+   *   the largest id written, so only archived samples are deleted.
+   */
+  async archiveSamples(userId, sampleType, cutoff, now) {
+    await fs.promises.mkdir(this.archiveDir, { recursive: true });
+    const safeType = sampleType.replace(/[^A-Za-z0-9_-]/g, '_');
+    const file = path.join(this.archiveDir, `user-${userId}-${safeType}-${now.toISOString().replace(/[:.]/g, '-')}.ndjson.gz`);
+    const sampleRepository = this.dataService.sample_repository;
+    let count = 0;
+    let maxId = 0;
+
+    async function* lines() {
+      while (true) {
+        const batch = await sampleRepository.get_samples_before(userId, sampleType, cutoff, maxId, ARCHIVE_BATCH_SIZE);
+        if (batch.length === 0) return;
+        for (const { id, value_kind, ...sample } of batch) {
+          maxId = id;
+          count++;
+          yield `${JSON.stringify(sample)}\n`;
+        }
+      }
+    }
+
+    await pipeline(Readable.from(lines()), createGzip(), fs.createWriteStream(file, { flags: 'wx' }));
+    console.log(`Archived ${count} ${sampleType} samples of user ${userId} to ${file}`);
+    return { file, count, maxId };
+  }
+}
+
+export default RetentionService;
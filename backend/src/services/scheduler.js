@@ -6,26 +6,55 @@ import { schedule } from 'node-cron';
 
 /**
  * Set up background sync and cleanup jobs using node-cron.
- * Schedules periodic data syncs and sample cleanup.
+ * Schedules periodic data syncs of every user with a connected Fitbit account, one user at a time,
+ * and a nightly retention run. Syncs run at background priority, so they
+ * wait for the rate limit to reset instead of failing; a run is skipped while the previous one
+ * is still waiting or syncing. When Fitbit subscriptions are enabled, webhook notifications drive
+ * syncs and polling drops to an hourly fallback.
  *
  * @param {object} params - Scheduler dependencies.
+ * @param {object} params.dataService - DataService instance listing the users to sync.
  * @param {object} params.fitbitService - FitbitService instance for data sync.
- * @param {object} params.dataService - DataService instance for repositories.
+ * @param {object} params.retentionService - RetentionService instance that deletes expired samples.
+ * @param {object} [params.subscriptionService] - SubscriptionService instance for push-based sync.
  */
-export default function setupBackgroundSync({ fitbitService, dataService }) {
-  schedule('*/5 8-20 * * *', async () => {
-    try {
-      await fitbitService.syncAllData();
-    } catch (error) {}
-  });
-  schedule('0 20-23,0-8 * * *', async () => {
+export default function setupBackgroundSync({ dataService, fitbitService, retentionService, subscriptionService }) {
+  let syncInProgress = false;
+
+  const runBackgroundSync = async () => {
+    if (syncInProgress) {
+      console.log('Previous background sync still running, skipping this run');
+      return;
+    }
+
+    syncInProgress = true;
     try {
-      await fitbitService.syncAllData();
-    } catch (error) {}
-  });
+      const users = await dataService.user_repository.get_users_with_tokens();
+      for (const user of users) {
+        try {
+          await fitbitService.syncAllData(null, null, { userId: user.id, priority: 'background' });
+        } catch (error) {
+          console.error(`Background sync failed for user ${user.id}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('Background sync failed to list users:', error.message);
+    } finally {
+      syncInProgress = false;
+    }
+  };
+
+  if (subscriptionService?.isEnabled()) {
+    schedule('0 * * * *', runBackgroundSync);
+  } else {
+    schedule('*/5 8-20 * * *', runBackgroundSync);
+    schedule('0 20-23,0-8 * * *', runBackgroundSync);
+  }
   schedule('0 3 * * *', async () => {
     try {
-      await dataService.sample_repository.cleanup_old_samples(30);
-    } catch (error) {}
+      await retentionService.apply();
+    } catch (error) {
+      console.error('Retention run failed:', error.message);
+    }
   });
 }
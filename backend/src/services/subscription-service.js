@@ -0,0 +1,219 @@
+/**
+ * Service for Fitbit Subscriptions API registration and push-based sync.
+ * @module backend/services/subscription-service
+ */
+
+/**
+ * Fitbit subscription collections. The sample types synced for each come from the
+ * `collection` declared by the registered providers.
+ */
+const COLLECTIONS = ['activities', 'sleep', 'body'];
+
+const SUBSCRIPTION_ID_PREFIX = 'fitbit-sync';
+
+/**
+ * Registers Fitbit subscriptions and turns webhook notifications into targeted syncs.
+ * Each user with a connected Fitbit account has their own subscriptions, and notifications are
+ * matched to the user by the Fitbit account they name (`ownerId`). Notifications are queued and
+ * synced one at a time at background priority, so a burst of notifications never competes with
+ * manual syncs for the rate limit budget.
+ */
+class SubscriptionService {
+  /**
+   * Create a SubscriptionService instance.
+   * @param {object} fitbitService - FitbitService instance used for API calls and syncs.
+   */
+  constructor(fitbitService) {
+    this.fitbitService = fitbitService;
+    this.verificationCode = process.env.FITBIT_SUBSCRIBER_VERIFY_CODE || null;
+    this.subscriberId = process.env.FITBIT_SUBSCRIBER_ID || null;
+    this.queue = [];
+    this.queuedKeys = new Set();
+    this.processing = false;
+  }
+
+  /**
+   * Whether push-based sync is configured.
+   * @returns {boolean} True if a subscriber verification code is set.
+   */
+  isEnabled() {
+    return Boolean(this.verificationCode);
+  }
+
+  /**
+   * Register every connected user's subscriptions on startup when push-based sync is configured.
+   * Failures are logged so the server still starts; the scheduler keeps polling as a fallback.
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    try {
+      const users = await this.fitbitService.dataService.user_repository.get_users_with_tokens();
+      for (const user of users) {
+        try {
+          await this.registerSubscriptions({ userId: user.id });
+        } catch (error) {
+          console.error(`Failed to register Fitbit subscriptions for user ${user.id}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('Failed to register Fitbit subscriptions:', error.message);
+    }
+  }
+
+  /**
+   * Check the verification code Fitbit sends when a subscriber endpoint is added.
+   * @param {string} code - Code from the `verify` query parameter.
+   * @returns {boolean} True if the code matches the configured one.
+   */
+  verify(code) {
+    return this.isEnabled() && code === this.verificationCode;
+  }
+
+  /**
+   * Build the API path for a user's subscription in a collection.
+   * @param {string} collection - Fitbit collection (activities, sleep, body).
+   * @param {number} userId - User the subscription belongs to.
+   * @returns {string} Fitbit API endpoint.
+   */
+  getSubscriptionEndpoint(collection, userId) {
+    return `/1/user/-/${collection}/apiSubscriptions/${SUBSCRIPTION_ID_PREFIX}-${userId}-${collection}.json`;
+  }
+
+  /**
+   * Create a user's subscription for every supported collection. Existing subscriptions are left as is.
+   * @param {object} options - Request options passed to makeAPIRequest (userId, priority).
+   * @returns {Promise<object[]>} Subscription details returned by Fitbit.
+   */
+  async registerSubscriptions(options) {
+    const headers = this.subscriberId ? { 'X-Fitbit-Subscriber-Id': this.subscriberId } : {};
+    const subscriptions = [];
+
+    for (const collection of COLLECTIONS) {
+      const response = await this.fitbitService.makeAPIRequest(
+        this.getSubscriptionEndpoint(collection, options.userId),
+        {},
+        { ...options, method: 'post', headers }
+      );
+      console.log(`Fitbit subscription registered for ${collection} (user ${options.userId})`);
+      subscriptions.push(response.data);
+    }
+
+    return subscriptions;
+  }
+
+  /**
+   * List the subscriptions Fitbit has for a user.
+   * @param {object} options - Request options passed to makeAPIRequest (userId, priority).
+   * @returns {Promise<object[]>} Subscriptions across all supported collections.
+   */
+  async listSubscriptions(options) {
+    const subscriptions = [];
+
+    for (const collection of COLLECTIONS) {
+      const response = await this.fitbitService.makeAPIRequest(
+        `/1/user/-/${collection}/apiSubscriptions.json`,
+        {},
+        options
+      );
+      subscriptions.push(...(response.data.apiSubscriptions || []));
+    }
+
+    return subscriptions;
+  }
+
+  /**
+   * Queue syncs for a batch of Fitbit notifications.
+   * @param {object[]} notifications - Notification objects ({ collectionType, date, ownerId, subscriptionId }).
+   * @returns {number} Number of syncs queued.
+   */
+  handleNotifications(notifications) {
+    if (!Array.isArray(notifications)) {
+      console.warn('Ignoring Fitbit notification payload that is not an array');
+      return 0;
+    }
+
+    let queued = 0;
+    for (const notification of notifications) {
+      const { collectionType, date, ownerId } = notification || {};
+      if (!COLLECTIONS.includes(collectionType) || !/^\d{4}-\d{2}-\d{2}$/.test(date || '') || !ownerId) {
+        console.warn('Ignoring unsupported Fitbit notification:', notification);
+        continue;
+      }
+
+      const sampleTypes = this.fitbitService.providers.getGroupsForCollection(collectionType);
+      if (sampleTypes.length === 0) {
+        console.log(`No sync available for Fitbit ${collectionType} notification on ${date}`);
+        continue;
+      }
+
+      if (this.enqueue(ownerId, date, sampleTypes, collectionType)) {
+        queued++;
+      }
+    }
+
+    if (queued > 0) {
+      setImmediate(() => this.processQueue());
+    }
+    return queued;
+  }
+
+  /**
+   * Add a targeted sync to the queue unless the same sync is already waiting.
+   * @param {string} ownerId - Fitbit user id of the account that changed.
+   * @param {string} date - Date to sync (YYYY-MM-DD).
+   * @param {string[]} sampleTypes - Sample types to sync.
+   * @param {string} collectionType - Fitbit collection that changed.
+   * @returns {boolean} True if the sync was queued.
+   */
+  enqueue(ownerId, date, sampleTypes, collectionType) {
+    const key = `${ownerId}:${date}:${collectionType}`;
+    if (this.queuedKeys.has(key)) {
+      return false;
+    }
+
+    this.queuedKeys.add(key);
+    this.queue.push({ key, ownerId, date, sampleTypes, collectionType });
+    console.log(`Queued ${collectionType} sync for ${ownerId} on ${date} from Fitbit notification`);
+    return true;
+  }
+
+  /**
+   * Run queued syncs one at a time, each for the user that connected the notification's Fitbit account.
+   * @returns {Promise<void>}
+   */
+  async processQueue() {
+    if (this.processing) {
+      return;
+    }
+
+    this.processing = true;
+    try {
+      while (this.queue.length > 0) {
+        const item = this.queue.shift();
+        this.queuedKeys.delete(item.key);
+
+        // A finished day is already marked complete, so changes to it need a full refetch
+        const force = item.date < this.fitbitService.getLocalDateString();
+
+        try {
+          const userId = await this.fitbitService.dataService.token_repository.get_user_id_for_fitbit_user(item.ownerId);
+          if (!userId) {
+            console.warn(`Ignoring Fitbit notification for ${item.ownerId}: no user has connected that account`);
+            continue;
+          }
+          await this.fitbitService.syncAllData(item.date, item.sampleTypes, { userId, priority: 'background', force });
+        } catch (error) {
+          console.error(`Notification sync for ${item.collectionType} on ${item.date} failed:`, error.message);
+        }
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+}
+
+export default SubscriptionService;
@@ -0,0 +1,98 @@
+/**
+ * Service for per-client, exactly-once sample delivery.
+ * @module backend/services/sync-cursor-service
+ */
+import { ValidationError } from '../errors.js';
+
+const DEFAULT_BATCH_SIZE = 1000;
+
+/**
+ * Hands out samples to each client in insertion order (the samples' sync sequence) rather than
+ * by measurement time, so backfilled and corrected samples are delivered too, along with
+ * tombstones for samples that were deleted or replaced.
+ * A client receives everything after its acknowledged cursor, one page at a time, and keeps
+ * receiving the same page until it acknowledges the page's cursor. A client that acknowledges
+ * after storing a page therefore gets every new or changed sample exactly once.
+ * Clients are scoped to a user and only receive that user's samples.
+ */
+class SyncCursorService {
+  /**
+   * Create a SyncCursorService instance.
+   * @param {object} dataService - DataService instance providing repositories.
+   */
+  constructor(dataService) {
+    this.dataService = dataService;
+  }
+
+  /**
+   * Get the next page of changes for a client. New clients start at the beginning.
+   * Samples and tombstones share one sequence, so a page holds the first `limit` of either.
+   * @param {number} userId - User whose samples the client mirrors.
+   * @param {string} clientId - Client identifier.
+   * @param {number} [limit=1000] - Maximum samples plus tombstones in the page.
+   * @returns {Promise<{samples: object[], deleted: object[], cursor: number, hasMore: boolean}>} Samples
+   *   and tombstones (deleted or replaced samples) after the client's acknowledged cursor, the cursor
+   *   to acknowledge once they are applied, and whether more are waiting.
+   */
+  async getBatch(userId, clientId, limit = DEFAULT_BATCH_SIZE) {
+    const client = await this.dataService.sync_client_repository.get_or_create_client(userId, clientId);
+    const sampleRepository = this.dataService.sample_repository;
+    const samples = await sampleRepository.get_samples_after_sequence(userId, client.acked_seq, limit + 1);
+    const tombstones = await sampleRepository.get_tombstones_after_sequence(userId, client.acked_seq, limit + 1);
+
+    const page = [...samples, ...tombstones]
+      .sort((a, b) => a.sequence - b.sequence)
+      .slice(0, limit);
+    const cursor = page.length > 0 ? page[page.length - 1].sequence : client.acked_seq;
+
+    await this.dataService.sync_client_repository.record_delivery(userId, clientId, cursor);
+    return {
+      samples: samples.filter(sample => sample.sequence <= cursor),
+      deleted: tombstones.filter(tombstone => tombstone.sequence <= cursor),
+      cursor,
+      hasMore: samples.length + tombstones.length > page.length
+    };
+  }
+
+  /**
+   * Acknowledge that a client stored everything up to a cursor.
+   * @param {number} userId - User whose samples the client mirrors.
+   * @param {string} clientId - Client identifier.
+   * @param {number} cursor - Cursor returned with the page the client stored.
+   * @returns {Promise<object>} The client's updated cursor.
+   * @throws {ValidationError} If the client has never synced or the cursor is past what it was sent.
+   */
+  async acknowledge(userId, clientId, cursor) {
+    const client = await this.dataService.sync_client_repository.get_client(userId, clientId);
+    if (!client) {
+      throw new ValidationError(`Sync client ${clientId} has not synced yet`, 'clientId');
+    }
+    if (cursor > client.delivered_seq) {
+      throw new ValidationError(`cursor ${cursor} is past the last sample delivered to ${clientId} (${client.delivered_seq})`, 'cursor');
+    }
+
+    await this.dataService.sync_client_repository.acknowledge(userId, clientId, cursor);
+    return this.dataService.sync_client_repository.get_client(userId, clientId);
+  }
+
+  /**
+   * Get all of a user's client cursors.
+   * @param {number} userId - User id.
+   * @returns {Promise<object[]>} Clients, most recently seen first.
+   */
+  async getClients(userId) {
+    return this.dataService.sync_client_repository.get_clients(userId);
+  }
+
+  /**
+   * Forget a client's cursor, so its next sync delivers every sample again.
+   * @param {number} userId - User id.
+   * @param {string} clientId - Client identifier.
+   * @returns {Promise<boolean>} True if the client existed.
+   */
+  async resetClient(userId, clientId) {
+    return this.dataService.sync_client_repository.delete_client(userId, clientId);
+  }
+}
+
+export default SyncCursorService;
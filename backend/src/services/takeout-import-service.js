@@ -0,0 +1,383 @@
+/**
+ * Service importing samples from a Fitbit data export (Google Takeout) archive.
+ * @module backend/services/takeout-import-service
+ */
+import fs from 'fs';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import yauzl from 'yauzl';
+import { AppError, PayloadTooLargeError } from '../errors.js';
+import { processStepsData } from './providers/steps.js';
+import { processHeartRateData } from './providers/heartrate.js';
+import { processCaloriesData } from './providers/calories.js';
+import { processSleepData, processSleepSessions } from './providers/sleep.js';
+import { processSpO2Data } from './providers/spo2.js';
+
+/** Jobs kept in memory for progress queries, newest first. */
+const MAX_JOBS = 20;
+
+const BYTES_PER_MB = 1024 * 1024;
+
+/** Largest upload accepted by default, in MB; set TAKEOUT_MAX_UPLOAD_MB to change it. */
+const DEFAULT_MAX_UPLOAD_MB = 2048;
+
+/**
+ * Largest file read from an archive, uncompressed. Each file is parsed in memory, and Takeout's
+ * daily files are a few MB at most, so anything larger is rejected rather than inflated.
+ */
+const MAX_ENTRY_BYTES = 64 * BYTES_PER_MB;
+
+/**
+ * Minute-level Takeout files, the sample type they produce and how a day of readings becomes samples.
+ * Readings are `{ time: 'HH:mm:ss', value }`, as in the Web API's intraday datasets.
+ */
+const INTRADAY_FILES = {
+  steps: {
+    pattern: /^steps-\d{4}-\d{2}-\d{2}\.json$/,
+    type: 'steps',
+    process: (dataset, dateStr) => processStepsData(dataset, dateStr)
+  },
+  heartRate: {
+    pattern: /^heart_rate-\d{4}-\d{2}-\d{2}\.json$/,
+    type: 'heartRate',
+    process: (dataset, dateStr) => processHeartRateData(toMinuteAverages(dataset), dateStr)
+  },
+  calories: {
+    pattern: /^calories-\d{4}-\d{2}-\d{2}\.json$/,
+    type: 'activeCalories',
+    // Takeout has no BMR; resting minutes burn exactly the basal rate, so the day's lowest minute is used
+    process: (dataset, dateStr) => processCaloriesData(dataset, Math.min(...dataset.map(point => parseFloat(point.value))), dateStr)
+  }
+};
+
+const SLEEP_FILE_PATTERN = /^sleep-\d{4}-\d{2}-\d{2}\.json$/;
+const DAILY_SPO2_FILE_PATTERN = /^Daily SpO2 - .*\.csv$/;
+
+/**
+ * Split a Takeout timestamp (`MM/DD/YY HH:mm:ss`, local time) into a date and time.
+ * @param {string} dateTime - Takeout timestamp.
+ * @returns {{dateStr: string, time: string}|null} Date (YYYY-MM-DD) and time (HH:mm:ss), or null if unparseable.
+ */
+function parseTakeoutDateTime(dateTime) {
+  const match = /^(\d{2})\/(\d{2})\/(\d{2}) (\d{2}:\d{2}:\d{2})$/.exec(dateTime || '');
+  if (!match) {
+    return null;
+  }
+  const [, month, day, year, time] = match;
+  return { dateStr: `20${year}-${month}-${day}`, time };
+}
+
+/**
+ * Average heart rate readings, taken every few seconds in Takeout, into one reading per minute
+ * like the Web API's `1min` dataset.
+ * @param {object[]} dataset - Readings with `time` (HH:mm:ss) and `value` (bpm).
+ * @returns {object[]} One reading per minute, in time order.
+ */
+function toMinuteAverages(dataset) {
+  const minutes = new Map();
+  for (const point of dataset) {
+    const minute = point.time.slice(0, 5);
+    const totals = minutes.get(minute) || { sum: 0, count: 0 };
+    totals.sum += point.value;
+    totals.count++;
+    minutes.set(minute, totals);
+  }
+  return [...minutes.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([minute, totals]) => ({ time: `${minute}:00`, value: Math.round(totals.sum / totals.count) }));
+}
+
+/**
+ * Parse a CSV file with a header row into objects keyed by column name. Takeout CSVs have no quoted fields.
+ * @param {string} text - CSV text.
+ * @returns {object[]} Rows.
+ */
+function parseCsv(text) {
+  const [header, ...lines] = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  if (!header) {
+    return [];
+  }
+  const columns = header.split(',').map(column => column.trim());
+  return lines.map(line => {
+    const values = line.split(',');
+    return Object.fromEntries(columns.map((column, i) => [column, (values[i] || '').trim()]));
+  });
+}
+
+/**
+ * Imports the minute-level history in a Fitbit data export, which the Web API's 150 requests
+ * an hour cannot realistically backfill. Files are run through the same processing as synced
+ * data, so imported samples match synced ones:
+ * - `steps-*.json`, `heart_rate-*.json` and `calories-*.json`: intraday blocks, one day at a time
+ * - `sleep-*.json`: sleep stage samples and sleep sessions
+ * - `Daily SpO2 - *.csv`: daily average blood oxygen
+ *
+ * Imports can be repeated safely. Steps, heart rate and calorie days that already have samples
+ * of that type are skipped, because blocks built from a partial day by the sync would not line
+ * up with blocks built from the whole day and the totals would be counted twice. Sleep and SpO2
+ * samples match synced ones exactly, so existing rows are left as they are.
+ * Each import belongs to the user who started it and stores samples for that user only.
+ */
+class TakeoutImportService {
+  /**
+   * Create a TakeoutImportService instance.
+   * @param {object} dataService - DataService instance providing repositories.
+   * @param {object} [options] - Service options.
+   * @param {number} [options.maxUploadBytes] - Largest upload accepted by `saveUpload()` (default: TAKEOUT_MAX_UPLOAD_MB or 2048 MB).
+   */
+  constructor(dataService, { maxUploadBytes = (parseInt(process.env.TAKEOUT_MAX_UPLOAD_MB) || DEFAULT_MAX_UPLOAD_MB) * BYTES_PER_MB } = {}) {
+    this.dataService = dataService;
+    this.maxUploadBytes = maxUploadBytes;
+    this.jobs = [];
+    this.nextJobId = 1;
+  }
+
+  /**
+   * Save an uploaded archive to a file, counting bytes as they arrive so a body without an honest
+   * Content-Length cannot grow past `maxUploadBytes`.
+   * @param {import('stream').Readable} source - Upload body.
+   * @param {string} filePath - File to create; it must not exist.
+   * @returns {Promise<void>}
+   * @throws {PayloadTooLargeError} If the upload is larger than `maxUploadBytes`; the partial file is left for the caller to remove.
+   */
+  async saveUpload(source, filePath) {
+    const maxBytes = this.maxUploadBytes;
+    let received = 0;
+    const limit = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > maxBytes) {
+          callback(new PayloadTooLargeError('The uploaded archive', maxBytes));
+        } else {
+          callback(null, chunk);
+        }
+      }
+    });
+    await pipeline(source, limit, fs.createWriteStream(filePath, { flags: 'wx' }));
+  }
+
+  /**
+   * Start importing an archive in the background.
+   * @param {string} filePath - Path of the Takeout zip.
+   * @param {object} options - Import options.
+   * @param {number} options.userId - User to import the samples for.
+   * @param {string} [options.fileName] - Name to show for the archive (default: the file's name).
+   * @param {boolean} [options.removeFile=false] - Delete the archive once the import finishes, e.g. an upload.
+   * @returns {object} The new job; poll `getJob(id)` for progress.
+   * @throws {AppError} If an import is already running.
+   */
+  startImport(filePath, { userId, fileName = path.basename(filePath), removeFile = false }) {
+    if (this.isRunning()) {
+      throw new AppError('A Takeout import is already running', 409, 'IMPORT_IN_PROGRESS');
+    }
+
+    const job = this.createJob(userId, fileName);
+    this.importArchive(filePath, job)
+      .catch(() => {})
+      .finally(() => {
+        if (removeFile) {
+          fs.promises.unlink(filePath).catch(error => console.error('Failed to remove Takeout upload:', error.message));
+        }
+      });
+    return job;
+  }
+
+  /**
+   * Check whether an import is running.
+   * @returns {boolean} True while a job is running.
+   */
+  isRunning() {
+    return this.jobs.some(job => job.status === 'running');
+  }
+
+  /**
+   * Get one of a user's import jobs.
+   * @param {number} userId - User id.
+   * @param {number} jobId - Job ID.
+   * @returns {object|null} Job, or null if unknown, no longer kept or another user's.
+   */
+  getJob(userId, jobId) {
+    return this.jobs.find(job => job.id === jobId && job.user_id === userId) || null;
+  }
+
+  /**
+   * Get a user's recent import jobs.
+   * @param {number} userId - User id.
+   * @returns {object[]} Jobs, newest first.
+   */
+  getJobs(userId) {
+    return this.jobs.filter(job => job.user_id === userId);
+  }
+
+  /**
+   * Create a job record and keep it for progress queries.
+   * @param {number} userId - User to import the samples for.
+   * @param {string} fileName - Archive name.
+   * @returns {object} Job.
+   */
+  createJob(userId, fileName) {
+    const job = {
+      id: this.nextJobId++,
+      user_id: userId,
+      file_name: fileName,
+      status: 'running',
+      total_entries: 0,
+      entries_read: 0,
+      files_imported: 0,
+      samples_stored: 0,
+      sleep_sessions_stored: 0,
+      days_skipped: 0,
+      current_file: null,
+      error: null,
+      started_at: new Date().toISOString(),
+      finished_at: null
+    };
+    this.jobs.unshift(job);
+    this.jobs.length = Math.min(this.jobs.length, MAX_JOBS);
+    return job;
+  }
+
+  /**
+   * Import every recognised file in an archive.
+   * @param {string} filePath - Path of the Takeout zip.
+   * @param {object} job - Job from `createJob()` to record progress on; samples are stored for its user.
+   * @param {function(object): void} [onProgress] - Called with the job after each file.
+   * @returns {Promise<object>} The finished job.
+   * @throws {Error} If the archive cannot be read; the job is marked failed.
+   */
+  async importArchive(filePath, job, onProgress = () => {}) {
+    let zipfile;
+    try {
+      zipfile = await yauzl.openPromise(filePath);
+      job.total_entries = zipfile.entryCount;
+      console.log(`Takeout import ${job.id}: reading ${job.total_entries} entries from ${job.file_name}`);
+
+      for await (const entry of zipfile.eachEntry()) {
+        job.entries_read++;
+        const fileName = path.posix.basename(entry.fileName);
+        if (!entry.fileName.endsWith('/') && this.isImportable(fileName)) {
+          job.current_file = entry.fileName;
+          const text = await this.readEntry(zipfile, entry);
+          await this.importFile(fileName, text, job);
+          job.files_imported++;
+          onProgress(job);
+        }
+      }
+
+      job.status = 'completed';
+      console.log(`Takeout import ${job.id} completed: ${job.samples_stored} samples from ${job.files_imported} files, ${job.days_skipped} days already synced`);
+      return job;
+    } catch (error) {
+      job.status = 'failed';
+      job.error = job.current_file ? `${job.current_file}: ${error.message}` : error.message;
+      console.error(`Takeout import ${job.id} failed:`, job.error);
+      throw error;
+    } finally {
+      job.current_file = null;
+      job.finished_at = new Date().toISOString();
+      if (zipfile) zipfile.close();
+      onProgress(job);
+    }
+  }
+
+  /**
+   * Check whether a file in the archive is one the importer reads.
+   * @param {string} fileName - File name without directories.
+   * @returns {boolean} True if recognised.
+   */
+  isImportable(fileName) {
+    return Object.values(INTRADAY_FILES).some(kind => kind.pattern.test(fileName)) ||
+      SLEEP_FILE_PATTERN.test(fileName) ||
+      DAILY_SPO2_FILE_PATTERN.test(fileName);
+  }
+
+  /**
+   * Read a zip entry as UTF-8 text.
+   * @param {object} zipfile - Open yauzl zip file.
+   * @param {object} entry - Entry to read.
+   * @returns {Promise<string>} File contents.
+   * @throws {PayloadTooLargeError} If the file is larger than `MAX_ENTRY_BYTES` uncompressed.
+   */
+  async readEntry(zipfile, entry) {
+    const tooLarge = () => new PayloadTooLargeError('The uncompressed file', MAX_ENTRY_BYTES);
+    if (entry.uncompressedSize > MAX_ENTRY_BYTES) {
+      throw tooLarge();
+    }
+
+    const stream = await zipfile.openReadStreamPromise(entry);
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of stream) {
+      size += chunk.length;
+      if (size > MAX_ENTRY_BYTES) {
+        stream.destroy();
+        throw tooLarge();
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  }
+
+  /**
+   * Import one recognised file.
+   * @param {string} fileName - File name without directories.
+   * @param {string} text - File contents.
+   * @param {object} job - Job to record progress on.
+   * @returns {Promise<void>}
+   */
+  async importFile(fileName, text, job) {
+    if (DAILY_SPO2_FILE_PATTERN.test(fileName)) {
+      const readings = parseCsv(text)
+        .filter(row => row.timestamp && row.average_value)
+        .map(row => ({ dateTime: row.timestamp.slice(0, 10), value: { avg: Number(row.average_value) } }));
+      job.samples_stored += await this.dataService.sample_repository.store_samples(job.user_id, processSpO2Data(readings));
+      return;
+    }
+
+    const data = JSON.parse(text);
+    if (SLEEP_FILE_PATTERN.test(fileName)) {
+      job.samples_stored += await this.dataService.sample_repository.store_samples(job.user_id, processSleepData(data));
+      job.sleep_sessions_stored += await this.dataService.sleep_session_repository.store_sessions(job.user_id, processSleepSessions(data));
+      return;
+    }
+
+    const kind = Object.values(INTRADAY_FILES).find(candidate => candidate.pattern.test(fileName));
+    await this.importIntraday(kind, data, job);
+  }
+
+  /**
+   * Import minute-level readings one day at a time, skipping days that already have samples of the type.
+   * @param {object} kind - Entry from `INTRADAY_FILES`.
+   * @param {object[]} readings - Takeout readings: `{ dateTime, value }`, heart rate values being `{ bpm }`.
+   * @param {object} job - Job to record progress on.
+   * @returns {Promise<void>}
+   */
+  async importIntraday(kind, readings, job) {
+    const days = new Map();
+    for (const reading of readings) {
+      const parsed = parseTakeoutDateTime(reading.dateTime);
+      if (!parsed) continue;
+      const value = typeof reading.value === 'object' ? reading.value.bpm : reading.value;
+      if (!days.has(parsed.dateStr)) days.set(parsed.dateStr, []);
+      days.get(parsed.dateStr).push({ time: parsed.time, value });
+    }
+
+    for (const [dateStr, dataset] of [...days.entries()].sort(([a], [b]) => a.localeCompare(b))) {
+      const start = new Date(`${dateStr}T00:00:00`);
+      const end = new Date(start);
+      end.setDate(end.getDate() + 1);
+
+      const existing = await this.dataService.sample_repository.count_samples_between(job.user_id, kind.type, start.toISOString(), end.toISOString());
+      if (existing > 0) {
+        job.days_skipped++;
+        continue;
+      }
+
+      dataset.sort((a, b) => a.time.localeCompare(b.time));
+      job.samples_stored += await this.dataService.sample_repository.store_samples(job.user_id, kind.process(dataset, dateStr));
+    }
+  }
+}
+
+export default TakeoutImportService;
@@ -0,0 +1,155 @@
+/**
+ * Local stand-in for Fitbit's subscription notifier, for exercising the webhook without Fitbit.
+ * Signs payloads the same way Fitbit does, so the real signature check is exercised too.
+ *
+ * Usage:
+ *   node src/tools/fake-fitbit-notifier.js [--url URL] [--collection activities] [--date YYYY-MM-DD] [--owner FITBIT_USER_ID]
+ *   node src/tools/fake-fitbit-notifier.js --verify [--code CODE]
+ *
+ * @module backend/tools/fake-fitbit-notifier
+ */
+import axios from 'axios';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import https from 'https';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_URL = 'https://localhost:8080/webhooks/fitbit';
+const DEFAULT_OWNER_ID = 'FAKE01';
+
+/**
+ * Compute the X-Fitbit-Signature value for a payload.
+ * @param {string} body - Raw JSON request body.
+ * @param {string} clientSecret - Fitbit client secret.
+ * @returns {string} Base64 HMAC-SHA1 signature.
+ */
+export function signPayload(body, clientSecret) {
+  return crypto.createHmac('sha1', `${clientSecret}&`).update(body).digest('base64');
+}
+
+/**
+ * Build a notification entry like the ones Fitbit sends.
+ * @param {string} collectionType - Collection that changed (activities, sleep, body).
+ * @param {string} date - Date that changed (YYYY-MM-DD).
+ * @param {string} [ownerId] - Fitbit user id of the account that changed. Notifications are
+ *   synced for the user that connected this account (see `tokens.fitbit_user_id`).
+ * @returns {object} Notification object.
+ */
+export function buildNotification(collectionType, date, ownerId = DEFAULT_OWNER_ID) {
+  return {
+    collectionType,
+    date,
+    ownerId,
+    ownerType: 'user',
+    subscriptionId: `fitbit-sync-${collectionType}`
+  };
+}
+
+/**
+ * Axios options for calling a local development server with a self-signed certificate.
+ * @param {string} url - Target URL.
+ * @returns {object} Axios request options.
+ */
+function getRequestOptions(url) {
+  const { hostname } = new URL(url);
+  const isLocal = hostname === 'localhost' || hostname === '127.0.0.1';
+  return {
+    httpsAgent: new https.Agent({ rejectUnauthorized: !isLocal }),
+    validateStatus: () => true
+  };
+}
+
+/**
+ * Post signed notifications to a webhook endpoint.
+ * @param {object} params - Notification parameters.
+ * @param {string} [params.url] - Webhook URL.
+ * @param {object[]} params.notifications - Notification objects.
+ * @param {string} params.clientSecret - Secret used to sign the payload.
+ * @param {string} [params.signature] - Override the signature (to test rejection).
+ * @returns {Promise<number>} HTTP status returned by the webhook.
+ */
+export async function sendNotifications({ url = DEFAULT_URL, notifications, clientSecret, signature = null }) {
+  const body = JSON.stringify(notifications);
+  const response = await axios.post(url, body, {
+    ...getRequestOptions(url),
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Fitbit-Signature': signature || signPayload(body, clientSecret)
+    }
+  });
+  return response.status;
+}
+
+/**
+ * Send the subscriber verification challenge.
+ * @param {object} params - Verification parameters.
+ * @param {string} [params.url] - Webhook URL.
+ * @param {string} params.code - Verification code to send.
+ * @returns {Promise<number>} HTTP status returned by the webhook (204 if accepted).
+ */
+export async function sendVerification({ url = DEFAULT_URL, code }) {
+  const response = await axios.get(url, {
+    ...getRequestOptions(url),
+    params: { verify: code }
+  });
+  return response.status;
+}
+
+/**
+ * Parse `--name value` style command line arguments.
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {object} Parsed arguments.
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const name = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next && !next.startsWith('--')) {
+      args[name] = next;
+      i++;
+    } else {
+      args[name] = true;
+    }
+  }
+  return args;
+}
+
+/**
+ * Command line entry point.
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const backendDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+  dotenv.config({ path: path.join(backendDir, '.env') });
+
+  const args = parseArgs(process.argv.slice(2));
+  const url = args.url || DEFAULT_URL;
+
+  if (args.verify) {
+    const code = args.code || process.env.FITBIT_SUBSCRIBER_VERIFY_CODE;
+    const status = await sendVerification({ url, code });
+    console.log(`Verification with code "${code}" returned ${status}`);
+    return;
+  }
+
+  const collection = args.collection || 'activities';
+  const now = new Date();
+  const date = args.date || `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  const status = await sendNotifications({
+    url,
+    notifications: [buildNotification(collection, date, args.owner || DEFAULT_OWNER_ID)],
+    clientSecret: process.env.CLIENT_SECRET,
+    signature: args.signature || null
+  });
+  console.log(`Notification for ${collection} on ${date} returned ${status}`);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error('Fake notifier failed:', error.message);
+    process.exit(1);
+  });
+}
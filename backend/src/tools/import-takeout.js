@@ -0,0 +1,89 @@
+/**
+ * Imports a Fitbit data export (Google Takeout) zip into the database without starting the server.
+ *
+ * Usage:
+ *   node src/tools/import-takeout.js path/to/takeout.zip [--user EMAIL|ID]
+ *
+ * Samples are imported for the given user, or for the only user if there is just one.
+ *
+ * @module backend/tools/import-takeout
+ */
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DataService } from '../data/index.js';
+import TakeoutImportService from '../services/takeout-import-service.js';
+
+/**
+ * Print a one-line progress report for a job.
+ * @param {object} job - Import job.
+ */
+function printProgress(job) {
+  const file = job.current_file ? ` ${job.current_file}` : '';
+  console.log(`[${job.entries_read}/${job.total_entries}]${file}: ${job.samples_stored} samples, ` +
+    `${job.sleep_sessions_stored} sleep sessions stored, ${job.days_skipped} days already synced`);
+}
+
+/**
+ * Find the user to import for.
+ * @param {DataService} dataService - Initialized data service.
+ * @param {string|undefined} selector - Email address or user id from `--user`.
+ * @returns {Promise<object>} The user.
+ * @throws {Error} If no such user exists, or no user was given and there is not exactly one.
+ */
+async function resolveUser(dataService, selector) {
+  if (selector) {
+    const user = /^\d+$/.test(selector)
+      ? await dataService.user_repository.get_user(parseInt(selector))
+      : await dataService.user_repository.get_user_by_email(selector);
+    if (!user) {
+      throw new Error(`No user found for ${selector}`);
+    }
+    return user;
+  }
+
+  const users = await dataService.user_repository.get_users();
+  if (users.length !== 1) {
+    throw new Error(users.length === 0
+      ? 'No users yet; sign in once before importing'
+      : 'Several users exist; choose one with --user EMAIL|ID');
+  }
+  return users[0];
+}
+
+/**
+ * Command line entry point.
+ * @returns {Promise<void>}
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const userIndex = args.indexOf('--user');
+  const selector = userIndex === -1 ? undefined : args.splice(userIndex, 2)[1];
+  const filePath = args[0];
+  if (!filePath) {
+    throw new Error('Usage: node src/tools/import-takeout.js path/to/takeout.zip [--user EMAIL|ID]');
+  }
+
+  const backendDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+  dotenv.config({ path: path.join(backendDir, '.env') });
+
+  const dataService = new DataService();
+  await dataService.initialize();
+
+  try {
+    const user = await resolveUser(dataService, selector);
+    const importService = new TakeoutImportService(dataService);
+    const job = importService.createJob(user.id, path.basename(filePath));
+    await importService.importArchive(filePath, job, printProgress);
+    console.log(`Imported ${job.files_imported} files for ${user.email || `user ${user.id}`}`);
+  } finally {
+    dataService.close();
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error('Takeout import failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,66 @@
+/**
+ * Shows the database schema version and applies pending migrations without starting the server.
+ *
+ * Usage:
+ *   node src/tools/migrate.js version
+ *   node src/tools/migrate.js migrate
+ *
+ * @module backend/tools/migrate
+ */
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DatabaseConnection } from '../data/index.js';
+
+/**
+ * Print the current and latest schema versions and the pending migrations.
+ * @param {import('../data/migration-runner.js').default} runner - Migration runner.
+ * @returns {Promise<void>}
+ */
+async function printVersion(runner) {
+  const { current_version, latest_version, pending } = await runner.get_status();
+  console.log(`Database schema version: ${current_version}`);
+  console.log(`Latest schema version: ${latest_version}`);
+  if (current_version > latest_version) {
+    console.log('The database is newer than this version of fitbit-sync');
+  }
+  for (const migration of pending) {
+    console.log(`  pending ${migration.name}: ${migration.description}`);
+  }
+}
+
+/**
+ * Command line entry point.
+ * @returns {Promise<void>}
+ */
+async function main() {
+  // Migrations encrypting Fitbit tokens need TOKEN_ENCRYPTION_KEY from backend/.env
+  const backendDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+  dotenv.config({ path: path.join(backendDir, '.env') });
+
+  const command = process.argv[2] || 'version';
+  if (!['version', 'migrate'].includes(command)) {
+    throw new Error(`Unknown command "${command}". Use "version" or "migrate".`);
+  }
+
+  const connection = new DatabaseConnection();
+  await connection.open();
+  const runner = connection.create_migration_runner();
+
+  try {
+    if (command === 'migrate') {
+      const applied = await runner.migrate();
+      console.log(applied.length > 0 ? `Applied ${applied.length} migrations` : 'No pending migrations');
+    }
+    await printVersion(runner);
+  } finally {
+    connection.close();
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  });
+}
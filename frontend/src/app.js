@@ -8,6 +8,7 @@ import { AuthManager } from './services/auth-manager.js';
 import { SampleManager } from './services/sample-manager.js';
 import { SyncManager } from './services/sync-manager.js';
 import { ModalManager } from './services/modal-manager.js';
+import { DashboardManager } from './services/dashboard-manager.js';
 import { Utils } from './utils.js';
 
 /**
@@ -21,6 +22,7 @@ export class App {
         this.sampleManager = new SampleManager(this.apiClient, this.notificationManager);
         this.syncManager = new SyncManager(this.apiClient, this.notificationManager);
         this.modalManager = new ModalManager(this.apiClient, this.notificationManager, this.sampleManager);
+        this.dashboardManager = new DashboardManager(this.apiClient, this.notificationManager);
         
         // Make app globally available for cross-manager communication
         window.app = this;
@@ -89,6 +91,14 @@ export class App {
         return this.modalManager;
     }
 
+    /**
+     * Get the dashboard manager instance
+     * @returns {DashboardManager} Dashboard manager instance
+     */
+    getDashboardManager() {
+        return this.dashboardManager;
+    }
+
     /**
      * Get the API client instance
      * @returns {ApiClient} API client instance
@@ -110,10 +110,33 @@ export class ApiClient {
 
     /**
      * Request a new JWT from the server.
+     * @param {string} [label] - Name for the token
+     * @param {Array} [scopes] - Scopes to grant (default: all)
      * @returns {Promise<Object>} - JWT response
      */
-    async generateJWT() {
-        return this.get('/auth/newtoken');
+    async generateJWT(label = '', scopes = null) {
+        const params = new URLSearchParams();
+        if (label) params.append('label', label);
+        if (scopes) params.append('scopes', scopes.join(','));
+        const queryString = params.toString();
+        return this.get(`/auth/newtoken${queryString ? `?${queryString}` : ''}`);
+    }
+
+    /**
+     * List the personal tokens issued to the signed-in user.
+     * @returns {Promise<Object>} - Tokens response
+     */
+    async getPersonalTokens() {
+        return this.get('/auth/tokens');
+    }
+
+    /**
+     * Revoke a personal token.
+     * @param {string} tokenId - Token ID
+     * @returns {Promise<Object>} - Revoke response
+     */
+    async revokePersonalToken(tokenId) {
+        return this.delete(`/auth/tokens/${encodeURIComponent(tokenId)}`);
     }
 
     /**
@@ -134,6 +157,57 @@ export class ApiClient {
         return this.get(`/api/samples?${queryString}`);
     }
 
+    /**
+     * Build the URL of a sample export download.
+     * @param {Object} [params] - Query parameters (format, from, to, types, columns, tz)
+     * @returns {string} - Export URL
+     */
+    getExportUrl(params = {}) {
+        const queryString = new URLSearchParams(params).toString();
+        return `/api/export?${queryString}`;
+    }
+
+    /**
+     * Get samples as parsed NDJSON export rows.
+     * @param {Object} [params] - Query parameters (from, to, types, columns, tz)
+     * @returns {Promise<Array<Object>>} - Export rows
+     * @throws {Error} - If the response is not ok
+     */
+    async getExportRows(params = {}) {
+        const response = await fetch(this.getExportUrl({ ...params, format: 'ndjson' }), {
+            credentials: 'include'
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || `HTTP ${response.status}`);
+        }
+
+        const text = await response.text();
+        return text.split('\n').filter(line => line).map(line => JSON.parse(line));
+    }
+
+    /**
+     * Get samples rolled up into time buckets.
+     * @param {Object} params - Query parameters (type, from, to, bucket, fn)
+     * @returns {Promise<Object>} - Aggregates response
+     */
+    async getAggregates(params) {
+        const queryString = new URLSearchParams(params).toString();
+        return this.get(`/api/aggregates?${queryString}`);
+    }
+
+    /**
+     * Get nightly sleep sessions with their stages.
+     * @param {string} from - First date of sleep (YYYY-MM-DD)
+     * @param {string} to - Last date of sleep (YYYY-MM-DD)
+     * @returns {Promise<Object>} - Sleep sessions response
+     */
+    async getSleepSessions(from, to) {
+        const queryString = new URLSearchParams({ from, to }).toString();
+        return this.get(`/api/sleep?${queryString}`);
+    }
+
     /**
      * Delete samples by IDs.
      * @param {Array} samples - Array of sample IDs
@@ -180,6 +254,24 @@ export class ApiClient {
         return this.post('/api/sync/trigger', syncData);
     }
 
+    /**
+     * Create a backfill job for a long date range.
+     * @param {Object} backfillData - Backfill request body (startDate, endDate, sampleTypes)
+     * @returns {Promise<Object>} - Backfill job response
+     */
+    async createBackfill(backfillData) {
+        return this.post('/api/backfill', backfillData);
+    }
+
+    /**
+     * Get a backfill job's progress.
+     * @param {number} jobId - Backfill job ID
+     * @returns {Promise<Object>} - Backfill job response
+     */
+    async getBackfill(jobId) {
+        return this.get(`/api/backfill/${jobId}`);
+    }
+
     /**
      * Get API status.
      * @returns {Promise<Object>} - Status response
@@ -11,6 +11,7 @@ export class AuthManager {
     constructor(apiClient, notificationManager) {
         this.apiClient = apiClient;
         this.notificationManager = notificationManager;
+        this.tokens = [];
         this.setupEventListeners();
     }
 
@@ -29,6 +30,26 @@ export class AuthManager {
         if (copyJwtBtn) {
             copyJwtBtn.addEventListener('click', () => this.copyJWT());
         }
+
+        const manageTokensBtn = Utils.getElement('manage-tokens-btn');
+        if (manageTokensBtn) {
+            manageTokensBtn.addEventListener('click', () => this.showTokensPanel());
+        }
+
+        const closeTokensPanel = Utils.getElement('close-tokens-panel');
+        if (closeTokensPanel) {
+            closeTokensPanel.addEventListener('click', () => Utils.toggleElement('tokens-panel', false));
+        }
+
+        const tokensTbody = Utils.getElement('tokens-tbody');
+        if (tokensTbody) {
+            tokensTbody.addEventListener('click', (event) => {
+                const revokeBtn = event.target.closest('[data-revoke-token]');
+                if (revokeBtn) {
+                    this.revokeToken(revokeBtn.dataset.revokeToken);
+                }
+            });
+        }
     }
 
     async checkAuthStatus() {
@@ -55,7 +76,12 @@ export class AuthManager {
             generateJwtBtn.disabled = true;
             generateJwtBtn.textContent = 'Generating...';
             
-            const data = await this.apiClient.generateJWT();
+            const label = Utils.getElement('jwt-label')?.value.trim() || '';
+            const scopes = this.getSelectedScopes();
+            if (scopes.length === 0) {
+                throw new Error('Select at least one scope');
+            }
+            const data = await this.apiClient.generateJWT(label, scopes);
             
             const jwtToken = Utils.getElement('jwt-token');
             const jwtDisplay = Utils.getElement('jwt-display');
@@ -65,6 +91,12 @@ export class AuthManager {
                 jwtDisplay.classList.remove('hidden');
             }
             
+            const jwtLabel = Utils.getElement('jwt-label');
+            if (jwtLabel) jwtLabel.value = '';
+            if (!Utils.getElement('tokens-panel')?.classList.contains('hidden')) {
+                await this.loadTokens();
+            }
+
             this.notificationManager.showSuccess('JWT token generated successfully!');
         } catch (error) {
             this.notificationManager.showError('Failed to generate JWT: ' + error.message, error.rateLimitInfo);
@@ -91,6 +123,74 @@ export class AuthManager {
         }, 2000);
     }
 
+    getSelectedScopes() {
+        return Array.from(document.querySelectorAll('input[name="token-scope"]:checked')).map(input => input.value);
+    }
+
+    async showTokensPanel() {
+        Utils.toggleElement('tokens-panel', true);
+        await this.loadTokens();
+    }
+
+    async loadTokens() {
+        const tokensTbody = Utils.getElement('tokens-tbody');
+        if (!tokensTbody) return;
+
+        try {
+            const data = await this.apiClient.getPersonalTokens();
+            this.tokens = data.tokens;
+            if (data.tokens.length === 0) {
+                tokensTbody.innerHTML = '<tr><td colspan="6">No tokens generated yet</td></tr>';
+                return;
+            }
+
+            tokensTbody.innerHTML = data.tokens.map(token => this.renderTokenRow(token)).join('');
+        } catch (error) {
+            tokensTbody.innerHTML = '<tr><td colspan="6">Failed to load tokens</td></tr>';
+            this.notificationManager.showError('Failed to load tokens: ' + error.message, error.rateLimitInfo);
+        }
+    }
+
+    renderTokenRow(token) {
+        // Timestamps are UTC in SQLite's format, without a zone
+        const parseTime = (time) => new Date(`${time.replace(' ', 'T')}Z`);
+        const formatTime = (time) => time ? parseTime(time).toLocaleString() : 'Never';
+        const expired = token.expiresAt && parseTime(token.expiresAt) < new Date();
+        const revokedStatus = token.revokeReason === 'refresh_reused'
+            ? `Revoked ${formatTime(token.revokedAt)} (refresh token reused)`
+            : `Revoked ${formatTime(token.revokedAt)}`;
+        const status = token.revokedAt ? revokedStatus : (expired ? 'Expired' : 'Active');
+        const scopes = token.scopes.join(', ');
+        const lastUsedIp = token.lastUsedIp ? `<span class="token-ip">${Utils.escapeHtml(token.lastUsedIp)}</span>` : '';
+        const revokeButton = token.revokedAt
+            ? ''
+            : `<button class="btn btn-danger btn-small" data-revoke-token="${Utils.escapeHtml(token.id)}">Revoke</button>`;
+
+        return `
+            <tr class="${token.revokedAt ? 'revoked' : ''}">
+                <td>${Utils.escapeHtml(token.label || 'Unnamed token')}</td>
+                <td>${Utils.escapeHtml(scopes)}</td>
+                <td>${formatTime(token.createdAt)}</td>
+                <td>${formatTime(token.lastUsedAt)}${lastUsedIp}</td>
+                <td>${status}</td>
+                <td>${revokeButton}</td>
+            </tr>
+        `;
+    }
+
+    async revokeToken(tokenId) {
+        const label = this.tokens.find(token => token.id === tokenId)?.label || 'Unnamed token';
+        if (!confirm(`Revoke "${label}"? Shortcuts using it will stop working.`)) return;
+
+        try {
+            await this.apiClient.revokePersonalToken(tokenId);
+            this.notificationManager.showSuccess(`Revoked "${label}"`);
+            await this.loadTokens();
+        } catch (error) {
+            this.notificationManager.showError('Failed to revoke token: ' + error.message, error.rateLimitInfo);
+        }
+    }
+
     async refreshFitbitTokens() {
         const refreshFitbitBtn = Utils.getElement('refresh-fitbit-btn');
         if (!refreshFitbitBtn) return;
@@ -0,0 +1,256 @@
+/**
+ * Draws the dashboard charts as inline SVG, so no charting library or CDN script is needed.
+ * @module frontend/services/chart-renderer
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const WIDTH = 800;
+const MARGIN = { top: 10, right: 10, bottom: 24, left: 44 };
+
+/**
+ * Sleep levels by hypnogram row, awake at the top. Classic (non-stage) logs use awake/restless/asleep.
+ */
+const SLEEP_LEVEL_ROWS = {
+    wake: 0,
+    awake: 0,
+    rem: 1,
+    restless: 1,
+    light: 2,
+    asleep: 2,
+    deep: 3
+};
+const SLEEP_ROW_LABELS = ['Awake', 'REM', 'Light', 'Deep'];
+
+/**
+ * Chart renderer producing responsive SVG charts inside container elements.
+ */
+export class ChartRenderer {
+    /**
+     * Create an SVG element with attributes.
+     * @param {string} tag - SVG tag name
+     * @param {Object} [attributes] - Attribute values
+     * @param {string} [title] - Tooltip text
+     * @returns {SVGElement} - The element
+     */
+    static createElement(tag, attributes = {}, title = null) {
+        const element = document.createElementNS(SVG_NS, tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        if (title) {
+            const titleElement = document.createElementNS(SVG_NS, 'title');
+            titleElement.textContent = title;
+            element.appendChild(titleElement);
+        }
+        return element;
+    }
+
+    /**
+     * Replace a container's contents with an empty chart.
+     * @param {HTMLElement} container - Chart container
+     * @param {number} height - Chart height in SVG units
+     * @returns {SVGElement} - The SVG root
+     */
+    static createSvg(container, height) {
+        const svg = this.createElement('svg', {
+            viewBox: `0 0 ${WIDTH} ${height}`,
+            class: 'chart-svg'
+        });
+        container.replaceChildren(svg);
+        return svg;
+    }
+
+    /**
+     * Show a message instead of a chart.
+     * @param {HTMLElement} container - Chart container
+     * @param {string} message - Message to show
+     */
+    static showMessage(container, message) {
+        const paragraph = document.createElement('p');
+        paragraph.className = 'chart-empty';
+        paragraph.textContent = message;
+        container.replaceChildren(paragraph);
+    }
+
+    /**
+     * Draw the y-axis labels and grid lines for a value range.
+     * @param {SVGElement} svg - SVG root
+     * @param {number} min - Lowest value
+     * @param {number} max - Highest value
+     * @param {function(number): number} y - Value to y coordinate
+     * @param {string} [unit] - Unit shown after the labels
+     */
+    static drawYAxis(svg, min, max, y, unit = '') {
+        [min, (min + max) / 2, max].forEach(value => {
+            svg.appendChild(this.createElement('line', {
+                x1: MARGIN.left, x2: WIDTH - MARGIN.right, y1: y(value), y2: y(value), class: 'chart-grid'
+            }));
+            const label = this.createElement('text', { x: MARGIN.left - 6, y: y(value) + 4, class: 'chart-label', 'text-anchor': 'end' });
+            label.textContent = `${Number(value.toFixed(1))}${unit}`;
+            svg.appendChild(label);
+        });
+    }
+
+    /**
+     * Draw x-axis labels at the start, middle and end.
+     * @param {SVGElement} svg - SVG root
+     * @param {number} height - Chart height
+     * @param {Array<{x: number, text: string}>} labels - Label positions and text
+     */
+    static drawXLabels(svg, height, labels) {
+        labels.forEach(({ x, text }, index) => {
+            const anchor = index === 0 ? 'start' : (index === labels.length - 1 ? 'end' : 'middle');
+            const label = this.createElement('text', { x, y: height - 6, class: 'chart-label', 'text-anchor': anchor });
+            label.textContent = text;
+            svg.appendChild(label);
+        });
+    }
+
+    /**
+     * Draw a bar chart, e.g. steps per day.
+     * @param {HTMLElement} container - Chart container
+     * @param {Array<{label: string, value: number}>} points - Bars in order
+     * @param {Object} [options] - Chart options
+     * @param {number} [options.height=220] - Chart height
+     * @param {string} [options.unit] - Value unit for tooltips
+     */
+    static barChart(container, points, { height = 220, unit = '' } = {}) {
+        if (points.length === 0) {
+            this.showMessage(container, 'No data for this range');
+            return;
+        }
+
+        const svg = this.createSvg(container, height);
+        const max = Math.max(...points.map(point => point.value), 1);
+        const plotHeight = height - MARGIN.top - MARGIN.bottom;
+        const y = value => MARGIN.top + plotHeight - (value / max) * plotHeight;
+        const slot = (WIDTH - MARGIN.left - MARGIN.right) / points.length;
+
+        this.drawYAxis(svg, 0, max, y);
+        points.forEach((point, index) => {
+            svg.appendChild(this.createElement('rect', {
+                x: MARGIN.left + index * slot + slot * 0.1,
+                y: y(point.value),
+                width: Math.max(slot * 0.8, 1),
+                height: MARGIN.top + plotHeight - y(point.value),
+                class: 'chart-bar'
+            }, `${point.label}: ${Math.round(point.value).toLocaleString()} ${unit}`.trim()));
+        });
+
+        const middle = Math.floor(points.length / 2);
+        this.drawXLabels(svg, height, [
+            { x: MARGIN.left, text: points[0].label },
+            ...(points.length > 2 ? [{ x: MARGIN.left + (middle + 0.5) * slot, text: points[middle].label }] : []),
+            ...(points.length > 1 ? [{ x: WIDTH - MARGIN.right, text: points[points.length - 1].label }] : [])
+        ]);
+    }
+
+    /**
+     * Draw a time-series line chart, optionally with highlighted time ranges.
+     * @param {HTMLElement} container - Chart container
+     * @param {Array<{time: Date, value: number}>} points - Points in time order
+     * @param {Object} [options] - Chart options
+     * @param {number} [options.height=220] - Chart height
+     * @param {string} [options.unit] - Value unit
+     * @param {Array<{start: Date, end: Date}>} [options.highlights] - Ranges shaded behind the line
+     * @param {string} [options.highlightLabel] - Tooltip for highlighted ranges
+     * @param {boolean} [options.dates=false] - Label the x axis with dates only
+     */
+    static lineChart(container, points, { height = 220, unit = '', highlights = [], highlightLabel = '', dates = false } = {}) {
+        if (points.length === 0) {
+            this.showMessage(container, 'No data for this range');
+            return;
+        }
+
+        const svg = this.createSvg(container, height);
+        const values = points.map(point => point.value);
+        let min = Math.min(...values);
+        let max = Math.max(...values);
+        if (min === max) {
+            min -= 1;
+            max += 1;
+        }
+        const start = points[0].time.getTime();
+        const end = Math.max(points[points.length - 1].time.getTime(), start + 1);
+        const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+        const plotHeight = height - MARGIN.top - MARGIN.bottom;
+        const x = time => MARGIN.left + ((time.getTime() - start) / (end - start)) * plotWidth;
+        const y = value => MARGIN.top + plotHeight - ((value - min) / (max - min)) * plotHeight;
+
+        highlights.forEach(range => {
+            svg.appendChild(this.createElement('rect', {
+                x: x(range.start),
+                y: MARGIN.top,
+                width: Math.max(x(range.end) - x(range.start), 1),
+                height: plotHeight,
+                class: 'chart-highlight'
+            }, `${highlightLabel} ${range.start.toLocaleString()} – ${range.end.toLocaleTimeString()}`.trim()));
+        });
+
+        this.drawYAxis(svg, min, max, y, unit ? ` ${unit}` : '');
+        const path = points.map((point, index) => `${index === 0 ? 'M' : 'L'}${x(point.time).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ');
+        svg.appendChild(this.createElement('path', { d: path, class: 'chart-line' }));
+
+        if (points.length <= 60) {
+            points.forEach(point => {
+                svg.appendChild(this.createElement('circle', {
+                    cx: x(point.time), cy: y(point.value), r: 3, class: 'chart-point'
+                }, `${dates ? point.time.toLocaleDateString() : point.time.toLocaleString()}: ${Number(point.value.toFixed(2))} ${unit}`.trim()));
+            });
+        }
+
+        const format = time => dates ? time.toLocaleDateString() : time.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+        const middle = new Date((start + end) / 2);
+        this.drawXLabels(svg, height, [
+            { x: MARGIN.left, text: format(points[0].time) },
+            { x: x(middle), text: format(middle) },
+            { x: WIDTH - MARGIN.right, text: format(points[points.length - 1].time) }
+        ]);
+    }
+
+    /**
+     * Draw one night's sleep stages as a hypnogram, one row per level.
+     * @param {HTMLElement} container - Chart container
+     * @param {Object} session - Sleep session from /api/sleep
+     * @param {number} [height=120] - Chart height
+     */
+    static hypnogram(container, session, height = 120) {
+        const stages = session.stages.filter(stage => !stage.isShort);
+        if (stages.length === 0) {
+            this.showMessage(container, 'No stage data for this night');
+            return;
+        }
+
+        const svg = this.createSvg(container, height);
+        const start = new Date(session.startTime).getTime();
+        const end = Math.max(new Date(session.endTime).getTime(), start + 1);
+        const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+        const rowHeight = (height - MARGIN.top - MARGIN.bottom) / SLEEP_ROW_LABELS.length;
+        const x = time => MARGIN.left + ((new Date(time).getTime() - start) / (end - start)) * plotWidth;
+
+        SLEEP_ROW_LABELS.forEach((text, row) => {
+            const label = this.createElement('text', {
+                x: MARGIN.left - 6, y: MARGIN.top + row * rowHeight + rowHeight / 2 + 4, class: 'chart-label', 'text-anchor': 'end'
+            });
+            label.textContent = text;
+            svg.appendChild(label);
+        });
+
+        const drawStage = (stage, className) => {
+            const row = SLEEP_LEVEL_ROWS[stage.level] ?? 2;
+            svg.appendChild(this.createElement('rect', {
+                x: x(stage.startTime),
+                y: MARGIN.top + row * rowHeight,
+                width: Math.max(x(stage.endTime) - x(stage.startTime), 1),
+                height: rowHeight,
+                class: `${className} stage-${stage.level}`
+            }, `${stage.level}: ${new Date(stage.startTime).toLocaleTimeString()} (${Math.round(stage.seconds / 60)} min)`));
+        };
+        stages.forEach(stage => drawStage(stage, 'hypnogram-stage'));
+        session.stages.filter(stage => stage.isShort).forEach(stage => drawStage(stage, 'hypnogram-short'));
+
+        const timeLabel = time => new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        this.drawXLabels(svg, height, [
+            { x: MARGIN.left, text: timeLabel(session.startTime) },
+            { x: WIDTH - MARGIN.right, text: timeLabel(session.endTime) }
+        ]);
+    }
+}
@@ -0,0 +1,190 @@
+/**
+ * Handles the charts dashboard view.
+ * @module frontend/services/dashboard-manager
+ */
+import { Utils } from '../utils.js';
+import { ChartRenderer } from './chart-renderer.js';
+
+/** Longest exertion block (see processHeartRateData in the backend), for blocks without a previous one. */
+const EXERTION_BLOCK_MINUTES = 5;
+
+/** Most recent nights drawn as hypnograms, so long ranges stay readable. */
+const MAX_HYPNOGRAMS = 7;
+
+/** Daily trend charts: container id, sample type and unit. */
+const TREND_CHARTS = [
+    { id: 'spo2-chart', type: 'oxygenSaturation', unit: '%' },
+    { id: 'respiratory-rate-chart', type: 'respiratoryRate', unit: 'br/min' },
+    { id: 'temperature-chart', type: 'bodyTemperature', unit: '°F' }
+];
+
+/**
+ * Dashboard manager for loading chart data and switching between the samples and dashboard views.
+ */
+export class DashboardManager {
+    constructor(apiClient, notificationManager) {
+        this.apiClient = apiClient;
+        this.notificationManager = notificationManager;
+        this.loaded = false;
+
+        this.setupEventListeners();
+        this.setRange(14);
+    }
+
+    setupEventListeners() {
+        document.querySelectorAll('.view-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.showView(tab.dataset.view));
+        });
+
+        document.querySelectorAll('.range-preset').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setRange(parseInt(button.dataset.days));
+                this.loadDashboard();
+            });
+        });
+
+        const refreshDashboardBtn = Utils.getElement('refresh-dashboard-btn');
+        if (refreshDashboardBtn) {
+            refreshDashboardBtn.addEventListener('click', () => this.loadDashboard());
+        }
+    }
+
+    showView(view) {
+        document.querySelectorAll('.view-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.view === view);
+        });
+        Utils.toggleElement('samples-section', view === 'samples');
+        Utils.toggleElement('dashboard-section', view === 'dashboard');
+
+        if (view === 'dashboard' && !this.loaded) {
+            this.loadDashboard();
+        }
+    }
+
+    setRange(days) {
+        const today = new Date();
+        const from = new Date(today);
+        from.setDate(from.getDate() - (days - 1));
+
+        const fromInput = Utils.getElement('dashboard-from');
+        const toInput = Utils.getElement('dashboard-to');
+        if (fromInput) fromInput.value = Utils.formatDateForInput(from);
+        if (toInput) {
+            toInput.value = Utils.formatDateForInput(today);
+            toInput.max = Utils.formatDateForInput(today);
+        }
+    }
+
+    getRange() {
+        const from = Utils.getElement('dashboard-from')?.value;
+        const to = Utils.getElement('dashboard-to')?.value;
+        if (!from || !to) {
+            throw new Error('Please select both start and end dates');
+        }
+        if (from > to) {
+            throw new Error('Start date must be before end date');
+        }
+        return { from, to };
+    }
+
+    async loadDashboard() {
+        let range;
+        try {
+            range = this.getRange();
+        } catch (error) {
+            this.notificationManager.showError(error.message);
+            return;
+        }
+
+        this.loaded = true;
+        this.notificationManager.hideError();
+        await Promise.all([
+            this.renderChart('steps-chart', () => this.loadSteps(range)),
+            this.renderChart('heart-rate-chart', () => this.loadHeartRate(range)),
+            this.renderChart('sleep-charts', () => this.loadSleep(range)),
+            ...TREND_CHARTS.map(chart => this.renderChart(chart.id, () => this.loadTrend(chart, range)))
+        ]);
+    }
+
+    async renderChart(id, load) {
+        const container = Utils.getElement(id);
+        if (!container) return;
+
+        ChartRenderer.showMessage(container, 'Loading...');
+        try {
+            await load(container);
+        } catch (error) {
+            console.error(`Failed to load ${id}:`, error);
+            ChartRenderer.showMessage(container, `Failed to load: ${error.message}`);
+        }
+    }
+
+    async loadSteps(range) {
+        const data = await this.apiClient.getAggregates({ type: 'steps', bucket: 'day', fn: 'sum', ...range });
+        const points = data.buckets.map(bucket => ({ label: bucket.bucket, value: bucket.value }));
+        ChartRenderer.barChart(Utils.getElement('steps-chart'), points, { unit: 'steps' });
+    }
+
+    async loadHeartRate(range) {
+        const rows = await this.apiClient.getExportRows({ types: 'heartRate', columns: 'timestamp,value,metadata', ...range });
+        const points = rows
+            .filter(row => row.timestamp)
+            .map(row => ({ time: new Date(row.timestamp), value: row.value, isExertion: row.metadata?.isExertion === true }));
+
+        ChartRenderer.lineChart(Utils.getElement('heart-rate-chart'), points, {
+            unit: 'bpm',
+            highlights: this.findExertionBlocks(points),
+            highlightLabel: 'Exertion'
+        });
+    }
+
+    // Blocks flagged as exertion when synced; each ends at its timestamp and starts after the
+    // previous block, or at most EXERTION_BLOCK_MINUTES earlier
+    findExertionBlocks(points) {
+        const blocks = [];
+        for (let i = 0; i < points.length; i++) {
+            if (!points[i].isExertion) continue;
+
+            const end = points[i].time;
+            const earliest = new Date(end.getTime() - EXERTION_BLOCK_MINUTES * 60 * 1000);
+            const start = i > 0 && points[i - 1].time > earliest ? points[i - 1].time : earliest;
+
+            const last = blocks[blocks.length - 1];
+            if (last && last.end.getTime() === start.getTime()) {
+                last.end = end;
+            } else {
+                blocks.push({ start, end });
+            }
+        }
+        return blocks;
+    }
+
+    async loadSleep(range) {
+        const container = Utils.getElement('sleep-charts');
+        const data = await this.apiClient.getSleepSessions(range.from, range.to);
+        const sessions = data.sessions.slice(-MAX_HYPNOGRAMS).reverse();
+
+        if (sessions.length === 0) {
+            ChartRenderer.showMessage(container, 'No sleep logged in this range');
+            return;
+        }
+
+        container.replaceChildren(...sessions.map(session => {
+            const night = document.createElement('div');
+            night.className = 'hypnogram';
+            const heading = document.createElement('h4');
+            const asleep = session.minutesAsleep ? ` — ${Math.floor(session.minutesAsleep / 60)}h ${session.minutesAsleep % 60}m asleep` : '';
+            heading.textContent = `${session.dateOfSleep}${asleep}`;
+            const chart = document.createElement('div');
+            night.append(heading, chart);
+            ChartRenderer.hypnogram(chart, session);
+            return night;
+        }));
+    }
+
+    async loadTrend(chart, range) {
+        const data = await this.apiClient.getAggregates({ type: chart.type, bucket: 'day', fn: 'avg', ...range });
+        const points = data.buckets.map(bucket => ({ time: new Date(`${bucket.bucket}T00:00:00`), value: bucket.value }));
+        ChartRenderer.lineChart(Utils.getElement(chart.id), points, { height: 160, unit: chart.unit, dates: true });
+    }
+}
@@ -35,6 +35,11 @@ export class SampleManager {
             refreshSamplesBtn.addEventListener('click', () => this.loadSamples());
         }
 
+        const exportSamplesBtn = Utils.getElement('export-samples-btn');
+        if (exportSamplesBtn) {
+            exportSamplesBtn.addEventListener('click', () => this.exportSamples());
+        }
+
         const prevPageBtn = Utils.getElement('prev-page');
         if (prevPageBtn) {
             prevPageBtn.addEventListener('click', () => this.changePage(this.currentPage - 1));
@@ -131,6 +136,25 @@ export class SampleManager {
         }
     }
 
+    exportSamples() {
+        // A link download lets the browser stream the file to disk instead of holding it in memory
+        const params = {
+            format: 'csv',
+            tz: Intl.DateTimeFormat().resolvedOptions().timeZone
+        };
+
+        if (this.currentFilter) {
+            params.types = this.currentFilter;
+        }
+
+        const link = document.createElement('a');
+        link.href = this.apiClient.getExportUrl(params);
+        link.download = '';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+
     showLoading(show) {
         Utils.toggleElement('loading', show);
         const samplesTable = Utils.getElement('samples-table');
@@ -159,6 +183,7 @@ export class SampleManager {
             const formattedTimestamp = timestamp !== 'N/A' ? 
                 new Date(timestamp).toLocaleString() : 'N/A';
             const sampleId = sample.id || `fallback-${index}`;
+            const value = sample.unit ? `${sample.value} ${sample.unit}` : String(sample.value);
             
             return `
                 <tr data-sample-id="${sampleId}">
@@ -166,7 +191,7 @@ export class SampleManager {
                         <input type="checkbox" class="sample-checkbox" data-sample-id="${sampleId}">
                     </td>
                     <td>${Utils.escapeHtml(sample.type)}</td>
-                    <td>${sample.value}</td>
+                    <td>${Utils.escapeHtml(value)}</td>
                     <td>${formattedTimestamp}</td>
                 </tr>
             `;
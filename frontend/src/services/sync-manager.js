@@ -11,6 +11,7 @@ export class SyncManager {
     constructor(apiClient, notificationManager) {
         this.apiClient = apiClient;
         this.notificationManager = notificationManager;
+        this.maxSyncDays = 30;
         this.setupEventListeners();
     }
 
@@ -100,7 +101,7 @@ export class SyncManager {
                 const startDate = startDateInput ? startDateInput.value : null;
                 const endDate = endDateInput ? endDateInput.value : null;
 
-                const validation = Utils.validateDateRange(startDate, endDate, 30);
+                const validation = Utils.validateDateRange(startDate, endDate, Infinity);
                 if (!validation.valid) {
                     this.notificationManager.showError(validation.error);
                     return;
@@ -108,6 +109,14 @@ export class SyncManager {
 
                 requestBody.startDate = startDate;
                 requestBody.endDate = endDate;
+
+                // Ranges beyond the synchronous limit run as a resumable background job
+                if (validation.daysDiff > this.maxSyncDays) {
+                    const data = await this.apiClient.createBackfill(requestBody);
+                    this.closeDateSyncModal();
+                    this.notificationManager.showSuccess(`Backfill job ${data.job.id} started for ${startDate} to ${endDate} (${validation.daysDiff} days). It will pause and resume around the Fitbit rate limit.`);
+                    return;
+                }
                 const sampleTypeText = selectedSampleType === 'all' ? 'all sample types' : selectedSampleType;
                 successMessage = `Date range sync completed for ${startDate} to ${endDate} (${sampleTypeText})! (${validation.daysDiff} days)`;
             }
@@ -158,7 +167,7 @@ export class SyncManager {
             }
             Utils.setElementText('rate-limit-reset', resetText);
 
-            console.log(`Rate limit status updated: ${rateLimit.remaining}/150 remaining (${rateLimit.status})`);
+            console.log(`Rate limit status updated: ${rateLimit.remaining}/${rateLimit.total} remaining (${rateLimit.status})`);
         } catch (error) {
             console.error('Failed to load rate limit status:', error);
             
@@ -25,7 +25,8 @@ export const FITBIT_SCOPES = [
     'sleep',
     'oxygen_saturation',
     'respiratory_rate',
-    'temperature'
+    'temperature',
+    'weight'
 ];
 
 export const SAMPLE_TYPES = {
@@ -24,10 +24,13 @@
 /**
  * @typedef {Object} SampleData
  * @property {string} type
- * @property {string} date
- * @property {any} value
- * @property {string} [unit]
- * @property {Object} [metadata]
+ * @property {'numeric'|'categorical'} [valueKind]
+ * @property {number|string} value - A number for numeric samples, the category (e.g. a sleep stage) otherwise
+ * @property {string} [unit] - Unit of a numeric value (e.g. 'count', 'count/min', 'kcal', 'ms', 'lb')
+ * @property {Object} [metadata] - Extra details from Fitbit (e.g. stage length, log source)
+ * @property {string} [timestamp]
+ * @property {string} [startTime]
+ * @property {string} [endTime]
  */
 
 /**